@@ -1,5 +1,5 @@
 import { ref, onMounted, onUnmounted } from 'vue';
-import { OnlineStatusManager } from 'supabase-online-tracker';
+import { OnlineStatusManager, PresenceStore } from 'supabase-online-tracker';
 
 /**
  * Vue Composable - 在线状态管理
@@ -15,16 +15,11 @@ export function useOnlineStatus(supabase, options = {}) {
   onMounted(() => {
     if (!supabase) return;
 
-    // 创建管理器实例
-    manager = new OnlineStatusManager(supabase, {
-      ...options,
-      onError: (err, operation) => {
-        console.error(`操作失败: ${operation}`, err);
-        error.value = err;
-        if (options.onError) {
-          options.onError(err, operation);
-        }
-      }
+    // 创建管理器实例（options 中的回调由管理器自己注册）
+    manager = new OnlineStatusManager(supabase, options);
+    manager.on('error', (err, operation) => {
+      console.error(`操作失败: ${operation}`, err);
+      error.value = err;
     });
   });
 
@@ -74,8 +69,10 @@ export function useOnlineStatus(supabase, options = {}) {
 
 /**
  * Vue Composable - 在线用户列表
+ * 列表由 PresenceStore 维护（初始载入、实时事件、本地过期），组件只负责订阅
  * @param {Object} supabase - Supabase 客户端
  * @param {Object} options - 配置选项
+ * @param {OnlineStatusManager} options.manager - 复用已有的管理器，不传则自己创建
  * @returns {Object} 在线用户列表和刷新函数
  */
 export function useOnlineUsers(supabase, options = {}) {
@@ -83,61 +80,60 @@ export function useOnlineUsers(supabase, options = {}) {
   const loading = ref(false);
   const error = ref(null);
   let manager = null;
+  let store = null;
+  let unsubscribe = null;
+  let offError = null;
+  const ownsManager = !options.manager;
 
   onMounted(() => {
     if (!supabase) return;
 
-    // 创建管理器实例
-    manager = new OnlineStatusManager(supabase, {
-      ...options,
-      enableRealtime: options.enableRealtime !== false, // 默认启用实时订阅
-      onUserJoin: (user) => {
-        // 避免重复添加
-        if (!users.value.some(u => u.username === user.username)) {
-          users.value.push(user);
-        }
-        if (options.onUserJoin) {
-          options.onUserJoin(user);
-        }
-      },
-      onUserLeave: (user) => {
-        users.value = users.value.filter(u => u.username !== user.username);
-        if (options.onUserLeave) {
-          options.onUserLeave(user);
-        }
-      },
-      onError: (err, operation) => {
-        console.error(`操作失败: ${operation}`, err);
-        error.value = err;
-        if (options.onError) {
-          options.onError(err, operation);
-        }
-      }
+    // 复用传入的管理器，或者创建一个只用于查询的管理器
+    manager = options.manager || new OnlineStatusManager(supabase, options);
+    offError = manager.on('error', (err, operation) => {
+      console.error(`操作失败: ${operation}`, err);
+      error.value = err;
+    });
+    store = new PresenceStore(manager, {
+      query: options.query,
+      realtime: options.enableRealtime !== false // 默认启用实时订阅
     });
 
-    // 启动实时订阅
-    if (options.enableRealtime !== false) {
-      manager.startRealtimeSubscription();
-    }
+    unsubscribe = store.subscribe((snapshot, diff) => {
+      users.value = snapshot;
+    });
 
     // 初始加载
     refresh();
   });
 
   onUnmounted(() => {
-    if (manager) {
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    if (offError) {
+      offError();
+    }
+    if (store) {
+      store.destroy();
+    }
+    if (manager && ownsManager) {
       manager.destroy();
     }
   });
 
   const refresh = async () => {
-    if (!manager) return;
+    if (!store) return;
 
     try {
       loading.value = true;
       error.value = null;
-      const onlineUsers = await manager.getOnlineUsers();
-      users.value = onlineUsers;
+      // 首次调用会启动存储，之后只重新同步
+      if (store.ready) {
+        await store.refresh();
+      } else {
+        await store.start();
+      }
     } catch (err) {
       error.value = err;
       console.error('获取在线用户失败:', err);
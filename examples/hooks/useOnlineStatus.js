@@ -1,5 +1,5 @@
 import { useEffect, useState, useCallback, useRef } from 'react';
-import { OnlineStatusManager } from 'supabase-online-tracker';
+import { OnlineStatusManager, PresenceStore } from 'supabase-online-tracker';
 
 /**
  * React Hook - 在线状态管理
@@ -15,16 +15,11 @@ export function useOnlineStatus(supabase, options = {}) {
   useEffect(() => {
     if (!supabase) return;
 
-    // 创建管理器实例
-    managerRef.current = new OnlineStatusManager(supabase, {
-      ...options,
-      onError: (err, operation) => {
-        console.error(`操作失败: ${operation}`, err);
-        setError(err);
-        if (options.onError) {
-          options.onError(err, operation);
-        }
-      }
+    // 创建管理器实例（options 中的回调由管理器自己注册）
+    managerRef.current = new OnlineStatusManager(supabase, options);
+    managerRef.current.on('error', (err, operation) => {
+      console.error(`操作失败: ${operation}`, err);
+      setError(err);
     });
 
     return () => {
@@ -74,73 +69,64 @@ export function useOnlineStatus(supabase, options = {}) {
 
 /**
  * React Hook - 在线用户列表
+ * 列表由 PresenceStore 维护（初始载入、实时事件、本地过期），组件只负责订阅
  * @param {Object} supabase - Supabase 客户端
  * @param {Object} options - 配置选项
+ * @param {OnlineStatusManager} options.manager - 复用已有的管理器（如 useOnlineStatus 返回的 manager），不传则自己创建
  * @returns {Object} 在线用户列表和刷新函数
  */
 export function useOnlineUsers(supabase, options = {}) {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const managerRef = useRef(null);
+  const storeRef = useRef(null);
 
   useEffect(() => {
     if (!supabase) return;
 
-    // 创建管理器实例
-    managerRef.current = new OnlineStatusManager(supabase, {
-      ...options,
-      enableRealtime: options.enableRealtime !== false, // 默认启用实时订阅
-      onUserJoin: (user) => {
-        setUsers(prev => {
-          // 避免重复添加
-          if (prev.some(u => u.username === user.username)) {
-            return prev;
-          }
-          return [...prev, user];
-        });
-        if (options.onUserJoin) {
-          options.onUserJoin(user);
-        }
-      },
-      onUserLeave: (user) => {
-        setUsers(prev => prev.filter(u => u.username !== user.username));
-        if (options.onUserLeave) {
-          options.onUserLeave(user);
-        }
-      },
-      onError: (err, operation) => {
-        console.error(`操作失败: ${operation}`, err);
-        setError(err);
-        if (options.onError) {
-          options.onError(err, operation);
-        }
-      }
+    // 复用传入的管理器，或者创建一个只用于查询的管理器
+    const ownsManager = !options.manager;
+    const manager = options.manager || new OnlineStatusManager(supabase, options);
+    const offError = manager.on('error', (err, operation) => {
+      console.error(`操作失败: ${operation}`, err);
+      setError(err);
+    });
+    const store = new PresenceStore(manager, {
+      query: options.query,
+      realtime: options.enableRealtime !== false // 默认启用实时订阅
     });
+    storeRef.current = store;
 
-    // 启动实时订阅
-    if (options.enableRealtime !== false) {
-      managerRef.current.startRealtimeSubscription();
-    }
+    const unsubscribe = store.subscribe((snapshot, diff) => {
+      setUsers(snapshot);
+    });
 
     // 初始加载
-    refresh();
+    setLoading(true);
+    store.start()
+      .catch(err => {
+        setError(err);
+        console.error('获取在线用户失败:', err);
+      })
+      .finally(() => setLoading(false));
 
     return () => {
-      if (managerRef.current) {
-        managerRef.current.destroy();
+      unsubscribe();
+      offError();
+      store.destroy();
+      if (ownsManager) {
+        manager.destroy();
       }
     };
-  }, [supabase]);
+  }, [supabase, options.manager]);
 
   const refresh = useCallback(async () => {
-    if (!managerRef.current) return;
+    if (!storeRef.current) return;
 
     try {
       setLoading(true);
       setError(null);
-      const onlineUsers = await managerRef.current.getOnlineUsers();
-      setUsers(onlineUsers);
+      await storeRef.current.refresh();
     } catch (err) {
       setError(err);
       console.error('获取在线用户失败:', err);
@@ -0,0 +1,489 @@
+-- 活跃度报表（ActivityStats 的 getUserStats、getTopActiveUsers、getConcurrencySeries、getPeakConcurrency、
+-- getActiveUsers、getRetentionCohorts、getChurn 使用）
+-- 执行前先运行 create-stats-table.sql
+-- 统计在数据库中完成，只返回结果，不会把活动日志拉到浏览器
+-- 所有函数都是 SECURITY INVOKER，启用 RLS 时只统计策略允许读取的记录
+-- 如果使用了自定义表名，请修改 activity_session_durations、activity_user_summary、activity_session_intervals
+-- 和 activity_first_logins 中的表名
+-- 没有执行本文件时，getUserStats 和 getTopActiveUsers 会退回客户端计算（下载范围内的所有记录）
+
+-- ========================================
+-- 用户统计
+-- ========================================
+
+-- 登录时间在 [p_from, p_to) 内的会话时长（与客户端的 _toSession 一致）
+-- - 已登出：记录的时长
+-- - 没有登出：按心跳还原（见 activity_session_intervals）
+-- ongoing：没有登出且心跳未超时；exact：正常登出（不是定时任务按心跳关闭的）
+CREATE OR REPLACE FUNCTION activity_session_durations(
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_username TEXT DEFAULT NULL,
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes'
+)
+RETURNS TABLE (username TEXT, login_time TIMESTAMPTZ, duration BIGINT, ongoing BOOLEAN, exact BOOLEAN)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    SELECT
+        l.username,
+        l.login_time,
+        CASE
+            WHEN l.logout_time IS NOT NULL AND l.duration IS NOT NULL THEN l.duration
+            ELSE GREATEST(0, FLOOR(EXTRACT(EPOCH FROM
+                CASE
+                    WHEN l.logout_time IS NOT NULL THEN l.logout_time
+                    WHEN COALESCE(l.last_activity, l.login_time) >= NOW() - p_session_timeout THEN NOW()
+                    ELSE COALESCE(l.last_activity, l.login_time)
+                END - l.login_time
+            )))
+        END::BIGINT AS duration,
+        l.logout_time IS NULL AND COALESCE(l.last_activity, l.login_time) >= NOW() - p_session_timeout AS ongoing,
+        l.logout_time IS NOT NULL AND l.end_reason IS DISTINCT FROM 'timeout' AS exact
+    FROM user_activity_logs l
+    WHERE l.login_time >= p_from
+      AND l.login_time < p_to
+      AND (p_username IS NULL OR l.username = p_username)
+      AND (p_tenant_id IS NULL OR l.tenant_id = p_tenant_id);
+$$;
+
+COMMENT ON FUNCTION activity_session_durations(TIMESTAMPTZ, TIMESTAMPTZ, TEXT, TEXT, INTERVAL) IS '按心跳还原的会话时长';
+
+-- 活跃用户排行：按总在线时长排序的前 p_limit 个用户
+CREATE OR REPLACE FUNCTION activity_top_users(
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_limit INTEGER DEFAULT 10,
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes'
+)
+RETURNS TABLE (username TEXT, total_time BIGINT, session_count INTEGER)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    SELECT d.username, SUM(d.duration)::BIGINT AS total_time, COUNT(*)::INTEGER AS session_count
+    FROM activity_session_durations(p_from, p_to, NULL, p_tenant_id, p_session_timeout) d
+    GROUP BY d.username
+    ORDER BY total_time DESC, d.username
+    LIMIT p_limit;
+$$;
+
+COMMENT ON FUNCTION activity_top_users(TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, TEXT, INTERVAL) IS '按在线时长排序的活跃用户';
+
+-- 单个用户的统计汇总，以及最近 p_session_limit 条原始记录（由客户端还原为会话列表）
+-- 返回：{ login_count, total_online_time, estimated_online_time, average_session_time,
+--        finished_online_time, finished_session_count, last_login, exact, sessions }
+-- average_session_time 不包括进行中的会话，finished_* 为已结束会话的时长和次数（与每日汇总合并时计算平均时长）
+CREATE OR REPLACE FUNCTION activity_user_summary(
+    p_username TEXT,
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes',
+    p_session_limit INTEGER DEFAULT 100
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH sessions AS (
+        SELECT * FROM activity_session_durations(p_from, p_to, p_username, p_tenant_id, p_session_timeout)
+    ),
+    recent AS (
+        SELECT l.*
+        FROM user_activity_logs l
+        WHERE l.username = p_username
+          AND l.login_time >= p_from
+          AND l.login_time < p_to
+          AND (p_tenant_id IS NULL OR l.tenant_id = p_tenant_id)
+        ORDER BY l.login_time DESC
+        LIMIT p_session_limit
+    )
+    SELECT jsonb_build_object(
+        'login_count', COUNT(*),
+        'total_online_time', COALESCE(SUM(s.duration), 0),
+        'estimated_online_time', COALESCE(SUM(s.duration) FILTER (WHERE NOT s.exact), 0),
+        'average_session_time', COALESCE(FLOOR(AVG(s.duration) FILTER (WHERE NOT s.ongoing)), 0),
+        'finished_online_time', COALESCE(SUM(s.duration) FILTER (WHERE NOT s.ongoing), 0),
+        'finished_session_count', COUNT(*) FILTER (WHERE NOT s.ongoing),
+        'last_login', MAX(s.login_time),
+        'exact', COALESCE(BOOL_AND(s.exact), TRUE),
+        'sessions', COALESCE(
+            (SELECT jsonb_agg(to_jsonb(r) ORDER BY r.login_time DESC) FROM recent r),
+            '[]'::JSONB
+        )
+    )
+    FROM sessions s;
+$$;
+
+COMMENT ON FUNCTION activity_user_summary(TEXT, TIMESTAMPTZ, TIMESTAMPTZ, TEXT, INTERVAL, INTEGER) IS '单个用户的在线时长汇总';
+
+-- ========================================
+-- 在线人数
+-- ========================================
+
+-- 会话区间：没有登出的记录按心跳还原结束时间（与 getUserStats 一致）
+-- - 已登出：登出时间
+-- - 没有登出、心跳未超过 p_session_timeout：进行中，结束时间为现在
+-- - 没有登出、心跳已超时：最后一次心跳
+-- 返回与 [p_from, p_to) 有重叠的会话；p_tenant_id 为 NULL 时不按租户过滤
+-- 结束时间不早于 COALESCE(logout_time, last_activity, login_time)，且进行中的会话最后心跳在 p_session_timeout 之内，
+-- 所以先按这个表达式过滤掉 p_from - p_session_timeout 之前结束的记录（可以使用 idx_activity_logs_ended_at），
+-- 不必扫描全部历史
+CREATE OR REPLACE FUNCTION activity_session_intervals(
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes'
+)
+RETURNS TABLE (username TEXT, started_at TIMESTAMPTZ, ended_at TIMESTAMPTZ)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    SELECT s.username, s.started_at, s.ended_at
+    FROM (
+        SELECT
+            l.username,
+            l.login_time AS started_at,
+            CASE
+                WHEN l.logout_time IS NOT NULL THEN l.logout_time
+                WHEN COALESCE(l.last_activity, l.login_time) >= NOW() - p_session_timeout THEN NOW()
+                ELSE COALESCE(l.last_activity, l.login_time)
+            END AS ended_at
+        FROM user_activity_logs l
+        WHERE l.login_time < p_to
+          AND COALESCE(l.logout_time, l.last_activity, l.login_time) > p_from - p_session_timeout
+          AND (p_tenant_id IS NULL OR l.tenant_id = p_tenant_id)
+    ) s
+    WHERE s.ended_at > p_from;
+$$;
+
+COMMENT ON FUNCTION activity_session_intervals(TIMESTAMPTZ, TIMESTAMPTZ, TEXT, INTERVAL) IS '按心跳还原的会话区间';
+
+-- 在线人数时间序列：每个时间段内在线过的用户数（同一用户多台设备只算一次）
+-- 时间段从 p_from 开始，每段 p_bucket，最后一段截止到 p_to
+-- p_bucket 不小于 1 天时按 p_timezone 的日历日划分（夏令时切换当天为 23 或 25 小时）
+CREATE OR REPLACE FUNCTION get_concurrency_series(
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_bucket INTERVAL DEFAULT INTERVAL '1 hour',
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes',
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (bucket_start TIMESTAMPTZ, online_count INTEGER)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH buckets AS (
+        SELECT b AS bucket_start, b + p_bucket AS bucket_end
+        FROM generate_series(p_from, p_to - INTERVAL '1 microsecond', p_bucket) AS b
+        WHERE p_bucket < INTERVAL '1 day'
+        UNION ALL
+        SELECT b AT TIME ZONE p_timezone, (b + p_bucket) AT TIME ZONE p_timezone
+        FROM generate_series(
+            p_from AT TIME ZONE p_timezone,
+            (p_to AT TIME ZONE p_timezone) - INTERVAL '1 microsecond',
+            p_bucket
+        ) AS b
+        WHERE p_bucket >= INTERVAL '1 day'
+    ),
+    sessions AS (
+        SELECT * FROM activity_session_intervals(p_from, p_to, p_tenant_id, p_session_timeout)
+    )
+    SELECT b.bucket_start, COUNT(DISTINCT s.username)::INTEGER AS online_count
+    FROM buckets b
+    LEFT JOIN sessions s
+        ON s.started_at < LEAST(b.bucket_end, p_to)
+       AND s.ended_at > b.bucket_start
+    GROUP BY b.bucket_start
+    ORDER BY b.bucket_start;
+$$;
+
+COMMENT ON FUNCTION get_concurrency_series(TIMESTAMPTZ, TIMESTAMPTZ, INTERVAL, TEXT, INTERVAL, TEXT) IS '每个时间段内的在线用户数';
+
+-- 同时在线峰值：[p_from, p_to) 内同一时刻在线的最多用户数及其出现时间
+-- 先合并同一用户重叠的会话（多设备、多标签页），再按上线 +1、下线 -1 累加
+-- 返回：{ "peak": 峰值, "at": 首次达到峰值的时间 }，没有会话时 at 为 null
+CREATE OR REPLACE FUNCTION get_peak_concurrency(
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes'
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH sessions AS (
+        SELECT
+            username,
+            GREATEST(started_at, p_from) AS started_at,
+            LEAST(ended_at, p_to) AS ended_at
+        FROM activity_session_intervals(p_from, p_to, p_tenant_id, p_session_timeout)
+    ),
+    marked AS (
+        SELECT
+            username, started_at, ended_at,
+            CASE WHEN started_at <= MAX(ended_at) OVER (
+                PARTITION BY username ORDER BY started_at, ended_at
+                ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+            ) THEN 0 ELSE 1 END AS is_new
+        FROM sessions
+    ),
+    islands AS (
+        SELECT
+            username, started_at, ended_at,
+            SUM(is_new) OVER (PARTITION BY username ORDER BY started_at, ended_at) AS grp
+        FROM marked
+    ),
+    merged AS (
+        SELECT username, MIN(started_at) AS started_at, MAX(ended_at) AS ended_at
+        FROM islands
+        GROUP BY username, grp
+    ),
+    events AS (
+        SELECT started_at AS at, 1 AS delta FROM merged
+        UNION ALL
+        SELECT ended_at AS at, -1 AS delta FROM merged
+    ),
+    running AS (
+        -- 同一时刻先下线再上线，首尾相接的会话不会重复计数
+        SELECT at, SUM(delta) OVER (ORDER BY at, delta ROWS UNBOUNDED PRECEDING) AS online_count
+        FROM events
+    ),
+    peak AS (
+        SELECT at, online_count FROM running
+        ORDER BY online_count DESC, at
+        LIMIT 1
+    )
+    SELECT jsonb_build_object(
+        'peak', COALESCE((SELECT online_count FROM peak), 0),
+        'at', (SELECT at FROM peak WHERE online_count > 0)
+    );
+$$;
+
+COMMENT ON FUNCTION get_peak_concurrency(TIMESTAMPTZ, TIMESTAMPTZ, TEXT, INTERVAL) IS '同时在线峰值及出现时间';
+
+-- ========================================
+-- 用户参与度
+-- ========================================
+
+-- 每个用户有在线记录的日期（按 p_timezone 划分日期，跨天的会话计入经过的每一天）
+CREATE OR REPLACE FUNCTION activity_user_days(
+    p_from DATE,
+    p_to DATE,
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes',
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (username TEXT, day DATE)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    SELECT DISTINCT s.username, d.day::DATE
+    FROM activity_session_intervals(
+        p_from::TIMESTAMP AT TIME ZONE p_timezone,
+        (p_to + 1)::TIMESTAMP AT TIME ZONE p_timezone,
+        p_tenant_id,
+        p_session_timeout
+    ) s
+    CROSS JOIN LATERAL generate_series(
+        (s.started_at AT TIME ZONE p_timezone)::DATE,
+        (GREATEST(s.started_at, s.ended_at - INTERVAL '1 microsecond') AT TIME ZONE p_timezone)::DATE,
+        INTERVAL '1 day'
+    ) AS d(day)
+    WHERE d.day::DATE BETWEEN p_from AND p_to;
+$$;
+
+COMMENT ON FUNCTION activity_user_days(DATE, DATE, TEXT, INTERVAL, TEXT) IS '用户有在线记录的日期';
+
+-- 每个用户的首次登录日期（新用户分组）
+-- 优先使用首次登录检测（enableFirstLoginTracking）标记的记录（first_login），
+-- 没有标记时使用最早的一条记录（注意：过期记录被清理后会晚于真实的首次登录）
+CREATE OR REPLACE FUNCTION activity_first_logins(p_tenant_id TEXT DEFAULT NULL, p_timezone TEXT DEFAULT 'UTC')
+RETURNS TABLE (username TEXT, first_day DATE)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    SELECT
+        l.username,
+        (COALESCE(MIN(l.login_time) FILTER (WHERE l.first_login), MIN(l.login_time)) AT TIME ZONE p_timezone)::DATE AS first_day
+    FROM user_activity_logs l
+    WHERE p_tenant_id IS NULL OR l.tenant_id = p_tenant_id
+    GROUP BY l.username;
+$$;
+
+COMMENT ON FUNCTION activity_first_logins(TEXT, TEXT) IS '用户首次登录日期';
+
+-- 日活、周活、月活：[p_from, p_to] 中的每一天，
+-- dau 为当天在线过的用户数，wau、mau 为截至当天的 7 天、30 天内在线过的用户数
+CREATE OR REPLACE FUNCTION get_active_users(
+    p_from DATE,
+    p_to DATE,
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes',
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (day DATE, dau INTEGER, wau INTEGER, mau INTEGER)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH days AS (
+        SELECT generate_series(p_from, p_to, INTERVAL '1 day')::DATE AS day
+    ),
+    user_days AS (
+        SELECT * FROM activity_user_days(p_from - 29, p_to, p_tenant_id, p_session_timeout, p_timezone)
+    )
+    SELECT
+        d.day,
+        COUNT(DISTINCT u.username) FILTER (WHERE u.day = d.day)::INTEGER AS dau,
+        COUNT(DISTINCT u.username) FILTER (WHERE u.day > d.day - 7)::INTEGER AS wau,
+        COUNT(DISTINCT u.username)::INTEGER AS mau
+    FROM days d
+    LEFT JOIN user_days u ON u.day > d.day - 30 AND u.day <= d.day
+    GROUP BY d.day
+    ORDER BY d.day;
+$$;
+
+COMMENT ON FUNCTION get_active_users(DATE, DATE, TEXT, INTERVAL, TEXT) IS '每天的日活、周活、月活';
+
+-- N 日留存：按首次登录日期分组（[p_from, p_to] 内首次登录的用户），
+-- retained 为首次登录后第 N 天再次在线的用户数
+-- 返回每个分组、每个 N 一行
+CREATE OR REPLACE FUNCTION get_retention_cohorts(
+    p_from DATE,
+    p_to DATE,
+    p_days INTEGER[] DEFAULT ARRAY[1, 7, 30],
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes',
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (cohort DATE, day_offset INTEGER, cohort_size INTEGER, retained INTEGER)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH cohorts AS (
+        SELECT f.username, f.first_day
+        FROM activity_first_logins(p_tenant_id, p_timezone) f
+        WHERE f.first_day BETWEEN p_from AND p_to
+    ),
+    user_days AS (
+        SELECT * FROM activity_user_days(
+            p_from,
+            p_to + COALESCE((SELECT MAX(n) FROM unnest(p_days) AS n), 0),
+            p_tenant_id,
+            p_session_timeout,
+            p_timezone
+        )
+    )
+    SELECT
+        c.first_day AS cohort,
+        n.day_offset,
+        COUNT(*)::INTEGER AS cohort_size,
+        COUNT(u.username)::INTEGER AS retained
+    FROM cohorts c
+    CROSS JOIN unnest(p_days) AS n(day_offset)
+    LEFT JOIN user_days u ON u.username = c.username AND u.day = c.first_day + n.day_offset
+    GROUP BY c.first_day, n.day_offset
+    ORDER BY c.first_day, n.day_offset;
+$$;
+
+COMMENT ON FUNCTION get_retention_cohorts(DATE, DATE, INTEGER[], TEXT, INTERVAL, TEXT) IS '按首次登录日期分组的 N 日留存';
+
+-- 流失：按 p_period（'day' | 'week' | 'month'，周从周一开始）划分周期，
+-- 对每个周期统计活跃用户、新用户，以及上一周期的活跃用户中本周期仍然活跃的人数
+-- 流失人数 = previous_active_users - retained_users
+CREATE OR REPLACE FUNCTION get_churn(
+    p_from DATE,
+    p_to DATE,
+    p_period TEXT DEFAULT 'week',
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes',
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+    period_start DATE,
+    active_users INTEGER,
+    new_users INTEGER,
+    previous_active_users INTEGER,
+    retained_users INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH bounds AS (
+        SELECT
+            date_trunc(p_period, p_from::TIMESTAMP)::DATE AS first_start,
+            date_trunc(p_period, p_to::TIMESTAMP)::DATE AS last_start,
+            ('1 ' || p_period)::INTERVAL AS step
+    ),
+    periods AS (
+        SELECT generate_series(b.first_start, b.last_start, b.step)::DATE AS period_start
+        FROM bounds b
+    ),
+    -- 每个用户活跃的周期（包括第一个周期的上一个周期）
+    active AS (
+        SELECT DISTINCT u.username, date_trunc(p_period, u.day::TIMESTAMP)::DATE AS period_start
+        FROM bounds b
+        CROSS JOIN LATERAL activity_user_days(
+            (b.first_start - b.step)::DATE,
+            (b.last_start + b.step)::DATE - 1,
+            p_tenant_id,
+            p_session_timeout,
+            p_timezone
+        ) u
+    ),
+    first_periods AS (
+        SELECT f.username, date_trunc(p_period, f.first_day::TIMESTAMP)::DATE AS period_start
+        FROM activity_first_logins(p_tenant_id, p_timezone) f
+    )
+    SELECT
+        p.period_start,
+        (SELECT COUNT(*) FROM active a WHERE a.period_start = p.period_start)::INTEGER,
+        (SELECT COUNT(*) FROM active a
+            JOIN first_periods f ON f.username = a.username AND f.period_start = a.period_start
+            WHERE a.period_start = p.period_start)::INTEGER,
+        (SELECT COUNT(*) FROM active prev, bounds b
+            WHERE prev.period_start = (p.period_start - b.step)::DATE)::INTEGER,
+        (SELECT COUNT(*) FROM active prev
+            JOIN active cur ON cur.username = prev.username AND cur.period_start = p.period_start,
+            bounds b
+            WHERE prev.period_start = (p.period_start - b.step)::DATE)::INTEGER
+    FROM periods p
+    ORDER BY p.period_start;
+$$;
+
+COMMENT ON FUNCTION get_churn(DATE, DATE, TEXT, TEXT, INTERVAL, TEXT) IS '每个周期的活跃、新增、留存和流失用户';
+
+GRANT EXECUTE ON FUNCTION activity_session_durations(TIMESTAMPTZ, TIMESTAMPTZ, TEXT, TEXT, INTERVAL) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION activity_top_users(TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, TEXT, INTERVAL) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION activity_user_summary(TEXT, TIMESTAMPTZ, TIMESTAMPTZ, TEXT, INTERVAL, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION activity_session_intervals(TIMESTAMPTZ, TIMESTAMPTZ, TEXT, INTERVAL) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_concurrency_series(TIMESTAMPTZ, TIMESTAMPTZ, INTERVAL, TEXT, INTERVAL, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_peak_concurrency(TIMESTAMPTZ, TIMESTAMPTZ, TEXT, INTERVAL) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION activity_user_days(DATE, DATE, TEXT, INTERVAL, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION activity_first_logins(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_active_users(DATE, DATE, TEXT, INTERVAL, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_retention_cohorts(DATE, DATE, INTEGER[], TEXT, INTERVAL, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_churn(DATE, DATE, TEXT, TEXT, INTERVAL, TEXT) TO anon, authenticated;
+
+-- 查询较长时间范围时，login_time 和 (username, login_time) 上的索引（create-stats-table.sql）可以减少扫描的记录数
+
+-- 注意：
+-- 1. p_session_timeout 应与客户端的 inactiveTimeout（ActivityStats 的 sessionTimeout）保持一致
+-- 2. p_timezone 为 IANA 时区名称（如 'Asia/Shanghai'），由 ActivityStats 的 timezone 选项传入：
+--    按天的时间段、日活、留存、流失的日期和周期都按该时区划分，不受数据库时区影响
+-- 3. 留存和流失需要足够长的活动记录，retentionDays 应大于要统计的最长周期（如 30 日留存至少保留 60 天）
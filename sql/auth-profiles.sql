@@ -0,0 +1,71 @@
+-- Supabase Auth 模式（authMode: true）使用的用户资料表
+-- 首次登录检测（enableFirstLoginTracking）在 Auth 模式下默认读写 profiles.has_logged_in（按 id = auth.uid() 查找）
+-- auth.users 属于 auth schema，客户端无法直接读写，所以用 public.profiles 保存需要客户端访问的字段
+
+CREATE TABLE IF NOT EXISTS profiles (
+    id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    display_name TEXT,
+    has_logged_in BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE profiles IS '用户资料（与 auth.users 一一对应）';
+COMMENT ON COLUMN profiles.has_logged_in IS '是否已经登录过（首次登录检测用）';
+
+-- ========================================
+-- 注册时自动创建资料
+-- ========================================
+
+CREATE OR REPLACE FUNCTION handle_new_auth_user()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    INSERT INTO profiles (id, display_name)
+    VALUES (
+        NEW.id,
+        COALESCE(NEW.raw_user_meta_data ->> 'display_name', NEW.raw_user_meta_data ->> 'full_name', NEW.email)
+    )
+    ON CONFLICT (id) DO NOTHING;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+CREATE TRIGGER on_auth_user_created
+    AFTER INSERT ON auth.users
+    FOR EACH ROW EXECUTE FUNCTION handle_new_auth_user();
+
+-- 为已有用户补建资料
+INSERT INTO profiles (id, display_name)
+SELECT id, COALESCE(raw_user_meta_data ->> 'display_name', raw_user_meta_data ->> 'full_name', email)
+FROM auth.users
+ON CONFLICT (id) DO NOTHING;
+
+-- ========================================
+-- 行级安全：只能读写自己的资料
+-- ========================================
+
+ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS profiles_select_own ON profiles;
+DROP POLICY IF EXISTS profiles_update_own ON profiles;
+
+CREATE POLICY profiles_select_own ON profiles
+    FOR SELECT TO authenticated
+    USING (id = auth.uid());
+
+CREATE POLICY profiles_update_own ON profiles
+    FOR UPDATE TO authenticated
+    USING (id = auth.uid())
+    WITH CHECK (id = auth.uid());
+
+-- ========================================
+-- 说明
+-- ========================================
+-- 1. Auth 模式下在线表的 username 和 user_id 都是用户 ID，显示名保存在 metadata.displayName，
+--    按用户分组、分页、实时事件等逻辑与普通模式相同
+-- 2. 配合 rls-policies.sql 时，可以进一步要求 username 与 auth.uid() 一致，防止冒用他人的用户名：
+--    在 online_users_insert_own / online_users_update_own 的 WITH CHECK 中加上 AND username = auth.uid()::text
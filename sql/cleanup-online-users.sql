@@ -0,0 +1,48 @@
+-- 服务端清理过期的在线会话（推荐）
+-- 配合 cleanupMode: 'server' 使用：客户端读取时只过滤不删除，只读的管理后台不需要删除权限
+
+-- 删除超过 timeout 没有心跳的会话，返回删除的条数
+-- timeout 应与客户端的 inactiveTimeout 保持一致
+CREATE OR REPLACE FUNCTION cleanup_stale_online_users(timeout INTERVAL DEFAULT INTERVAL '5 minutes')
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM online_users
+    WHERE last_activity < NOW() - timeout;
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$;
+
+-- SECURITY DEFINER 函数会绕过 RLS，只允许定时任务（postgres）和 service_role 调用
+REVOKE EXECUTE ON FUNCTION cleanup_stale_online_users(INTERVAL) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cleanup_stale_online_users(INTERVAL) TO service_role;
+
+COMMENT ON FUNCTION cleanup_stale_online_users(INTERVAL) IS '删除超过指定时长没有心跳的在线会话';
+
+-- 定时任务（需要在 Supabase 控制台 Database -> Extensions 中启用 pg_cron）
+-- 每分钟清理一次超过 5 分钟没有心跳的会话：
+-- SELECT cron.schedule(
+--     'cleanup-stale-online-users',
+--     '* * * * *',
+--     $$SELECT cleanup_stale_online_users(INTERVAL '5 minutes')$$
+-- );
+
+-- 查看任务执行记录：
+-- SELECT * FROM cron.job_run_details
+-- WHERE jobid = (SELECT jobid FROM cron.job WHERE jobname = 'cleanup-stale-online-users')
+-- ORDER BY start_time DESC LIMIT 10;
+
+-- 取消定时任务：
+-- SELECT cron.unschedule('cleanup-stale-online-users');
+
+-- 注意：
+-- 1. 清理任务只影响"上线记录"的存储，读取时的在线判断由 last_activity 过滤决定，
+--    所以任务间隔不需要很短，延迟清理不会让离线用户显示为在线
+-- 2. 使用实时订阅时，清理会产生 DELETE 事件；客户端本地已按 inactiveTimeout 判断离线，不会重复触发离线回调
@@ -2,11 +2,17 @@
 CREATE TABLE IF NOT EXISTS user_activity_logs (
     id BIGSERIAL PRIMARY KEY,
     username TEXT NOT NULL,
+    user_id UUID DEFAULT auth.uid(),
+    tenant_id TEXT,
     login_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     logout_time TIMESTAMPTZ,
     duration INTEGER,  -- 在线时长（秒）
     device_type TEXT DEFAULT 'unknown',
     device_info JSONB,
+    session_id TEXT,  -- 对应 online_users.session_id（作为插件使用时写入）
+    last_activity TIMESTAMPTZ DEFAULT NOW(),  -- 最后一次心跳时间，由触发器同步
+    end_reason TEXT,  -- 结束原因：logout、timeLimit、unload、destroy，定时任务按心跳关闭时为 timeout（时长是估算的）
+    first_login BOOLEAN NOT NULL DEFAULT FALSE,  -- 是否为用户的首次登录（首次登录检测标记）
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
@@ -14,15 +20,107 @@ CREATE TABLE IF NOT EXISTS user_activity_logs (
 CREATE INDEX IF NOT EXISTS idx_activity_logs_username ON user_activity_logs(username);
 CREATE INDEX IF NOT EXISTS idx_activity_logs_login_time ON user_activity_logs(login_time);
 CREATE INDEX IF NOT EXISTS idx_activity_logs_username_login_time ON user_activity_logs(username, login_time);
+CREATE INDEX IF NOT EXISTS idx_activity_logs_tenant_login_time ON user_activity_logs(tenant_id, login_time);
+CREATE INDEX IF NOT EXISTS idx_activity_logs_open_session ON user_activity_logs(session_id) WHERE logout_time IS NULL;
+-- 按结束时间过滤（在线人数、活跃用户等报表只读取与统计范围有重叠的会话，见 activity_session_intervals）
+CREATE INDEX IF NOT EXISTS idx_activity_logs_ended_at
+    ON user_activity_logs ((COALESCE(logout_time, last_activity, login_time)));
+CREATE INDEX IF NOT EXISTS idx_activity_logs_tenant_ended_at
+    ON user_activity_logs (tenant_id, (COALESCE(logout_time, last_activity, login_time)));
 
 -- 添加注释
 COMMENT ON TABLE user_activity_logs IS '用户活动日志表（用于统计分析）';
 COMMENT ON COLUMN user_activity_logs.username IS '用户名';
+COMMENT ON COLUMN user_activity_logs.user_id IS '写入该记录的 Supabase Auth 用户';
+COMMENT ON COLUMN user_activity_logs.tenant_id IS '租户 ID（多租户时使用）';
 COMMENT ON COLUMN user_activity_logs.login_time IS '登录时间';
 COMMENT ON COLUMN user_activity_logs.logout_time IS '登出时间';
 COMMENT ON COLUMN user_activity_logs.duration IS '在线时长（秒）';
 COMMENT ON COLUMN user_activity_logs.device_type IS '设备类型';
 COMMENT ON COLUMN user_activity_logs.device_info IS '设备详细信息（JSON）';
+COMMENT ON COLUMN user_activity_logs.session_id IS '在线会话 ID';
+COMMENT ON COLUMN user_activity_logs.last_activity IS '最后一次心跳时间';
+COMMENT ON COLUMN user_activity_logs.end_reason IS '结束原因（timeout 表示按最后一次心跳估算）';
+COMMENT ON COLUMN user_activity_logs.first_login IS '是否为首次登录（留存分析按首次登录日期分组）';
+
+-- 心跳时同步最后活跃时间：online_users 每次写入都把 last_activity 写到同一会话未结束的记录上
+-- SECURITY DEFINER：启用 RLS 时客户端也不需要活动日志表的更新权限
+-- 如果使用了自定义表名，请同时修改函数和触发器中的表名
+CREATE OR REPLACE FUNCTION sync_activity_last_activity()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE user_activity_logs
+    SET last_activity = NEW.last_activity
+    WHERE session_id = NEW.session_id
+      AND logout_time IS NULL;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_activity_last_activity ON online_users;
+CREATE TRIGGER sync_activity_last_activity
+    AFTER INSERT OR UPDATE OF last_activity ON online_users
+    FOR EACH ROW EXECUTE FUNCTION sync_activity_last_activity();
+
+-- 页面关闭时结束活动记录（ActivityStats 作为插件时在 pagehide 通过 keepalive 请求调用）
+-- SECURITY INVOKER：启用 RLS 时只能结束策略允许的记录
+CREATE OR REPLACE FUNCTION end_activity_session(p_session_id TEXT)
+RETURNS VOID
+LANGUAGE sql
+SECURITY INVOKER
+AS $$
+    UPDATE user_activity_logs
+    SET logout_time = NOW(),
+        duration = GREATEST(0, EXTRACT(EPOCH FROM NOW() - login_time))::INTEGER,
+        end_reason = 'unload'
+    WHERE session_id = p_session_id
+      AND logout_time IS NULL;
+$$;
+
+GRANT EXECUTE ON FUNCTION end_activity_session(TEXT) TO anon, authenticated;
+
+-- 关闭异常中断的会话（浏览器崩溃、断网、设备休眠后没有再打开）
+-- 超过 timeout 没有心跳的记录以最后一次心跳时间作为登出时间，返回关闭的条数
+-- 只处理带 session_id 的记录，手动调用 recordLogin 且没有传 sessionId 的记录没有心跳信息，不会被关闭
+-- timeout 应与客户端的 inactiveTimeout 保持一致
+CREATE OR REPLACE FUNCTION close_orphaned_activity_sessions(timeout INTERVAL DEFAULT INTERVAL '5 minutes')
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    closed_count INTEGER;
+BEGIN
+    UPDATE user_activity_logs
+    SET logout_time = COALESCE(last_activity, login_time),
+        duration = GREATEST(0, EXTRACT(EPOCH FROM COALESCE(last_activity, login_time) - login_time))::INTEGER,
+        end_reason = 'timeout'
+    WHERE logout_time IS NULL
+      AND session_id IS NOT NULL
+      AND COALESCE(last_activity, login_time) < NOW() - timeout;
+
+    GET DIAGNOSTICS closed_count = ROW_COUNT;
+    RETURN closed_count;
+END;
+$$;
+
+-- SECURITY DEFINER 函数会绕过 RLS，只允许定时任务（postgres）和 service_role 调用
+REVOKE EXECUTE ON FUNCTION close_orphaned_activity_sessions(INTERVAL) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION close_orphaned_activity_sessions(INTERVAL) TO service_role;
+
+COMMENT ON FUNCTION close_orphaned_activity_sessions(INTERVAL) IS '以最后一次心跳时间关闭超时未结束的活动记录';
+
+-- 定时任务（需要启用 pg_cron）：每 5 分钟关闭一次超过 5 分钟没有心跳的记录
+-- SELECT cron.schedule(
+--     'close-orphaned-activity-sessions',
+--     '*/5 * * * *',
+--     $$SELECT close_orphaned_activity_sessions(INTERVAL '5 minutes')$$
+-- );
 
 -- 可选：创建自动清理函数（清理30天前的记录）
 CREATE OR REPLACE FUNCTION cleanup_old_activity_logs()
@@ -37,7 +135,169 @@ $$ LANGUAGE plpgsql;
 -- 需要安装 pg_cron 扩展
 -- SELECT cron.schedule('cleanup-activity-logs', '0 2 * * *', 'SELECT cleanup_old_activity_logs()');
 
+-- ========================================
+-- 数据保留策略（ActivityStats 的 retentionStrategy）
+-- ========================================
+-- - delete（默认）：直接删除过期记录，不需要下面的表和函数
+-- - archive：把过期记录移到 user_activity_logs_archive（archive_activity_logs）
+-- - rollup：把过期记录汇总为每个用户每天的登录次数和在线时长，写入 user_activity_daily 后删除（rollup_activity_logs），
+--   getUserStats 会把汇总数据计入保留期之前的统计
+-- 两个函数都只处理已经结束的记录（已登出，或超过 p_session_timeout 没有心跳），移动/汇总和删除在同一个事务中完成
+-- 两个函数只授权给 service_role：由定时任务执行，或在服务端使用 service_role 密钥的 ActivityStats 调用
+-- 如果使用了自定义表名，请修改函数中的表名
+
+-- 归档表：列与活动日志表相同（按列顺序插入，日志表增加列后归档表也要增加同样的列），另加归档时间
+CREATE TABLE IF NOT EXISTS user_activity_logs_archive (
+    LIKE user_activity_logs INCLUDING DEFAULTS,
+    archived_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_logs_archive_username_login_time ON user_activity_logs_archive(username, login_time);
+CREATE INDEX IF NOT EXISTS idx_activity_logs_archive_tenant_login_time ON user_activity_logs_archive(tenant_id, login_time);
+
+COMMENT ON TABLE user_activity_logs_archive IS '已归档的用户活动日志（retentionStrategy 为 archive）';
+
+-- 每日汇总表：每个用户每天一行（日期按汇总时 ActivityStats 的 timezone 划分）
+CREATE TABLE IF NOT EXISTS user_activity_daily (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id TEXT,
+    username TEXT NOT NULL,
+    day DATE NOT NULL,
+    login_count INTEGER NOT NULL DEFAULT 0,
+    total_online_time BIGINT NOT NULL DEFAULT 0,  -- 在线时长（秒）
+    estimated_online_time BIGINT NOT NULL DEFAULT 0,  -- 其中按心跳估算的时长（秒）
+    first_login TIMESTAMPTZ,
+    last_login TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 同一租户、用户、日期只有一行（tenant_id 可以为空）
+CREATE UNIQUE INDEX IF NOT EXISTS idx_activity_daily_tenant_username_day
+    ON user_activity_daily((COALESCE(tenant_id, '')), username, day);
+CREATE INDEX IF NOT EXISTS idx_activity_daily_username_day ON user_activity_daily(username, day);
+
+COMMENT ON TABLE user_activity_daily IS '用户活动的每日汇总（retentionStrategy 为 rollup）';
+COMMENT ON COLUMN user_activity_daily.day IS '登录日期';
+COMMENT ON COLUMN user_activity_daily.login_count IS '登录次数';
+COMMENT ON COLUMN user_activity_daily.total_online_time IS '在线时长（秒）';
+COMMENT ON COLUMN user_activity_daily.estimated_online_time IS '其中按心跳估算的时长（秒）';
+COMMENT ON COLUMN user_activity_daily.last_login IS '当天最后一次登录时间';
+
+-- 把登录时间早于 p_cutoff 的已结束记录移到归档表，返回移动的条数
+CREATE OR REPLACE FUNCTION archive_activity_logs(
+    p_cutoff TIMESTAMPTZ,
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes'
+)
+RETURNS INTEGER
+LANGUAGE sql
+SECURITY INVOKER
+AS $$
+    WITH moved AS (
+        DELETE FROM user_activity_logs l
+        WHERE l.login_time < p_cutoff
+          AND (p_tenant_id IS NULL OR l.tenant_id = p_tenant_id)
+          AND (l.logout_time IS NOT NULL OR COALESCE(l.last_activity, l.login_time) < NOW() - p_session_timeout)
+        RETURNING l.*
+    ),
+    archived AS (
+        INSERT INTO user_activity_logs_archive
+        SELECT m.*, NOW() FROM moved m
+        RETURNING 1
+    )
+    SELECT COUNT(*)::INTEGER FROM archived;
+$$;
+
+COMMENT ON FUNCTION archive_activity_logs(TIMESTAMPTZ, TEXT, INTERVAL) IS '把过期的活动记录移到归档表';
+
+-- 把登录时间早于 p_cutoff 的已结束记录累加到每日汇总表后删除，返回删除的条数
+-- 时长与 getUserStats 一致：已登出的用记录的时长，没有登出的以最后一次心跳作为结束时间（计为估算）
+CREATE OR REPLACE FUNCTION rollup_activity_logs(
+    p_cutoff TIMESTAMPTZ,
+    p_tenant_id TEXT DEFAULT NULL,
+    p_session_timeout INTERVAL DEFAULT INTERVAL '5 minutes',
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS INTEGER
+LANGUAGE sql
+SECURITY INVOKER
+AS $$
+    WITH removed AS (
+        DELETE FROM user_activity_logs l
+        WHERE l.login_time < p_cutoff
+          AND (p_tenant_id IS NULL OR l.tenant_id = p_tenant_id)
+          AND (l.logout_time IS NOT NULL OR COALESCE(l.last_activity, l.login_time) < NOW() - p_session_timeout)
+        RETURNING l.*
+    ),
+    sessions AS (
+        SELECT
+            r.tenant_id,
+            r.username,
+            r.login_time,
+            (r.login_time AT TIME ZONE p_timezone)::DATE AS day,
+            CASE
+                WHEN r.logout_time IS NOT NULL AND r.duration IS NOT NULL THEN r.duration
+                ELSE GREATEST(0, FLOOR(EXTRACT(EPOCH FROM COALESCE(r.logout_time, r.last_activity, r.login_time) - r.login_time)))
+            END::BIGINT AS duration,
+            r.logout_time IS NOT NULL AND r.end_reason IS DISTINCT FROM 'timeout' AS exact
+        FROM removed r
+    ),
+    daily AS (
+        INSERT INTO user_activity_daily AS d
+            (tenant_id, username, day, login_count, total_online_time, estimated_online_time, first_login, last_login)
+        SELECT
+            s.tenant_id,
+            s.username,
+            s.day,
+            COUNT(*),
+            SUM(s.duration),
+            COALESCE(SUM(s.duration) FILTER (WHERE NOT s.exact), 0),
+            MIN(s.login_time),
+            MAX(s.login_time)
+        FROM sessions s
+        GROUP BY s.tenant_id, s.username, s.day
+        ON CONFLICT ((COALESCE(tenant_id, '')), username, day) DO UPDATE SET
+            login_count = d.login_count + EXCLUDED.login_count,
+            total_online_time = d.total_online_time + EXCLUDED.total_online_time,
+            estimated_online_time = d.estimated_online_time + EXCLUDED.estimated_online_time,
+            first_login = LEAST(d.first_login, EXCLUDED.first_login),
+            last_login = GREATEST(d.last_login, EXCLUDED.last_login),
+            updated_at = NOW()
+        RETURNING 1
+    )
+    SELECT COUNT(*)::INTEGER FROM sessions;
+$$;
+
+COMMENT ON FUNCTION rollup_activity_logs(TIMESTAMPTZ, TEXT, INTERVAL, TEXT) IS '把过期的活动记录汇总到每日汇总表后删除';
+
+-- 归档和汇总会删除活动记录，只允许定时任务（postgres）和 service_role 调用，浏览器中的客户端不能调用
+REVOKE EXECUTE ON FUNCTION archive_activity_logs(TIMESTAMPTZ, TEXT, INTERVAL) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION rollup_activity_logs(TIMESTAMPTZ, TEXT, INTERVAL, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION archive_activity_logs(TIMESTAMPTZ, TEXT, INTERVAL) TO service_role;
+GRANT EXECUTE ON FUNCTION rollup_activity_logs(TIMESTAMPTZ, TEXT, INTERVAL, TEXT) TO service_role;
+
+-- 定时任务（需要启用 pg_cron）：每天凌晨 2 点把 30 天前的记录汇总到每日汇总表
+-- SELECT cron.schedule(
+--     'rollup-activity-logs',
+--     '0 2 * * *',
+--     $$SELECT rollup_activity_logs(NOW() - INTERVAL '30 days', NULL, INTERVAL '5 minutes', 'Asia/Shanghai')$$
+-- );
+
+-- 从旧版本升级：
+-- ALTER TABLE user_activity_logs ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid();
+-- ALTER TABLE user_activity_logs ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+-- CREATE INDEX IF NOT EXISTS idx_activity_logs_tenant_login_time ON user_activity_logs(tenant_id, login_time);
+-- ALTER TABLE user_activity_logs ADD COLUMN IF NOT EXISTS session_id TEXT;
+-- ALTER TABLE user_activity_logs ADD COLUMN IF NOT EXISTS last_activity TIMESTAMPTZ DEFAULT NOW();
+-- ALTER TABLE user_activity_logs ADD COLUMN IF NOT EXISTS end_reason TEXT;
+-- ALTER TABLE user_activity_logs ADD COLUMN IF NOT EXISTS first_login BOOLEAN NOT NULL DEFAULT FALSE;
+-- CREATE INDEX IF NOT EXISTS idx_activity_logs_open_session ON user_activity_logs(session_id) WHERE logout_time IS NULL;
+-- 然后执行上面的 sync_activity_last_activity、end_activity_session、close_orphaned_activity_sessions
+-- 使用 archive 或 rollup 策略时再执行"数据保留策略"一节
+
 -- 注意：
 -- 1. 默认保留30天数据，可根据需求调整
--- 2. 如果使用 ActivityStats 的 autoCleanup 功能，不需要设置数据库定时任务
--- 3. 建议定期检查数据量，避免堆积
\ No newline at end of file
+-- 2. 如果使用 ActivityStats 的 autoCleanup 功能，不需要设置数据库定时任务；
+--    cleanup_old_activity_logs 会直接删除记录，需要保留汇总数据时请改用 rollup_activity_logs
+-- 3. 建议定期检查数据量，避免堆积
+-- 4. 会话时长统计依赖 online_users 表（create-table.sql）的心跳，presence 模式需要开启 persistPresence
\ No newline at end of file
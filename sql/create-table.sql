@@ -1,7 +1,16 @@
 -- 创建在线用户表（必需）
+-- 每个设备/标签页是一个会话，对应一条记录；同一用户可以有多条记录
 CREATE TABLE IF NOT EXISTS online_users (
     id BIGSERIAL PRIMARY KEY,
-    username TEXT UNIQUE NOT NULL,
+    session_id TEXT UNIQUE NOT NULL,
+    username TEXT NOT NULL,
+    user_id UUID DEFAULT auth.uid(),
+    tenant_id TEXT,
+    device_type TEXT DEFAULT 'unknown',
+    status TEXT NOT NULL DEFAULT 'online' CHECK (status IN ('online', 'away', 'busy', 'dnd')),
+    status_message TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    rooms TEXT[] NOT NULL DEFAULT '{}',
     last_activity TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -9,13 +18,122 @@ CREATE TABLE IF NOT EXISTS online_users (
 -- 创建索引以提高查询性能
 CREATE INDEX IF NOT EXISTS idx_online_users_username ON online_users(username);
 CREATE INDEX IF NOT EXISTS idx_online_users_last_activity ON online_users(last_activity);
+CREATE INDEX IF NOT EXISTS idx_online_users_tenant_last_activity ON online_users(tenant_id, last_activity);
+-- 按 metadata 的键过滤（filter: { metadata: {...} } 使用 @> 包含查询）
+CREATE INDEX IF NOT EXISTS idx_online_users_metadata ON online_users USING GIN (metadata jsonb_path_ops);
+-- 按房间查询（room 选项使用 rooms @> ARRAY[房间名]）
+CREATE INDEX IF NOT EXISTS idx_online_users_rooms ON online_users USING GIN (rooms);
+
+-- 实时订阅的 DELETE 事件需要携带 username 等字段
+ALTER TABLE online_users REPLICA IDENTITY FULL;
 
 -- 添加注释
-COMMENT ON TABLE online_users IS '在线用户状态表';
-COMMENT ON COLUMN online_users.username IS '用户名（唯一）';
+COMMENT ON TABLE online_users IS '在线会话表（每个设备/标签页一条）';
+COMMENT ON COLUMN online_users.session_id IS '会话 ID（唯一，每个设备/标签页一个）';
+COMMENT ON COLUMN online_users.username IS '用户名';
+COMMENT ON COLUMN online_users.user_id IS '写入该会话的 Supabase Auth 用户（RLS 策略用来限制只能写自己的会话）';
+COMMENT ON COLUMN online_users.tenant_id IS '租户 ID（多租户时使用，配合 tenantId 选项和 sql/rls-policies.sql）';
+COMMENT ON COLUMN online_users.device_type IS '设备类型（desktop/mobile/tablet/unknown）';
+COMMENT ON COLUMN online_users.status IS '在线状态（online/away/busy/dnd）';
+COMMENT ON COLUMN online_users.status_message IS '自定义状态消息';
+COMMENT ON COLUMN online_users.metadata IS '会话的自定义数据（当前页面、教室 ID、角色等）';
+COMMENT ON COLUMN online_users.rooms IS '会话所在的房间（课程、页面等），一个会话可以在多个房间中';
 COMMENT ON COLUMN online_users.last_activity IS '最后活跃时间';
 COMMENT ON COLUMN online_users.created_at IS '记录创建时间';
 
+-- 页面卸载时结束当前会话
+-- 客户端在 pagehide/beforeunload 时通过 POST /rest/v1/rpc/end_online_session 调用
+-- SECURITY INVOKER：以调用者（用户 JWT 或 anon）身份执行，启用 RLS 时只能删除策略允许的会话
+-- 如果使用了自定义表名，请修改表名并通过 unloadFunction 配置函数名
+CREATE OR REPLACE FUNCTION end_online_session(p_session_id TEXT)
+RETURNS VOID
+LANGUAGE sql
+SECURITY INVOKER
+AS $$
+    DELETE FROM online_users WHERE session_id = p_session_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION end_online_session(TEXT) TO anon, authenticated;
+
+-- 按用户分页获取在线用户（getOnlineUsersPage / 带 limit、offset 的 getOnlineUsers 使用）
+-- 在数据库中完成过期过滤、按用户合并和分页，每页的用户数和总数都以用户为单位
+-- 排序：最后活跃时间倒序、用户名倒序；传入游标时使用键集分页 (last_activity, username)
+-- p_filter 为字段等值条件，如 '{"device_type": "mobile"}'；metadata 按包含匹配，如 '{"metadata": {"classroom": "A101"}}'
+-- 按房间查询时为 '{"rooms": ["房间名"]}'
+-- metadata、rooms、tenant_id 直接在列上比较，可以使用上面的索引；其余字段只在这些条件筛出的会话上逐行比较
+-- 返回：{ "total": 用户总数, "users": [{ "username", "last_activity", "sessions": [会话记录...] }] }
+CREATE OR REPLACE FUNCTION get_online_users_page(
+    p_cutoff TIMESTAMPTZ,
+    p_search TEXT DEFAULT NULL,
+    p_filter JSONB DEFAULT '{}'::jsonb,
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0,
+    p_cursor_last_activity TIMESTAMPTZ DEFAULT NULL,
+    p_cursor_username TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH active_users AS (
+        SELECT
+            o.username,
+            MAX(o.last_activity) AS last_activity,
+            jsonb_agg(to_jsonb(o)) AS sessions
+        FROM online_users o
+        WHERE o.last_activity >= p_cutoff
+          AND (p_search IS NULL OR o.username ILIKE '%' || p_search || '%')
+          AND o.metadata @> COALESCE(p_filter -> 'metadata', '{}'::jsonb)
+          AND o.rooms @> ARRAY(SELECT jsonb_array_elements_text(p_filter -> 'rooms'))
+          AND (p_filter ->> 'tenant_id' IS NULL OR o.tenant_id = p_filter ->> 'tenant_id')
+          AND (COALESCE(p_filter, '{}'::jsonb) - ARRAY['metadata', 'rooms', 'tenant_id'] = '{}'::jsonb
+               OR to_jsonb(o) @> (p_filter - ARRAY['metadata', 'rooms', 'tenant_id']))
+        GROUP BY o.username
+    ),
+    page AS (
+        SELECT *
+        FROM active_users u
+        WHERE p_cursor_last_activity IS NULL
+           OR (u.last_activity, u.username) < (p_cursor_last_activity, p_cursor_username)
+        ORDER BY u.last_activity DESC, u.username DESC
+        LIMIT p_limit
+        OFFSET p_offset
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT COUNT(*) FROM active_users),
+        'users', COALESCE(
+            (SELECT jsonb_agg(jsonb_build_object(
+                'username', p.username,
+                'last_activity', p.last_activity,
+                'sessions', p.sessions
+            ) ORDER BY p.last_activity DESC, p.username DESC) FROM page p),
+            '[]'::jsonb
+        )
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION get_online_users_page(TIMESTAMPTZ, TEXT, JSONB, INTEGER, INTEGER, TIMESTAMPTZ, TEXT)
+    TO anon, authenticated;
+
+-- 从旧版本（username 唯一）升级：
+-- ALTER TABLE online_users DROP CONSTRAINT IF EXISTS online_users_username_key;
+-- ALTER TABLE online_users ADD COLUMN IF NOT EXISTS session_id TEXT;
+-- ALTER TABLE online_users ADD COLUMN IF NOT EXISTS device_type TEXT DEFAULT 'unknown';
+-- UPDATE online_users SET session_id = 'legacy-' || id WHERE session_id IS NULL;
+-- ALTER TABLE online_users ALTER COLUMN session_id SET NOT NULL;
+-- ALTER TABLE online_users ADD CONSTRAINT online_users_session_id_key UNIQUE (session_id);
+-- ALTER TABLE online_users ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'online'
+--     CHECK (status IN ('online', 'away', 'busy', 'dnd'));
+-- ALTER TABLE online_users ADD COLUMN IF NOT EXISTS status_message TEXT;
+-- ALTER TABLE online_users ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+-- CREATE INDEX IF NOT EXISTS idx_online_users_metadata ON online_users USING GIN (metadata jsonb_path_ops);
+-- ALTER TABLE online_users ADD COLUMN IF NOT EXISTS rooms TEXT[] NOT NULL DEFAULT '{}';
+-- CREATE INDEX IF NOT EXISTS idx_online_users_rooms ON online_users USING GIN (rooms);
+-- ALTER TABLE online_users ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid();
+-- ALTER TABLE online_users ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+-- CREATE INDEX IF NOT EXISTS idx_online_users_tenant_last_activity ON online_users(tenant_id, last_activity);
+
 -- 如果需要首次登录检测功能，在你的用户表中添加字段
 -- 注意：请将 'users' 替换为你实际的用户表名
 ALTER TABLE users 
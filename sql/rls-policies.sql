@@ -0,0 +1,128 @@
+-- 行级安全（RLS）策略（多租户或使用 Supabase Auth 时推荐）
+-- 执行前先运行 create-table.sql（使用统计功能时还有 create-stats-table.sql），统计表不存在时跳过对应的策略
+--
+-- 规则：
+-- 1. 用户只能写入、更新、删除自己的会话（user_id = auth.uid()，写入时由列默认值自动填充）
+-- 2. 用户只能读取同一租户内的会话
+--
+-- 租户来自用户 JWT 的 app_metadata.tenant_id，只能在服务端设置，用户无法自行修改：
+--   await supabaseAdmin.auth.admin.updateUserById(userId, { app_metadata: { tenant_id: 'school-a' } });
+-- 客户端的 tenantId 选项应与之一致。客户端的租户过滤只用于减少查询和实时推送的数据量，真正的隔离由这里的策略保证
+-- 单租户项目不设置 tenant_id 即可：没有租户的用户之间互相可见，与有租户的用户隔离
+--
+-- 注意：
+-- - 启用后匿名（anon）客户端无法读写，需要先通过 Supabase Auth 登录（也可以使用匿名登录 signInAnonymously）
+-- - cleanupMode: 'client' 只能删除自己的过期会话，请改用 cleanupMode: 'server' 和 cleanup-online-users.sql 中的定时任务
+-- - removeStatus(username, { allSessions: true }) 只能移除自己的会话，强制其他用户下线需要在服务端使用 service_role
+-- - transport: 'presence' 不经过数据表，不受这里的策略保护；tenantId 只会让不同租户使用不同的频道名
+
+-- 当前用户的租户 ID（没有设置时为 NULL）
+CREATE OR REPLACE FUNCTION current_tenant_id()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT NULLIF(auth.jwt() -> 'app_metadata' ->> 'tenant_id', '');
+$$;
+
+COMMENT ON FUNCTION current_tenant_id() IS '当前用户 JWT 中 app_metadata.tenant_id 的值';
+
+-- ========================================
+-- 在线会话表
+-- ========================================
+
+ALTER TABLE online_users ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS online_users_select_same_tenant ON online_users;
+DROP POLICY IF EXISTS online_users_insert_own ON online_users;
+DROP POLICY IF EXISTS online_users_update_own ON online_users;
+DROP POLICY IF EXISTS online_users_delete_own ON online_users;
+
+-- 只能读取同一租户的会话（实时订阅的 INSERT/UPDATE 事件同样按这条策略推送）
+CREATE POLICY online_users_select_same_tenant ON online_users
+    FOR SELECT TO authenticated
+    USING (tenant_id IS NOT DISTINCT FROM current_tenant_id());
+
+-- 只能以自己的身份、在自己的租户内写入会话
+CREATE POLICY online_users_insert_own ON online_users
+    FOR INSERT TO authenticated
+    WITH CHECK (user_id = auth.uid() AND tenant_id IS NOT DISTINCT FROM current_tenant_id());
+
+-- 心跳（upsert）只能更新自己的会话，不能把会话转给其他用户或租户
+CREATE POLICY online_users_update_own ON online_users
+    FOR UPDATE TO authenticated
+    USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid() AND tenant_id IS NOT DISTINCT FROM current_tenant_id());
+
+-- 登出和页面卸载（end_online_session）只能删除自己的会话
+CREATE POLICY online_users_delete_own ON online_users
+    FOR DELETE TO authenticated
+    USING (user_id = auth.uid());
+
+-- ========================================
+-- 活动日志表（使用统计功能时）
+-- ========================================
+-- 没有执行 create-stats-table.sql 时跳过（表不存在）
+-- 过期记录由数据库定时任务（cleanup_old_activity_logs 或 rollup_activity_logs）清理，客户端没有删除权限，
+-- 启用后请在 ActivityStats 中设置 autoCleanup: false
+
+DO $$
+BEGIN
+    IF to_regclass('public.user_activity_logs') IS NULL THEN
+        RETURN;
+    END IF;
+
+    ALTER TABLE user_activity_logs ENABLE ROW LEVEL SECURITY;
+
+    DROP POLICY IF EXISTS user_activity_logs_select_same_tenant ON user_activity_logs;
+    DROP POLICY IF EXISTS user_activity_logs_insert_own ON user_activity_logs;
+    DROP POLICY IF EXISTS user_activity_logs_update_own ON user_activity_logs;
+
+    -- 只能读取同一租户的活动记录（统计报表函数是 SECURITY INVOKER，同样只统计这些记录）
+    CREATE POLICY user_activity_logs_select_same_tenant ON user_activity_logs
+        FOR SELECT TO authenticated
+        USING (tenant_id IS NOT DISTINCT FROM current_tenant_id());
+
+    -- 只能以自己的身份、在自己的租户内记录登录
+    CREATE POLICY user_activity_logs_insert_own ON user_activity_logs
+        FOR INSERT TO authenticated
+        WITH CHECK (user_id = auth.uid() AND tenant_id IS NOT DISTINCT FROM current_tenant_id());
+
+    -- 登出和页面关闭（end_activity_session）只能结束自己的记录
+    CREATE POLICY user_activity_logs_update_own ON user_activity_logs
+        FOR UPDATE TO authenticated
+        USING (user_id = auth.uid())
+        WITH CHECK (user_id = auth.uid() AND tenant_id IS NOT DISTINCT FROM current_tenant_id());
+END;
+$$;
+
+-- 归档表和每日汇总表（retentionStrategy 为 archive / rollup 时）只读，由 service_role 或定时任务写入
+DO $$
+BEGIN
+    IF to_regclass('public.user_activity_logs_archive') IS NOT NULL THEN
+        ALTER TABLE user_activity_logs_archive ENABLE ROW LEVEL SECURITY;
+        DROP POLICY IF EXISTS user_activity_logs_archive_select_same_tenant ON user_activity_logs_archive;
+        CREATE POLICY user_activity_logs_archive_select_same_tenant ON user_activity_logs_archive
+            FOR SELECT TO authenticated
+            USING (tenant_id IS NOT DISTINCT FROM current_tenant_id());
+    END IF;
+
+    IF to_regclass('public.user_activity_daily') IS NOT NULL THEN
+        ALTER TABLE user_activity_daily ENABLE ROW LEVEL SECURITY;
+        DROP POLICY IF EXISTS user_activity_daily_select_same_tenant ON user_activity_daily;
+        CREATE POLICY user_activity_daily_select_same_tenant ON user_activity_daily
+            FOR SELECT TO authenticated
+            USING (tenant_id IS NOT DISTINCT FROM current_tenant_id());
+    END IF;
+END;
+$$;
+
+-- ========================================
+-- 说明
+-- ========================================
+-- 1. 启用 RLS 后，实时订阅的 DELETE 事件只携带主键（id），客户端会根据本地缓存找回对应的会话
+-- 2. get_online_users_page 和 end_online_session 是 SECURITY INVOKER 函数，同样受这里的策略约束
+-- 3. cleanup_stale_online_users 是 SECURITY DEFINER 函数，由定时任务执行，不受影响
+-- 4. 统计报表函数（activity-reports.sql）是 SECURITY INVOKER 函数，启用后匿名客户端统计不到任何记录，
+--    登录用户只统计同一租户的记录
+-- 5. 后执行 create-stats-table.sql 时，请重新执行本文件，为新建的统计表启用策略
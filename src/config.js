@@ -28,6 +28,14 @@ export default {
     tableName: 'online_users',        // 在线用户表名
     heartbeatInterval: 30000,         // 心跳间隔（30秒）
     inactiveTimeout: 300000,          // 离线超时（5分钟）
+    hiddenPolicy: 'continue',         // 切到其他标签页时：'continue' 照常心跳 / 'slow' 放慢 / 'away' 显示为离开 / 'stop' 停止
+    idleTimeout: 0,                   // 无操作多久自动切换为"离开"（0 = 不切换）
+    // idleTimeout: 600000,           // 示例：10 分钟无操作显示为离开
+    cleanupMode: 'client',            // 过期记录清理方式：'client'（读取时顺带删除）或 'server'（数据库定时任务，见 sql/cleanup-online-users.sql）
+    crossTab: true,                   // 同一浏览器的多个标签页共享一个会话，只由一个标签页写心跳
+    tenantId: null,                   // 租户 ID（多租户时填写，如 'school-a'；配合 sql/rls-policies.sql）
+    authMode: false,                  // 使用 Supabase Auth 的登录用户作为身份，登录/登出时自动开始/停止追踪（见 sql/auth-profiles.sql）
+    timezone: null,                   // 统计使用的时区（如 'Asia/Shanghai'），"今天""本周"按该时区计算（null = 浏览器时区）
   },
 
   // ==========================================
@@ -65,7 +73,7 @@ export default {
   tables: {
     onlineUsers: 'online_users',      // 在线用户表
     activityLogs: 'user_activity_logs', // 活动日志表
-    users: 'users',                   // 用户表（首次登录检测用）
+    users: 'users',                   // 用户表（首次登录检测用；authMode 下使用 profiles 表）
   },
 
   // ==========================================
@@ -74,7 +82,8 @@ export default {
   
   retention: {
     days: 30,                         // 保留 30 天数据
-    autoCleanup: true,                // 自动清理过期数据
+    autoCleanup: true,                // 自动清理过期数据（只对 'delete' 生效，archive/rollup 需要在服务端定时执行）
+    strategy: 'delete',               // 过期数据的处理方式：'delete' 删除、'archive' 归档、'rollup' 汇总为每日数据后删除
   },
 
   // ==========================================
@@ -94,6 +103,11 @@ export default {
       console.log(`${user.username} 离线了`);
     },
     
+    // 用户状态变化时，如 online → away（需要开启 realtime）
+    onUserStatusChange: (user, previousStatus) => {
+      console.log(`${user.username}: ${previousStatus} → ${user.status}`);
+    },
+    
     // 在线时长警告
     onTimeWarning: () => {
       alert('您已在线较长时间，建议休息一下');
@@ -108,5 +122,10 @@ export default {
     onError: (error) => {
       console.error('在线状态错误:', error);
     },
+    
+    // 连接状态变化时：'connected' / 'degraded'（写入失败重试中）/ 'offline'（断网）/ 'stopped'
+    onConnectionChange: (state, previousState) => {
+      console.log(`连接状态: ${previousState} → ${state}`);
+    },
   },
 };
@@ -0,0 +1,13 @@
+/**
+ * 数据库错误判断
+ */
+
+/**
+ * 是否为数据库函数不存在的错误（PostgREST 找不到函数，或 PostgreSQL 的 undefined_function）
+ * 调用方据此退回不依赖该函数的实现
+ * @param {Object} error - Supabase 返回的错误
+ * @returns {boolean}
+ */
+export const isMissingFunction = (error) =>
+    !!error && (error.code === 'PGRST202' || error.code === '42883' ||
+    /could not find the function|function .* does not exist/i.test(error.message || ''));
@@ -0,0 +1,113 @@
+/**
+ * 事件发射器
+ * OnlineStatusManager 的事件基类，支持同一事件注册多个监听函数
+ */
+
+export class EventEmitter {
+    constructor() {
+        this._listeners = new Map(); // 事件名 -> Set<监听函数>
+    }
+
+    /**
+     * 注册事件监听
+     * @param {string} event - 事件名
+     * @param {Function} listener - 监听函数
+     * @returns {Function} 取消监听函数
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error('事件监听函数必须是函数');
+        }
+
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, new Set());
+        }
+        this._listeners.get(event).add(listener);
+
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * 注册只触发一次的事件监听
+     * @param {string} event - 事件名
+     * @param {Function} listener - 监听函数
+     * @returns {Function} 取消监听函数
+     */
+    once(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error('事件监听函数必须是函数');
+        }
+
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener(...args);
+        };
+        wrapper.listener = listener; // 允许用原函数 off
+
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * 移除事件监听
+     * 不传 listener 时移除该事件的所有监听，不传参数时移除全部
+     * @param {string} [event] - 事件名
+     * @param {Function} [listener] - 监听函数
+     */
+    off(event, listener) {
+        if (event === undefined) {
+            this._listeners.clear();
+            return;
+        }
+
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+
+        if (listener === undefined) {
+            this._listeners.delete(event);
+            return;
+        }
+
+        listeners.forEach(registered => {
+            if (registered === listener || registered.listener === listener) {
+                listeners.delete(registered);
+            }
+        });
+
+        if (listeners.size === 0) {
+            this._listeners.delete(event);
+        }
+    }
+
+    /**
+     * 触发事件
+     * 单个监听函数出错不影响其他监听函数和库的内部流程
+     * @param {string} event - 事件名
+     * @param {...any} args - 事件参数
+     * @returns {boolean} 是否有监听函数
+     */
+    emit(event, ...args) {
+        const listeners = this._listeners.get(event);
+        if (!listeners || listeners.size === 0) return false;
+
+        // 复制一份，监听函数中 off/once 不影响本次遍历
+        Array.from(listeners).forEach(listener => {
+            try {
+                listener(...args);
+            } catch (error) {
+                console.error(`事件 ${event} 的监听函数出错:`, error);
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * 获取事件的监听函数数量
+     * @param {string} event - 事件名
+     * @returns {number}
+     */
+    listenerCount(event) {
+        const listeners = this._listeners.get(event);
+        return listeners ? listeners.size : 0;
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * 数据导出
+ * 把分页读取的记录转换为 CSV、JSON 或 NDJSON，逐页输出文本片段，不需要一次载入所有记录
+ * - CSV：UTF-8 BOM（Excel 按 UTF-8 打开中文）、RFC 4180 转义、CRLF 换行，时间按时区格式化为 'YYYY-MM-DD HH:mm:ss'
+ * - JSON：一个数组，时间为 ISO 字符串
+ * - NDJSON：每行一条记录，适合边读边处理
+ */
+
+import { formatDateTime, getLocalTimeZone } from './extensions/periods.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+// 各格式的 MIME 类型（下载文件时使用）
+export const EXPORT_MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    json: 'application/json;charset=utf-8',
+    ndjson: 'application/x-ndjson;charset=utf-8'
+};
+
+const BOM = '\uFEFF';
+
+// 以这些字符开头的单元格会被 Excel 当作公式执行
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * 检查导出格式
+ * @param {string} format
+ * @returns {string}
+ */
+export function checkExportFormat(format = 'csv') {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`无效的导出格式: ${format}`);
+    }
+    return format;
+}
+
+/**
+ * 转义 CSV 单元格：含逗号、引号、换行时加引号并把引号加倍；
+ * 以 = + - @ 开头的文本前加单引号，防止在 Excel 中被当作公式
+ * @param {any} value - 已转换为文本的值
+ * @returns {string}
+ */
+export function escapeCSV(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 把记录的值转换为 CSV 单元格的文本
+ * @private
+ */
+function toCSVValue(value, timeZone) {
+    if (value instanceof Date) return formatDateTime(value, timeZone);
+    if (Array.isArray(value) && value.every(item => typeof item !== 'object' || item === null)) {
+        return value.join(';');
+    }
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * 把记录转换为 JSON 的值（时间为 ISO 字符串，缺少的字段为 null）
+ * @private
+ */
+function toJSONRecord(row, columns) {
+    return columns.reduce((record, column) => {
+        const value = row[column];
+        record[column] = value instanceof Date ? value.toISOString() : (value === undefined ? null : value);
+        return record;
+    }, {});
+}
+
+/**
+ * 逐页转换为导出文本
+ * @param {AsyncIterable<Array<Object>>} pages - 每次产出一页记录
+ * @param {Object} options - 选项
+ * @param {Array<string>} options.columns - 导出的字段（按顺序）
+ * @param {string} options.format - 'csv' | 'json' | 'ndjson'（默认 'csv'）
+ * @param {Object} options.headers - CSV 表头的显示名 { 字段名: 显示名 }，默认使用字段名
+ * @param {string} options.timeZone - CSV 中时间使用的时区，默认浏览器时区
+ * @returns {AsyncGenerator<string>} 文本片段
+ */
+export async function* formatExport(pages, options) {
+    const { columns, headers = {} } = options;
+    const format = checkExportFormat(options.format);
+    const timeZone = options.timeZone || getLocalTimeZone();
+
+    if (format === 'csv') {
+        yield BOM + columns.map(column => escapeCSV(headers[column] || column)).join(',') + '\r\n';
+    } else if (format === 'json') {
+        yield '[';
+    }
+
+    let first = true;
+    for await (const rows of pages) {
+        if (rows.length === 0) continue;
+
+        if (format === 'csv') {
+            yield rows.map(row =>
+                columns.map(column => escapeCSV(toCSVValue(row[column], timeZone))).join(',') + '\r\n'
+            ).join('');
+        } else if (format === 'json') {
+            yield (first ? '' : ',') + rows.map(row => JSON.stringify(toJSONRecord(row, columns))).join(',');
+        } else {
+            yield rows.map(row => JSON.stringify(toJSONRecord(row, columns)) + '\n').join('');
+        }
+        first = false;
+    }
+
+    if (format === 'json') {
+        yield ']';
+    }
+}
+
+/**
+ * 把导出的文本片段合并为一个字符串
+ * @param {AsyncIterable<string>} chunks
+ * @returns {Promise<string>}
+ */
+export async function exportToString(chunks) {
+    let text = '';
+    for await (const chunk of chunks) {
+        text += chunk;
+    }
+    return text;
+}
+
+/**
+ * 把导出的文本片段合并为 Blob（浏览器中下载文件用）
+ * @param {AsyncIterable<string>} chunks
+ * @param {string} format - 'csv' | 'json' | 'ndjson'（默认 'csv'）
+ * @returns {Promise<Blob>}
+ */
+export async function exportToBlob(chunks, format = 'csv') {
+    const parts = [];
+    for await (const chunk of chunks) {
+        parts.push(chunk);
+    }
+    return new Blob(parts, { type: EXPORT_MIME_TYPES[checkExportFormat(format)] });
+}
@@ -0,0 +1,223 @@
+/**
+ * 统计周期和时区
+ * 按指定时区（IANA 名称，如 'Asia/Shanghai'）计算"今天""本周"等时间范围，
+ * 老师和学校不在同一时区时也能看到一致的统计
+ */
+
+// 可用的统计周期
+// - today：今天 0 点至今
+// - week / month / year：滚动窗口（最近 7 天、1 个月、1 年）
+// - thisWeek / thisMonth / thisYear：日历周期（本周从周一开始、本月 1 日、今年 1 月 1 日）
+export const STATS_PERIODS = ['today', 'week', 'month', 'year', 'thisWeek', 'thisMonth', 'thisYear'];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const formatters = new Map();
+
+/**
+ * 浏览器所在的时区，无法获取时为 UTC
+ * @returns {string}
+ */
+export function getLocalTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+        return 'UTC';
+    }
+}
+
+/**
+ * 检查时区名称是否有效
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * @private
+ */
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * 某一时刻在指定时区的日期和时间
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month 从 1 开始，weekday 0 为周日
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * 指定时区的日期和时间对应的时刻（超出范围的值会自动进位，如 day 为 0 表示上个月最后一天）
+ * 夏令时切换时不存在的时间按切换后的偏移计算
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+    // 先按该时刻附近的偏移估算，再用估算结果的偏移修正一次（跨越夏令时切换时两者不同）
+    const guess = wallTime - getOffset(new Date(wallTime), timeZone);
+    return new Date(wallTime - getOffset(new Date(guess), timeZone));
+}
+
+/**
+ * 时区相对 UTC 的偏移（毫秒）
+ * @private
+ */
+function getOffset(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const wallTime = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * 某一时刻所在的小时、天、周（周一开始）、月、年的开始时刻
+ * @param {Date} date
+ * @param {string} unit - 'hour' | 'day' | 'week' | 'month' | 'year'
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function startOf(date, unit, timeZone) {
+    const p = getZonedParts(date, timeZone);
+
+    switch (unit) {
+        case 'hour':
+            return zonedTimeToDate({ year: p.year, month: p.month, day: p.day, hour: p.hour }, timeZone);
+        case 'day':
+            return zonedTimeToDate({ year: p.year, month: p.month, day: p.day }, timeZone);
+        case 'week':
+            return zonedTimeToDate({ year: p.year, month: p.month, day: p.day - (p.weekday + 6) % 7 }, timeZone);
+        case 'month':
+            return zonedTimeToDate({ year: p.year, month: p.month, day: 1 }, timeZone);
+        case 'year':
+            return zonedTimeToDate({ year: p.year, month: 1, day: 1 }, timeZone);
+        default:
+            throw new Error(`无效的时间单位: ${unit}`);
+    }
+}
+
+/**
+ * 某一时刻在指定时区的日期 'YYYY-MM-DD'
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function toDateString(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * 某一时刻在指定时区的日期和时间 'YYYY-MM-DD HH:mm:ss'（Excel 可以直接识别）
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function formatDateTime(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * 解析时间：'YYYY-MM-DD' 为该日在指定时区的 0 点，其他值按 new Date() 解析
+ * @param {Date|string|number} value
+ * @param {string} timeZone
+ * @returns {Date|null} 无法解析时为 null
+ */
+export function parseDate(value, timeZone) {
+    const match = typeof value === 'string' && DATE_ONLY.exec(value);
+    const date = match
+        ? zonedTimeToDate({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }, timeZone)
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 解析统计的时间范围 [from, to)
+ * - 传入 from（可选 to，默认现在）时为自定义范围；to 为 'YYYY-MM-DD' 时包括这一整天
+ * - 自定义范围必须传入 from，只传 to 时抛出错误
+ * - 否则按 period 计算（默认 'today'）
+ * @param {Object} options - { period, from, to }
+ * @param {string} timeZone
+ * @param {Date} now - 当前时间
+ * @returns {{period: string, from: Date, to: Date}}
+ */
+export function resolveRange(options = {}, timeZone, now = new Date()) {
+    if (options.from || options.to) {
+        if (!options.from) {
+            throw new Error('自定义时间范围需要传入 from（开始时间）');
+        }
+        const from = parseDate(options.from, timeZone);
+        let to = options.to ? parseDate(options.to, timeZone) : now;
+        if (to && typeof options.to === 'string' && DATE_ONLY.test(options.to)) {
+            const p = getZonedParts(to, timeZone);
+            to = zonedTimeToDate({ year: p.year, month: p.month, day: p.day + 1 }, timeZone);
+        }
+        if (!from || !to || from >= to) {
+            throw new Error('无效的时间范围');
+        }
+        return { period: 'custom', from, to };
+    }
+
+    const period = options.period || 'today';
+    const p = getZonedParts(now, timeZone);
+    const shift = (changes) => zonedTimeToDate({ ...p, ...changes }, timeZone);
+
+    const from = {
+        today: () => startOf(now, 'day', timeZone),
+        week: () => shift({ day: p.day - 7 }),
+        month: () => shift({ month: p.month - 1 }),
+        year: () => shift({ year: p.year - 1 }),
+        thisWeek: () => startOf(now, 'week', timeZone),
+        thisMonth: () => startOf(now, 'month', timeZone),
+        thisYear: () => startOf(now, 'year', timeZone)
+    }[period];
+
+    if (!from) {
+        throw new Error(`无效的统计周期: ${period}`);
+    }
+
+    return { period, from: from(), to: now };
+}
@@ -1,4 +1,8 @@
 import { SupabaseClient } from '@supabase/supabase-js';
+import type { OnlineStatusManager, OnlineStatusPlugin, SessionInfo, SessionEndReason, ExportOptions } from '../index';
+
+/** 过期记录的保留策略 */
+export type RetentionStrategy = 'delete' | 'archive' | 'rollup';
 
 export interface ActivityStatsOptions {
   /** 活动日志表名，默认 'user_activity_logs' */
@@ -7,8 +11,64 @@ export interface ActivityStatsOptions {
   onlineTable?: string;
   /** 数据保留天数，默认 30 天 */
   retentionDays?: number;
-  /** 是否启用自动清理，默认 true */
+  /**
+   * 是否启用自动清理，retentionStrategy 为 'delete' 时默认 true，
+   * 'archive' / 'rollup' 时默认 false（数据库函数只授权给 service_role，只在服务端的实例中开启）
+   */
   autoCleanup?: boolean;
+  /**
+   * 过期记录的处理方式，默认 'delete'
+   * - 'delete'：直接删除
+   * - 'archive'：移到归档表 user_activity_logs_archive
+   * - 'rollup'：汇总为每个用户每天的数据（user_activity_daily）后删除，getUserStats 会计入汇总数据
+   */
+  retentionStrategy?: RetentionStrategy;
+  /** rollup 的每日汇总表名，默认 'user_activity_daily' */
+  dailyTable?: string;
+  /** 归档过期记录的 RPC 函数名，默认 'archive_activity_logs' */
+  archiveFunction?: string;
+  /** 汇总过期记录的 RPC 函数名，默认 'rollup_activity_logs' */
+  rollupFunction?: string;
+  /** 租户 ID，设置后所有读写都限定在该租户内 */
+  tenantId?: string | null;
+  /** 统计使用的时区（IANA 名称，如 'Asia/Shanghai'），"今天""本周"和按天的统计都按该时区划分，默认浏览器时区 */
+  timezone?: string;
+  /** 页面关闭时结束活动记录的 RPC 函数名，默认 'end_activity_session' */
+  endSessionFunction?: string;
+  /** 未结束的记录超过多久没有心跳视为已中断（毫秒），应与 inactiveTimeout 一致，默认 300000 */
+  sessionTimeout?: number;
+  /** 在线人数时间序列的 RPC 函数名，默认 'get_concurrency_series' */
+  concurrencyFunction?: string;
+  /** 同时在线峰值的 RPC 函数名，默认 'get_peak_concurrency' */
+  peakFunction?: string;
+  /** 日活/周活/月活的 RPC 函数名，默认 'get_active_users' */
+  activeUsersFunction?: string;
+  /** 留存的 RPC 函数名，默认 'get_retention_cohorts' */
+  retentionFunction?: string;
+  /** 流失的 RPC 函数名，默认 'get_churn' */
+  churnFunction?: string;
+  /** 活跃用户排行的 RPC 函数名，默认 'activity_top_users'，不存在时在客户端计算 */
+  topUsersFunction?: string;
+  /** 用户统计汇总的 RPC 函数名，默认 'activity_user_summary'，不存在时在客户端计算 */
+  userSummaryFunction?: string;
+}
+
+/**
+ * 统计周期
+ * - today：今天 0 点至今
+ * - week / month / year：滚动窗口（最近 7 天、1 个月、1 年）
+ * - thisWeek / thisMonth / thisYear：日历周期（本周从周一开始）
+ */
+export type StatsPeriod = 'today' | 'week' | 'month' | 'year' | 'thisWeek' | 'thisMonth' | 'thisYear';
+
+/** 时间范围：统计周期或自定义的 from/to（传入 from 或 to 时忽略 period） */
+export interface StatsRangeOptions {
+  /** 统计周期，默认 'today' */
+  period?: StatsPeriod;
+  /** 自定义范围的开始时间，'YYYY-MM-DD' 为该日 0 点（按 timezone）；传入 to 时必需 */
+  from?: Date | string | number;
+  /** 自定义范围的结束时间（不含），'YYYY-MM-DD' 包括这一整天，默认现在 */
+  to?: Date | string | number;
 }
 
 export interface LoginMetadata {
@@ -16,33 +76,85 @@ export interface LoginMetadata {
   deviceType?: string;
   /** 设备详细信息 */
   deviceInfo?: any;
+  /** 在线会话 ID，用于对应心跳和结束记录 */
+  sessionId?: string;
+  /** 是否为首次登录，写入 first_login 列 */
+  isFirstLogin?: boolean;
+}
+
+export interface RecordLogoutOptions {
+  /** 只结束该会话的记录，默认结束最近的未完成记录 */
+  sessionId?: string;
+  /** 结束原因，写入 end_reason 列 */
+  reason?: string;
+}
+
+/** user_activity_logs 表中的一条记录 */
+export interface ActivityLog {
+  id: number;
+  username: string;
+  /** 登录时间（ISO 字符串） */
+  login_time: string;
+  /** 登出时间（ISO 字符串），未登出时为 null */
+  logout_time: string | null;
+  /** 在线时长（秒），未登出时为 null */
+  duration: number | null;
+  device_type: string;
+  device_info: any;
+  /** 在线会话 ID */
+  session_id: string | null;
+  /** 最后一次心跳时间（ISO 字符串） */
+  last_activity: string | null;
+  /** 结束原因，定时任务按心跳关闭时为 'timeout' */
+  end_reason: string | null;
+  /** 是否为首次登录 */
+  first_login: boolean;
+  created_at: string;
 }
 
 export interface UserSession {
   /** 登录时间（时间戳） */
   loginTime: number;
-  /** 登出时间（时间戳） */
+  /** 登出时间（时间戳），没有登出时为 null */
   logoutTime: number | null;
+  /** 计算时长使用的结束时间（时间戳）：登出时间、最后一次心跳，进行中的会话为当前时间 */
+  endTime: number;
   /** 会话时长（秒） */
   duration: number;
   /** 设备类型 */
   deviceType: string;
+  /** 是否仍在进行中（没有登出且心跳未超时） */
+  ongoing: boolean;
+  /** 时长是否精确（正常登出）；按心跳还原或进行中的会话为 false */
+  exact: boolean;
 }
 
 export interface UserStats {
   /** 用户名 */
   username: string;
-  /** 统计周期 */
-  period: string;
+  /** 统计周期，自定义范围时为 'custom' */
+  period: StatsPeriod | 'custom';
+  /** 统计范围的开始时间（时间戳） */
+  from: number;
+  /** 统计范围的结束时间（时间戳） */
+  to: number;
+  /** 统计使用的时区 */
+  timezone: string;
   /** 登录次数 */
   loginCount: number;
-  /** 总在线时长（秒） */
+  /** 总在线时长（秒），包括按心跳估算的部分和进行中的会话 */
   totalOnlineTime: number;
-  /** 平均会话时长（秒） */
+  /** 总在线时长中估算的部分（秒） */
+  estimatedOnlineTime: number;
+  /** 平均会话时长（秒），不包括进行中的会话 */
   averageSessionTime: number;
+  /** 所有会话的时长是否都是精确的（为 false 时 totalOnlineTime 和 averageSessionTime 含估算） */
+  exact: boolean;
   /** 最后登录时间（时间戳） */
   lastLogin: number | null;
-  /** 会话列表 */
+  /** loginCount 中来自每日汇总的登录次数（retentionStrategy 为 'rollup' 时），这部分没有会话明细 */
+  summarizedLoginCount: number;
+  /** 最近的会话（最多 sessionLimit 个，按登录时间倒序） */
   sessions: UserSession[];
 }
 
@@ -55,33 +167,211 @@ export interface TopActiveUser {
   sessionCount: number;
 }
 
-export interface GetStatsOptions {
-  /** 统计周期：today, week, month, year */
-  period?: 'today' | 'week' | 'month' | 'year';
+export interface GetStatsOptions extends StatsRangeOptions {
+  /** 返回的最近会话数，默认 100，不影响汇总数据 */
+  sessionLimit?: number;
 }
 
-export interface GetTopUsersOptions {
+export interface GetTopUsersOptions extends StatsRangeOptions {
   /** 返回数量限制 */
   limit?: number;
-  /** 统计周期 */
-  period?: 'today' | 'week' | 'month' | 'year';
 }
 
-export class ActivityStats {
-  constructor(supabase: SupabaseClient, options?: ActivityStatsOptions);
+export interface ExportSessionsOptions extends StatsRangeOptions, ExportOptions {
+  /** 只导出该用户的会话，默认所有用户 */
+  username?: string;
+}
+
+export interface ExportSummariesOptions extends StatsRangeOptions, ExportOptions {}
+
+/** 导出的会话（字段即 CSV 的列，JSON 中时间为 ISO 字符串） */
+export interface SessionExportRow {
+  username: string;
+  sessionId: string | null;
+  deviceType: string | null;
+  loginTime: string;
+  logoutTime: string | null;
+  endTime: string;
+  /** 时长（秒），没有登出的会话按心跳还原 */
+  duration: number;
+  ongoing: boolean;
+  exact: boolean;
+  endReason: string | null;
+}
+
+/** 导出的用户汇总 */
+export interface UserSummaryExportRow {
+  username: string;
+  loginCount: number;
+  /** 总在线时长（秒） */
+  totalOnlineTime: number;
+  /** 其中估算的部分（秒） */
+  estimatedOnlineTime: number;
+  /** 平均会话时长（秒），不包括进行中的会话 */
+  averageSessionTime: number;
+  firstLogin: string;
+  lastLogin: string;
+}
+
+/** 在线人数时间序列的时间粒度 */
+export type ConcurrencyBucket = '5m' | '1h' | '1d';
+
+export interface ConcurrencySeriesOptions extends StatsRangeOptions {
+  /** 时间粒度，默认 '1h'；开始时间按粒度向下对齐（'1h'、'1d' 按 timezone 对齐） */
+  bucket?: ConcurrencyBucket;
+}
+
+export interface ConcurrencyPoint {
+  /** 时间段开始时间（时间戳） */
+  time: number;
+  /** 该时间段内在线过的用户数 */
+  count: number;
+}
+
+export interface PeakConcurrency {
+  /** 统计周期，自定义范围时为 'custom' */
+  period: StatsPeriod | 'custom';
+  /** 同时在线的最多用户数 */
+  peak: number;
+  /** 首次达到峰值的时间（时间戳），没有会话时为 null */
+  at: number | null;
+}
+
+export interface DateRangeOptions {
+  /** 开始日期（Date 或 'YYYY-MM-DD'，Date 按 timezone 取日期），默认 to 之前 29 天 */
+  from?: Date | string;
+  /** 结束日期，默认今天 */
+  to?: Date | string;
+}
+
+export interface ActiveUsersPoint {
+  /** 日期 'YYYY-MM-DD' */
+  date: string;
+  /** 当天在线过的用户数 */
+  dau: number;
+  /** 截至当天 7 天内在线过的用户数 */
+  wau: number;
+  /** 截至当天 30 天内在线过的用户数 */
+  mau: number;
+}
+
+export interface RetentionOptions extends DateRangeOptions {
+  /** 统计第几天的留存，默认 [1, 7, 30] */
+  days?: number[];
+}
+
+export interface RetentionCohort {
+  /** 首次登录日期 'YYYY-MM-DD' */
+  cohort: string;
+  /** 该日首次登录的用户数 */
+  size: number;
+  retention: Array<{
+    /** 第几天 */
+    day: number;
+    /** 第 N 天再次在线的用户数 */
+    retained: number;
+    /** 留存率（0-1），第 N 天还没到时为 null */
+    rate: number | null;
+  }>;
+}
+
+/** 流失统计的周期（周从周一开始） */
+export type ChurnPeriod = 'day' | 'week' | 'month';
+
+export interface ChurnOptions extends DateRangeOptions {
+  /** 周期，默认 'week' */
+  period?: ChurnPeriod;
+}
+
+export interface ChurnPoint {
+  /** 周期开始日期 'YYYY-MM-DD' */
+  periodStart: string;
+  /** 本周期活跃用户数 */
+  activeUsers: number;
+  /** 本周期首次登录的用户数 */
+  newUsers: number;
+  /** 上一周期活跃用户数 */
+  previousActiveUsers: number;
+  /** 上一周期活跃、本周期也活跃的用户数 */
+  retainedUsers: number;
+  /** 上一周期活跃、本周期没有活跃的用户数 */
+  churnedUsers: number;
+  /** 流失率（0-1），上一周期没有活跃用户时为 null */
+  churnRate: number | null;
+  /** 回访率（0-1），上一周期没有活跃用户时为 null */
+  returnRate: number | null;
+}
+
+export interface CleanupResult {
+  /** 从活动日志表移除的记录数（归档或汇总的记录也计入） */
+  deletedCount: number;
+  /** 早于该时间登录的记录被清理 */
+  cutoffDate: Date;
+  /** 使用的保留策略 */
+  strategy: RetentionStrategy;
+}
+
+export interface StorageStats {
+  /** 总记录数 */
+  totalRecords: number;
+  /** 最早记录时间（ISO 字符串） */
+  oldestRecord: string | null;
+  /** 最新记录时间（ISO 字符串） */
+  newestRecord: string | null;
+  /** 数据跨度（天） */
+  dataSpanDays: number;
+  /** 数据保留天数 */
+  retentionDays: number;
+  /** 过期记录的保留策略 */
+  retentionStrategy: RetentionStrategy;
+  /** 是否启用自动清理 */
+  autoCleanupEnabled: boolean;
+  /** 估算的存储大小，如 '~12 KB' */
+  estimatedSize: string;
+}
+
+/**
+ * 活跃度统计，也可以作为 OnlineStatusManager 的插件使用（plugins: [stats]），自动记录每个会话
+ */
+export class ActivityStats implements OnlineStatusPlugin {
+  constructor(supabase: SupabaseClient<any, any, any>, options?: ActivityStatsOptions);
+
+  /** 活动日志表名 */
+  readonly logsTable: string;
+  /** 数据保留天数 */
+  readonly retentionDays: number;
+  /** 过期记录的保留策略 */
+  readonly retentionStrategy: RetentionStrategy;
+  /** 租户 ID */
+  readonly tenantId: string | null;
+  /** 统计使用的时区 */
+  readonly timezone: string;
+  /** 作为插件注册到的管理器 */
+  readonly manager: OnlineStatusManager<any> | null;
+
+  /** 插件钩子：注册到管理器 */
+  install(manager: OnlineStatusManager<any>): void;
+
+  /** 插件钩子：会话开始时记录登录（同一会话已有未结束的记录时返回该记录） */
+  onSessionStart(session: SessionInfo): Promise<ActivityLog>;
+
+  /** 插件钩子：会话结束时记录登出，页面关闭时通过 keepalive 请求结束记录并返回 null */
+  onSessionEnd(session: SessionInfo, reason: SessionEndReason): Promise<ActivityLog | null> | null;
 
   /**
    * 记录用户登录
    * @param username 用户名
    * @param metadata 额外信息
    */
-  recordLogin(username: string, metadata?: LoginMetadata): Promise<any>;
+  recordLogin(username: string, metadata?: LoginMetadata): Promise<ActivityLog>;
 
   /**
    * 记录用户登出
    * @param username 用户名
+   * @param options 选项
+   * @returns 更新后的记录，没有未结束的登录记录时返回 null
    */
-  recordLogout(username: string): Promise<any>;
+  recordLogout(username: string, options?: RecordLogoutOptions): Promise<ActivityLog | null>;
 
   /**
    * 获取用户统计数据
@@ -97,23 +387,58 @@ export class ActivityStats {
   getTopActiveUsers(options?: GetTopUsersOptions): Promise<TopActiveUser[]>;
 
   /**
-   * 清理过期记录
+   * 导出会话记录（逐页读取，每页默认 1000 条），字段见 SessionExportRow
+   * @param options 时间范围、用户和导出格式
+   * @returns 文本片段，可以用 exportToString / exportToBlob 合并
+   */
+  exportSessions(options?: ExportSessionsOptions): AsyncGenerator<string, void, undefined>;
+
+  /**
+   * 导出每个用户的汇总（按用户名排序），字段见 UserSummaryExportRow
+   * @param options 时间范围和导出格式
+   */
+  exportUserSummaries(options?: ExportSummariesOptions): AsyncGenerator<string, void, undefined>;
+
+  /**
+   * 获取在线人数时间序列（需要 sql/activity-reports.sql）
+   * @param options 时间范围和粒度
+   */
+  getConcurrencySeries(options?: ConcurrencySeriesOptions): Promise<ConcurrencyPoint[]>;
+
+  /**
+   * 获取同时在线峰值（需要 sql/activity-reports.sql）
+   * @param period 统计周期（默认 'today'）或时间范围
+   */
+  getPeakConcurrency(period?: StatsPeriod | StatsRangeOptions): Promise<PeakConcurrency>;
+
+  /**
+   * 获取每天的日活、周活、月活（需要 sql/activity-reports.sql）
+   * @param options 日期范围
+   */
+  getActiveUsers(options?: DateRangeOptions): Promise<ActiveUsersPoint[]>;
+
+  /**
+   * 获取按首次登录日期分组的 N 日留存（需要 sql/activity-reports.sql）
+   * @param options 首次登录的日期范围和统计天数
+   */
+  getRetentionCohorts(options?: RetentionOptions): Promise<RetentionCohort[]>;
+
+  /**
+   * 获取每个周期的流失和回访（需要 sql/activity-reports.sql）
+   * @param options 日期范围和周期
+   */
+  getChurn(options?: ChurnOptions): Promise<ChurnPoint[]>;
+
+  /**
+   * 清理过期记录，按 retentionStrategy 删除、归档或汇总
    * @param days 保留天数（可选，默认使用构造函数配置）
    */
-  cleanupOldRecords(days?: number): Promise<{ deletedCount: number; cutoffDate: Date }>;
+  cleanupOldRecords(days?: number): Promise<CleanupResult>;
 
   /**
    * 获取数据库统计信息
    */
-  getStorageStats(): Promise<{
-    totalRecords: number;
-    oldestRecord: string | null;
-    newestRecord: string | null;
-    dataSpanDays: number;
-    retentionDays: number;
-    autoCleanupEnabled: boolean;
-    estimatedSize: string;
-  }>;
+  getStorageStats(): Promise<StorageStats>;
 
   /**
    * 停止自动清理
@@ -1,8 +1,49 @@
 /**
  * 活跃度统计扩展
  * 提供用户在线时长、登录次数等统计功能
+ *
+ * 作为 OnlineStatusManager 的插件使用时（plugins: [stats] 或 manager.use(stats)），
+ * 登录、登出、时长限制自动登出、页面关闭都会自动记录；
+ * 崩溃、断网等没有机会登出的会话由数据库中的 close_orphaned_activity_sessions 在最后一次心跳时关闭
  */
 
+import {
+    getLocalTimeZone,
+    isValidTimeZone,
+    parseDate,
+    resolveRange,
+    startOf,
+    toDateString
+} from './periods.js';
+import { formatExport, checkExportFormat } from '../export.js';
+import { isMissingFunction } from '../db-errors.js';
+
+// 在线人数时间序列的时间粒度
+const CONCURRENCY_BUCKETS = {
+    '5m': { interval: '5 minutes', ms: 5 * 60 * 1000 },
+    '1h': { interval: '1 hour', ms: 60 * 60 * 1000 },
+    '1d': { interval: '1 day', ms: 24 * 60 * 60 * 1000 }
+};
+
+// 一次查询最多的时间段数，避免范围过大时生成大量数据
+const MAX_BUCKETS = 2000;
+
+// 流失统计的周期
+const CHURN_PERIODS = ['day', 'week', 'month'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 过期记录的保留策略
+const RETENTION_STRATEGIES = ['delete', 'archive', 'rollup'];
+
+// 导出会话和用户汇总的字段
+const SESSION_EXPORT_COLUMNS = [
+    'username', 'sessionId', 'deviceType', 'loginTime', 'logoutTime', 'endTime', 'duration', 'ongoing', 'exact', 'endReason'
+];
+const SUMMARY_EXPORT_COLUMNS = [
+    'username', 'loginCount', 'totalOnlineTime', 'estimatedOnlineTime', 'averageSessionTime', 'firstLogin', 'lastLogin'
+];
+
 export class ActivityStats {
     constructor(supabase, options = {}) {
         if (!supabase) {
@@ -12,10 +53,42 @@ export class ActivityStats {
         this.supabase = supabase;
         this.logsTable = options.logsTable || 'user_activity_logs';
         this.onlineTable = options.onlineTable || 'online_users';
+        this.tenantId = options.tenantId || null; // 租户 ID：设置后所有读写都限定在该租户内
+        // 统计使用的时区（IANA 名称，如 'Asia/Shanghai'），"今天""本周"和按天的统计都按该时区划分，默认浏览器时区
+        this.timezone = options.timezone || getLocalTimeZone();
+        if (!isValidTimeZone(this.timezone)) {
+            throw new Error(`无效的时区: ${this.timezone}`);
+        }
+        this.endSessionFunction = options.endSessionFunction || 'end_activity_session'; // 页面关闭时结束记录的 RPC 函数
+        // 未结束的记录超过多久没有心跳视为已中断（毫秒），应与 OnlineStatusManager 的 inactiveTimeout 一致
+        this.sessionTimeout = options.sessionTimeout || 300000;
+        // 报表使用的数据库函数（见 sql/activity-reports.sql）
+        this.concurrencyFunction = options.concurrencyFunction || 'get_concurrency_series';
+        this.peakFunction = options.peakFunction || 'get_peak_concurrency';
+        this.activeUsersFunction = options.activeUsersFunction || 'get_active_users';
+        this.retentionFunction = options.retentionFunction || 'get_retention_cohorts';
+        this.churnFunction = options.churnFunction || 'get_churn';
+        this.topUsersFunction = options.topUsersFunction || 'activity_top_users';
+        this.userSummaryFunction = options.userSummaryFunction || 'activity_user_summary';
+        this._missingFunctions = new Set(); // 不存在的统计函数，直接在客户端计算
+        this.manager = null; // 作为插件注册到的 OnlineStatusManager
         
         // 数据保留配置
         this.retentionDays = options.retentionDays || 30; // 默认保留30天
-        this.autoCleanup = options.autoCleanup !== false; // 默认启用自动清理
+        // 过期记录的处理方式（见 sql/create-stats-table.sql 的"数据保留策略"）：
+        // 'delete' 直接删除，'archive' 移到归档表，'rollup' 汇总为每个用户每天的数据后删除
+        this.retentionStrategy = options.retentionStrategy || 'delete';
+        if (!RETENTION_STRATEGIES.includes(this.retentionStrategy)) {
+            throw new Error(`无效的保留策略: ${this.retentionStrategy}`);
+        }
+        // 默认只在 'delete' 时自动清理：archive/rollup 的数据库函数只授权给 service_role，
+        // 应由 pg_cron 或服务端（service_role 密钥）的实例执行，服务端实例显式传入 autoCleanup: true
+        this.autoCleanup = options.autoCleanup === undefined
+            ? this.retentionStrategy === 'delete'
+            : options.autoCleanup !== false;
+        this.dailyTable = options.dailyTable || 'user_activity_daily'; // rollup 的每日汇总表
+        this.archiveFunction = options.archiveFunction || 'archive_activity_logs';
+        this.rollupFunction = options.rollupFunction || 'rollup_activity_logs';
         
         // 如果启用自动清理，设置定时器
         if (this.autoCleanup) {
@@ -55,16 +128,62 @@ export class ActivityStats {
         }
     }
 
+    /**
+     * 插件钩子：注册到管理器
+     * @param {OnlineStatusManager} manager
+     */
+    install(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * 插件钩子：会话开始时记录登录
+     * 同一会话已有未结束的记录时（多标签页共享会话、从往返缓存恢复）不重复记录
+     * @param {Object} session - { username, sessionId, deviceType }
+     * @returns {Promise<Object>} 登录记录
+     */
+    async onSessionStart(session) {
+        const openLog = await this._findOpenLog(session.username, session.sessionId);
+        if (openLog) return openLog;
+
+        return this.recordLogin(session.username, {
+            deviceType: session.deviceType,
+            sessionId: session.sessionId,
+            isFirstLogin: session.isFirstLogin
+        });
+    }
+
+    /**
+     * 插件钩子：会话结束时记录登出
+     * 页面关闭时不能等待查询，通过 keepalive 请求调用 end_activity_session 结束记录
+     * @param {Object} session - { username, sessionId }
+     * @param {string} reason - 结束原因
+     * @returns {Promise<Object|null>|null} 更新后的记录
+     */
+    onSessionEnd(session, reason) {
+        if (reason === 'unload') {
+            if (this.manager) {
+                this.manager.sendUnloadRpc(this.endSessionFunction, { p_session_id: session.sessionId });
+            }
+            return null;
+        }
+
+        return this.recordLogout(session.username, { sessionId: session.sessionId, reason });
+    }
+
     /**
      * 记录用户登录
      * @param {string} username - 用户名
-     * @param {Object} metadata - 额外信息（设备类型等）
+     * @param {Object} metadata - 额外信息（设备类型、会话 ID、是否首次登录等）
      */
     async recordLogin(username, metadata = {}) {
         try {
             const { data, error } = await this.supabase
                 .from(this.logsTable)
                 .insert({
+                    ...(this.tenantId ? { tenant_id: this.tenantId } : {}),
+                    ...(metadata.sessionId ? { session_id: metadata.sessionId } : {}),
+                    ...(metadata.isFirstLogin ? { first_login: true } : {}),
                     username,
                     login_time: new Date().toISOString(),
                     device_type: metadata.deviceType || 'unknown',
@@ -84,22 +203,15 @@ export class ActivityStats {
     /**
      * 记录用户登出
      * @param {string} username - 用户名
+     * @param {Object} options - 选项
+     * @param {string} options.sessionId - 只结束该会话的记录（默认结束最近的未完成记录）
+     * @param {string} options.reason - 结束原因，写入 end_reason 列
      */
-    async recordLogout(username) {
+    async recordLogout(username, options = {}) {
         try {
-            // 查找最近的未完成登录记录
-            const { data: logs, error: queryError } = await this.supabase
-                .from(this.logsTable)
-                .select('*')
-                .eq('username', username)
-                .is('logout_time', null)
-                .order('login_time', { ascending: false })
-                .limit(1);
-
-            if (queryError) throw queryError;
-            if (!logs || logs.length === 0) return null;
+            const log = await this._findOpenLog(username, options.sessionId);
+            if (!log) return null;
 
-            const log = logs[0];
             const logoutTime = new Date();
             const loginTime = new Date(log.login_time);
             const duration = Math.floor((logoutTime - loginTime) / 1000); // 秒
@@ -109,7 +221,8 @@ export class ActivityStats {
                 .from(this.logsTable)
                 .update({
                     logout_time: logoutTime.toISOString(),
-                    duration
+                    duration,
+                    ...(options.reason ? { end_reason: options.reason } : {})
                 })
                 .eq('id', log.id)
                 .select()
@@ -125,136 +238,380 @@ export class ActivityStats {
 
     /**
      * 获取用户统计数据
+     * 在数据库中汇总（sql/activity-reports.sql 中的 activity_user_summary），函数不存在时退回客户端计算
+     * 保留策略为 'rollup' 时，已汇总到每日汇总表的数据也计入（与范围有重叠的日期整天计入，没有会话明细）
      * @param {string} username - 用户名
      * @param {Object} options - 选项
+     * @param {string} options.period - 统计周期（默认 today），见 STATS_PERIODS
+     * @param {Date|string|number} options.from - 自定义范围的开始时间，'YYYY-MM-DD' 为该日 0 点（按 timezone），传入 to 时必需
+     * @param {Date|string|number} options.to - 自定义范围的结束时间（默认现在），'YYYY-MM-DD' 包括这一整天
+     * @param {number} options.sessionLimit - 返回的最近会话数（默认 100），不影响汇总数据
      * @returns {Promise<Object>} 统计数据
      */
     async getUserStats(username, options = {}) {
-        const period = options.period || 'today';
-        const startDate = this._getStartDate(period);
+        const range = resolveRange(options, this.timezone);
+        const sessionLimit = options.sessionLimit || 100;
 
         try {
-            // 获取登录记录
-            const { data: logs, error } = await this.supabase
-                .from(this.logsTable)
-                .select('*')
-                .eq('username', username)
-                .gte('login_time', startDate.toISOString())
-                .order('login_time', { ascending: false });
+            const result = await this._callAggregate(this.userSummaryFunction, {
+                p_username: username,
+                p_from: range.from.toISOString(),
+                p_to: range.to.toISOString(),
+                p_tenant_id: this.tenantId,
+                p_session_timeout: this._sessionTimeoutInterval(),
+                p_session_limit: sessionLimit
+            });
 
-            if (error) throw error;
+            const current = result
+                ? this._fromUserSummary(result.data || {})
+                : await this._getUserStatsFromLogs(username, range);
+            const days = this.retentionStrategy === 'rollup' ? await this._getDailySummary(username, range) : [];
+            const { finishedTime, finishedCount, ...stats } = this._mergeDailySummary(current, days);
 
-            // 计算统计数据
-            const stats = {
+            return {
                 username,
-                period,
-                loginCount: logs.length,
-                totalOnlineTime: 0,
-                averageSessionTime: 0,
-                lastLogin: null,
-                sessions: []
+                period: range.period,
+                from: range.from.getTime(),
+                to: range.to.getTime(),
+                timezone: this.timezone,
+                ...stats,
+                sessions: stats.sessions.slice(0, sessionLimit)
             };
+        } catch (error) {
+            console.error('获取用户统计失败:', error);
+            throw error;
+        }
+    }
 
-            if (logs.length > 0) {
-                stats.lastLogin = new Date(logs[0].login_time).getTime();
+    /**
+     * 获取活跃用户排行
+     * 在数据库中汇总（sql/activity-reports.sql 中的 activity_top_users），函数不存在时退回客户端计算
+     * @param {Object} options - 选项（时间范围同 getUserStats）
+     * @param {number} options.limit - 返回的用户数（默认 10）
+     * @returns {Promise<Array>} 排行榜
+     */
+    async getTopActiveUsers(options = {}) {
+        const limit = options.limit || 10;
+        const { from, to } = resolveRange(options, this.timezone);
 
-                // 计算总在线时长
-                logs.forEach(log => {
-                    if (log.duration) {
-                        stats.totalOnlineTime += log.duration;
-                        stats.sessions.push({
-                            loginTime: new Date(log.login_time).getTime(),
-                            logoutTime: log.logout_time ? new Date(log.logout_time).getTime() : null,
-                            duration: log.duration,
-                            deviceType: log.device_type
-                        });
-                    }
-                });
+        try {
+            const result = await this._callAggregate(this.topUsersFunction, {
+                p_from: from.toISOString(),
+                p_to: to.toISOString(),
+                p_limit: limit,
+                p_tenant_id: this.tenantId,
+                p_session_timeout: this._sessionTimeoutInterval()
+            });
 
-                // 计算平均会话时长
-                const completedSessions = logs.filter(log => log.duration);
-                if (completedSessions.length > 0) {
-                    stats.averageSessionTime = Math.floor(
-                        stats.totalOnlineTime / completedSessions.length
-                    );
-                }
+            if (result) {
+                return (result.data || []).map(row => ({
+                    username: row.username,
+                    totalTime: Number(row.total_time),
+                    sessionCount: row.session_count
+                }));
             }
 
-            return stats;
+            return await this._getTopActiveUsersFromLogs(from, to, limit);
         } catch (error) {
-            console.error('获取用户统计失败:', error);
+            console.error('获取活跃用户排行失败:', error);
             throw error;
         }
     }
 
     /**
-     * 获取活跃用户排行
+     * 获取在线人数时间序列：每个时间段内在线过的用户数（同一用户多台设备只算一次）
+     * 在数据库中计算（sql/activity-reports.sql 中的 get_concurrency_series）
+     * @param {Object} options - 选项（时间范围同 getUserStats）
+     * @param {string} options.period - 统计周期（默认 today）
+     * @param {Date|string|number} options.from - 开始时间，按时间粒度向下对齐（'1d' 对齐到 timezone 的 0 点）
+     * @param {Date|string|number} options.to - 结束时间（默认现在）
+     * @param {string} options.bucket - 时间粒度：'5m' | '1h' | '1d'（默认 '1h'）
+     * @returns {Promise<Array<{time: number, count: number}>>} 每个时间段的开始时间和在线人数
+     */
+    async getConcurrencySeries(options = {}) {
+        const bucket = options.bucket || '1h';
+        if (!CONCURRENCY_BUCKETS[bucket]) {
+            throw new Error(`无效的时间粒度: ${bucket}`);
+        }
+
+        const range = resolveRange(options, this.timezone);
+        const from = this._alignToBucket(range.from, bucket);
+        const to = range.to;
+        if ((to - from) / CONCURRENCY_BUCKETS[bucket].ms > MAX_BUCKETS) {
+            throw new Error(`时间段过多（最多 ${MAX_BUCKETS} 个），请缩小时间范围或使用更大的时间粒度`);
+        }
+
+        try {
+            const { data, error } = await this.supabase.rpc(this.concurrencyFunction, {
+                p_from: from.toISOString(),
+                p_to: to.toISOString(),
+                p_bucket: CONCURRENCY_BUCKETS[bucket].interval,
+                p_tenant_id: this.tenantId,
+                p_session_timeout: this._sessionTimeoutInterval(),
+                p_timezone: this.timezone
+            });
+
+            if (error) throw error;
+
+            return (data || []).map(row => ({
+                time: new Date(row.bucket_start).getTime(),
+                count: row.online_count
+            }));
+        } catch (error) {
+            console.error('获取在线人数趋势失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取同时在线峰值（sql/activity-reports.sql 中的 get_peak_concurrency）
+     * @param {string|Object} period - 统计周期（默认 today），或时间范围 { period, from, to }（同 getUserStats）
+     * @returns {Promise<{period: string, peak: number, at: number|null}>} 峰值和首次达到峰值的时间
+     */
+    async getPeakConcurrency(period = 'today') {
+        const range = resolveRange(typeof period === 'object' ? period : { period }, this.timezone);
+
+        try {
+            const { data, error } = await this.supabase.rpc(this.peakFunction, {
+                p_from: range.from.toISOString(),
+                p_to: range.to.toISOString(),
+                p_tenant_id: this.tenantId,
+                p_session_timeout: this._sessionTimeoutInterval()
+            });
+
+            if (error) throw error;
+
+            return {
+                period: range.period,
+                peak: data?.peak || 0,
+                at: data?.at ? new Date(data.at).getTime() : null
+            };
+        } catch (error) {
+            console.error('获取同时在线峰值失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取日活、周活、月活（sql/activity-reports.sql 中的 get_active_users）
      * @param {Object} options - 选项
-     * @returns {Promise<Array>} 排行榜
+     * @param {Date|string} options.from - 开始日期（默认 to 之前 29 天）
+     * @param {Date|string} options.to - 结束日期（默认今天）
+     * @returns {Promise<Array<{date: string, dau: number, wau: number, mau: number}>>}
+     *   每天一项（按 timezone 划分日期），wau、mau 为截至当天的 7 天、30 天内在线过的用户数
      */
-    async getTopActiveUsers(options = {}) {
-        const limit = options.limit || 10;
-        const period = options.period || 'today';
-        const startDate = this._getStartDate(period);
+    async getActiveUsers(options = {}) {
+        const { from, to } = this._getDateRange(options);
 
         try {
-            const { data: logs, error } = await this.supabase
-                .from(this.logsTable)
-                .select('username, duration')
-                .gte('login_time', startDate.toISOString())
-                .not('duration', 'is', null);
+            const { data, error } = await this.supabase.rpc(this.activeUsersFunction, {
+                p_from: from,
+                p_to: to,
+                p_tenant_id: this.tenantId,
+                p_session_timeout: this._sessionTimeoutInterval(),
+                p_timezone: this.timezone
+            });
 
             if (error) throw error;
 
-            // 按用户聚合
-            const userStats = {};
-            logs.forEach(log => {
-                if (!userStats[log.username]) {
-                    userStats[log.username] = {
-                        username: log.username,
-                        totalTime: 0,
-                        sessionCount: 0
-                    };
+            return (data || []).map(row => ({
+                date: row.day,
+                dau: row.dau,
+                wau: row.wau,
+                mau: row.mau
+            }));
+        } catch (error) {
+            console.error('获取活跃用户数失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取 N 日留存：按首次登录日期分组，统计第 N 天再次在线的用户比例
+     * 首次登录日期优先取首次登录检测标记的记录（sql/activity-reports.sql 中的 get_retention_cohorts）
+     * @param {Object} options - 选项
+     * @param {Date|string} options.from - 首次登录的开始日期（默认 to 之前 29 天）
+     * @param {Date|string} options.to - 首次登录的结束日期（默认今天）
+     * @param {Array<number>} options.days - 统计第几天的留存（默认 [1, 7, 30]）
+     * @returns {Promise<Array>} 每个分组 { cohort, size, retention: [{ day, retained, rate }] }，
+     *   第 N 天还没到时 rate 为 null
+     */
+    async getRetentionCohorts(options = {}) {
+        const { from, to } = this._getDateRange(options);
+        const days = options.days || [1, 7, 30];
+        if (!days.length || days.some(day => !Number.isInteger(day) || day < 1)) {
+            throw new Error('留存天数必须是正整数');
+        }
+
+        try {
+            const { data, error } = await this.supabase.rpc(this.retentionFunction, {
+                p_from: from,
+                p_to: to,
+                p_days: days,
+                p_tenant_id: this.tenantId,
+                p_session_timeout: this._sessionTimeoutInterval(),
+                p_timezone: this.timezone
+            });
+
+            if (error) throw error;
+
+            const today = this._toDateString(new Date());
+            const cohorts = new Map();
+            (data || []).forEach(row => {
+                if (!cohorts.has(row.cohort)) {
+                    cohorts.set(row.cohort, { cohort: row.cohort, size: row.cohort_size, retention: [] });
                 }
-                userStats[log.username].totalTime += log.duration;
-                userStats[log.username].sessionCount += 1;
+                const reached = this._addDays(row.cohort, row.day_offset) <= today;
+                cohorts.get(row.cohort).retention.push({
+                    day: row.day_offset,
+                    retained: row.retained,
+                    rate: reached && row.cohort_size > 0 ? row.retained / row.cohort_size : null
+                });
+            });
+
+            return Array.from(cohorts.values());
+        } catch (error) {
+            console.error('获取留存数据失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取流失和回访：每个周期的活跃用户、新用户，以及上一周期的活跃用户中本周期回来/流失的人数
+     * （sql/activity-reports.sql 中的 get_churn）
+     * @param {Object} options - 选项
+     * @param {Date|string} options.from - 开始日期（默认 to 之前 29 天），按周期向下对齐
+     * @param {Date|string} options.to - 结束日期（默认今天）
+     * @param {string} options.period - 周期：'day' | 'week'（从周一开始）| 'month'（默认 'week'）
+     * @returns {Promise<Array>} 每个周期一项，上一周期没有活跃用户时 churnRate、returnRate 为 null
+     */
+    async getChurn(options = {}) {
+        const { from, to } = this._getDateRange(options);
+        const period = options.period || 'week';
+        if (!CHURN_PERIODS.includes(period)) {
+            throw new Error(`无效的统计周期: ${period}`);
+        }
+
+        try {
+            const { data, error } = await this.supabase.rpc(this.churnFunction, {
+                p_from: from,
+                p_to: to,
+                p_period: period,
+                p_tenant_id: this.tenantId,
+                p_session_timeout: this._sessionTimeoutInterval(),
+                p_timezone: this.timezone
             });
 
-            // 转换为数组并排序
-            const ranking = Object.values(userStats)
-                .sort((a, b) => b.totalTime - a.totalTime)
-                .slice(0, limit);
+            if (error) throw error;
 
-            return ranking;
+            return (data || []).map(row => {
+                const previous = row.previous_active_users;
+                const churned = previous - row.retained_users;
+                return {
+                    periodStart: row.period_start,
+                    activeUsers: row.active_users,
+                    newUsers: row.new_users,
+                    previousActiveUsers: previous,
+                    retainedUsers: row.retained_users,
+                    churnedUsers: churned,
+                    churnRate: previous > 0 ? churned / previous : null,
+                    returnRate: previous > 0 ? row.retained_users / previous : null
+                };
+            });
         } catch (error) {
-            console.error('获取活跃用户排行失败:', error);
+            console.error('获取流失数据失败:', error);
             throw error;
         }
     }
 
     /**
-     * 清理过期记录
+     * 导出会话记录（如考勤证明），逐页读取，不会一次载入所有记录
+     * 会话时长与 getUserStats 一致（没有登出的会话按心跳还原）
+     * @param {Object} options - 选项（时间范围同 getUserStats）
+     * @param {string} options.username - 只导出该用户的会话（默认所有用户）
+     * @param {string} options.format - 'csv' | 'json' | 'ndjson'（默认 'csv'）
+     * @param {number} options.pageSize - 每页读取的记录数（默认 1000）
+     * @param {Object} options.headers - CSV 表头的显示名 { 字段名: 显示名 }
+     * @returns {AsyncGenerator<string>} 文本片段，可以用 exportToString / exportToBlob 合并
+     */
+    exportSessions(options = {}) {
+        const format = checkExportFormat(options.format);
+        const range = resolveRange(options, this.timezone);
+
+        return formatExport(this._sessionExportPages(options.username, range, options.pageSize || 1000), {
+            columns: SESSION_EXPORT_COLUMNS,
+            format,
+            headers: options.headers,
+            timeZone: this.timezone
+        });
+    }
+
+    /**
+     * 导出每个用户的汇总（登录次数、在线时长、首次和最后登录时间），按用户名排序
+     * 逐页读取记录并在读取时累加，内存占用只与用户数有关
+     * @param {Object} options - 选项（时间范围同 getUserStats，format、pageSize、headers 同 exportSessions）
+     * @returns {AsyncGenerator<string>} 文本片段
+     */
+    exportUserSummaries(options = {}) {
+        const format = checkExportFormat(options.format);
+        const range = resolveRange(options, this.timezone);
+
+        return formatExport(this._summaryExportPages(range, options.pageSize || 1000), {
+            columns: SUMMARY_EXPORT_COLUMNS,
+            format,
+            headers: options.headers,
+            timeZone: this.timezone
+        });
+    }
+
+    /**
+     * 清理过期记录，按 retentionStrategy 处理：
+     * - 'delete'：直接删除
+     * - 'archive' / 'rollup'：由数据库函数（archive_activity_logs / rollup_activity_logs）在同一事务中归档或汇总后删除，
+     *   只处理已经结束的会话；函数不存在时抛出错误，不会删除任何记录
+     *   这两个函数只授权给 service_role，需要在服务端使用 service_role 密钥的客户端调用
      * @param {number} days - 保留天数（默认使用构造函数中的配置）
+     * @returns {Promise<{deletedCount: number, cutoffDate: Date, strategy: string}>} 从活动日志表移除的条数
      */
     async cleanupOldRecords(days) {
         const retentionDays = days !== undefined ? days : this.retentionDays;
+        const strategy = this.retentionStrategy;
         
         try {
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
 
-            const { data, error } = await this.supabase
-                .from(this.logsTable)
-                .delete()
-                .lt('login_time', cutoffDate.toISOString())
-                .select();
+            let deletedCount;
+            if (strategy === 'delete') {
+                const { data, error } = await this._scopeQuery(
+                    this.supabase
+                        .from(this.logsTable)
+                        .delete()
+                        .lt('login_time', cutoffDate.toISOString())
+                        .select()
+                );
 
-            if (error) throw error;
+                if (error) throw error;
+                deletedCount = data ? data.length : 0;
+            } else {
+                const { data, error } = await this.supabase.rpc(
+                    strategy === 'archive' ? this.archiveFunction : this.rollupFunction,
+                    {
+                        p_cutoff: cutoffDate.toISOString(),
+                        p_tenant_id: this.tenantId,
+                        p_session_timeout: this._sessionTimeoutInterval(),
+                        ...(strategy === 'rollup' ? { p_timezone: this.timezone } : {})
+                    }
+                );
 
-            const deletedCount = data ? data.length : 0;
-            console.log(`已清理 ${retentionDays} 天前的记录，删除 ${deletedCount} 条`);
+                if (error) throw error;
+                deletedCount = data || 0;
+            }
+
+            const action = { delete: '删除', archive: '归档', rollup: '汇总' }[strategy];
+            console.log(`已清理 ${retentionDays} 天前的记录，${action} ${deletedCount} 条`);
             
-            return { deletedCount, cutoffDate };
+            return { deletedCount, cutoffDate, strategy };
         } catch (error) {
             console.error('清理记录失败:', error);
             throw error;
@@ -267,26 +624,32 @@ export class ActivityStats {
     async getStorageStats() {
         try {
             // 获取总记录数
-            const { count: totalRecords, error: countError } = await this.supabase
-                .from(this.logsTable)
-                .select('*', { count: 'exact', head: true });
+            const { count: totalRecords, error: countError } = await this._scopeQuery(
+                this.supabase
+                    .from(this.logsTable)
+                    .select('*', { count: 'exact', head: true })
+            );
 
             if (countError) throw countError;
 
             // 获取最早和最新的记录
-            const { data: oldestRecord, error: oldestError } = await this.supabase
-                .from(this.logsTable)
-                .select('login_time')
-                .order('login_time', { ascending: true })
-                .limit(1)
-                .single();
+            const { data: oldestRecord, error: oldestError } = await this._scopeQuery(
+                this.supabase
+                    .from(this.logsTable)
+                    .select('login_time')
+                    .order('login_time', { ascending: true })
+                    .limit(1)
+                    .single()
+            );
 
-            const { data: newestRecord, error: newestError } = await this.supabase
-                .from(this.logsTable)
-                .select('login_time')
-                .order('login_time', { ascending: false })
-                .limit(1)
-                .single();
+            const { data: newestRecord, error: newestError } = await this._scopeQuery(
+                this.supabase
+                    .from(this.logsTable)
+                    .select('login_time')
+                    .order('login_time', { ascending: false })
+                    .limit(1)
+                    .single()
+            );
 
             const now = new Date();
             const oldestDate = oldestRecord ? new Date(oldestRecord.login_time) : null;
@@ -302,6 +665,7 @@ export class ActivityStats {
                 newestRecord: newestDate ? newestDate.toISOString() : null,
                 dataSpanDays,
                 retentionDays: this.retentionDays,
+                retentionStrategy: this.retentionStrategy,
                 autoCleanupEnabled: this.autoCleanup,
                 estimatedSize: `~${Math.ceil((totalRecords || 0) * 0.2 / 1024)} KB` // 粗略估算
             };
@@ -319,30 +683,417 @@ export class ActivityStats {
     }
 
     /**
-     * 获取时间段的起始日期
+     * 调用统计函数；函数不存在（还没有执行 sql/activity-reports.sql）时返回 null，由调用方退回客户端计算
+     * 同一个函数只提示一次，之后直接走客户端
+     * @returns {Promise<{data: any}|null>}
      * @private
      */
-    _getStartDate(period) {
-        const now = new Date();
-        const startDate = new Date();
-
-        switch (period) {
-            case 'today':
-                startDate.setHours(0, 0, 0, 0);
-                break;
-            case 'week':
-                startDate.setDate(now.getDate() - 7);
-                break;
-            case 'month':
-                startDate.setMonth(now.getMonth() - 1);
-                break;
-            case 'year':
-                startDate.setFullYear(now.getFullYear() - 1);
-                break;
-            default:
-                startDate.setHours(0, 0, 0, 0);
+    async _callAggregate(functionName, params) {
+        if (this._missingFunctions.has(functionName)) return null;
+
+        const { data, error } = await this.supabase.rpc(functionName, params);
+        if (error) {
+            if (!isMissingFunction(error)) throw error;
+            console.warn(`数据库函数 ${functionName} 不存在，改为在客户端统计（请执行 sql/activity-reports.sql）`);
+            this._missingFunctions.add(functionName);
+            return null;
         }
+        return { data };
+    }
+
+    /**
+     * 把 activity_user_summary 的结果转换为统计数据（会话列表在客户端按心跳还原）
+     * @private
+     */
+    _fromUserSummary(summary) {
+        const now = Date.now();
+        return {
+            loginCount: summary.login_count || 0,
+            totalOnlineTime: Number(summary.total_online_time) || 0,
+            estimatedOnlineTime: Number(summary.estimated_online_time) || 0,
+            averageSessionTime: Number(summary.average_session_time) || 0,
+            finishedTime: Number(summary.finished_online_time) || 0,
+            finishedCount: summary.finished_session_count || 0,
+            lastLogin: summary.last_login ? new Date(summary.last_login).getTime() : null,
+            exact: summary.exact !== false,
+            sessions: (summary.sessions || []).map(log => this._toSession(log, now))
+        };
+    }
+
+    /**
+     * 在客户端计算用户统计（没有 activity_user_summary 时使用，会下载范围内的所有记录）
+     * @private
+     */
+    async _getUserStatsFromLogs(username, { from, to }) {
+        const { data: logs, error } = await this._scopeQuery(
+            this.supabase
+                .from(this.logsTable)
+                .select('*')
+                .eq('username', username)
+                .gte('login_time', from.toISOString())
+                .lt('login_time', to.toISOString())
+                .order('login_time', { ascending: false })
+        );
+
+        if (error) throw error;
+
+        // 没有登出的会话按心跳还原时长
+        const now = Date.now();
+        const sessions = logs.map(log => this._toSession(log, now));
+        const finishedSessions = sessions.filter(session => !session.ongoing);
+
+        const stats = {
+            loginCount: logs.length,
+            totalOnlineTime: 0,
+            estimatedOnlineTime: 0,
+            averageSessionTime: 0,
+            finishedTime: 0,
+            finishedCount: finishedSessions.length,
+            lastLogin: null,
+            exact: sessions.every(session => session.exact),
+            sessions
+        };
 
-        return startDate;
+        if (logs.length > 0) {
+            stats.lastLogin = new Date(logs[0].login_time).getTime();
+
+            // 计算总在线时长，其中估算部分单独统计
+            sessions.forEach(session => {
+                stats.totalOnlineTime += session.duration;
+                if (!session.exact) {
+                    stats.estimatedOnlineTime += session.duration;
+                }
+            });
+
+            // 计算平均会话时长（进行中的会话时长还不完整，不计入）
+            if (finishedSessions.length > 0) {
+                stats.finishedTime = finishedSessions.reduce((sum, session) => sum + session.duration, 0);
+                stats.averageSessionTime = Math.floor(stats.finishedTime / finishedSessions.length);
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * 读取每日汇总表中与 [from, to) 有重叠的日期（按 timezone）
+     * @private
+     */
+    async _getDailySummary(username, { from, to }) {
+        const lastDay = toDateString(new Date(to.getTime() - 1), this.timezone);
+        const { data: days, error } = await this._scopeQuery(
+            this.supabase
+                .from(this.dailyTable)
+                .select('day, login_count, total_online_time, estimated_online_time, last_login')
+                .eq('username', username)
+                .gte('day', toDateString(from, this.timezone))
+                .lt('day', this._addDays(lastDay, 1))
+        );
+
+        if (error) throw error;
+        return days || [];
+    }
+
+    /**
+     * 把每日汇总计入统计：汇总的会话都已结束，计入平均会话时长；含估算时长的日期使结果不再精确
+     * @private
+     */
+    _mergeDailySummary(stats, days) {
+        const merged = { ...stats, summarizedLoginCount: 0 };
+        if (days.length === 0) return merged;
+
+        days.forEach(day => {
+            const totalTime = Number(day.total_online_time) || 0;
+            const estimatedTime = Number(day.estimated_online_time) || 0;
+            const lastLogin = day.last_login ? new Date(day.last_login).getTime() : null;
+
+            merged.loginCount += day.login_count;
+            merged.summarizedLoginCount += day.login_count;
+            merged.totalOnlineTime += totalTime;
+            merged.estimatedOnlineTime += estimatedTime;
+            merged.finishedTime += totalTime;
+            merged.finishedCount += day.login_count;
+            if (estimatedTime > 0) merged.exact = false;
+            if (lastLogin !== null && (merged.lastLogin === null || lastLogin > merged.lastLogin)) {
+                merged.lastLogin = lastLogin;
+            }
+        });
+
+        merged.averageSessionTime = merged.finishedCount > 0 ? Math.floor(merged.finishedTime / merged.finishedCount) : 0;
+        return merged;
+    }
+
+    /**
+     * 在客户端计算活跃用户排行（没有 activity_top_users 时使用）
+     * @private
+     */
+    async _getTopActiveUsersFromLogs(from, to, limit) {
+        const { data: logs, error } = await this._scopeQuery(
+            this.supabase
+                .from(this.logsTable)
+                .select('username, login_time, logout_time, duration, last_activity, end_reason')
+                .gte('login_time', from.toISOString())
+                .lt('login_time', to.toISOString())
+        );
+
+        if (error) throw error;
+
+        // 按用户聚合（与 getUserStats 一样按心跳还原未结束的会话）
+        const now = Date.now();
+        const userStats = {};
+        logs.forEach(log => {
+            if (!userStats[log.username]) {
+                userStats[log.username] = {
+                    username: log.username,
+                    totalTime: 0,
+                    sessionCount: 0
+                };
+            }
+            userStats[log.username].totalTime += this._toSession(log, now).duration;
+            userStats[log.username].sessionCount += 1;
+        });
+
+        // 转换为数组并排序
+        return Object.values(userStats)
+            .sort((a, b) => b.totalTime - a.totalTime)
+            .slice(0, limit);
+    }
+
+    /**
+     * 按登录时间逐页读取 [from, to) 内的活动记录
+     * @param {Object} query - { username, from, to, columns }
+     * @param {number} pageSize - 每页记录数
+     * @private
+     */
+    async *_readLogPages({ username, from, to, columns = '*' }, pageSize) {
+        for (let offset = 0; ; offset += pageSize) {
+            let query = this.supabase
+                .from(this.logsTable)
+                .select(columns)
+                .gte('login_time', from.toISOString())
+                .lt('login_time', to.toISOString());
+            if (username) {
+                query = query.eq('username', username);
+            }
+
+            const { data: logs, error } = await this._scopeQuery(query)
+                .order('login_time', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw error;
+            if (logs.length > 0) yield logs;
+            if (logs.length < pageSize) return;
+        }
+    }
+
+    /**
+     * 导出会话：逐页转换为会话记录
+     * @private
+     */
+    async *_sessionExportPages(username, range, pageSize) {
+        const now = Date.now();
+        const toDate = (time) => time === null ? null : new Date(time);
+
+        try {
+            for await (const logs of this._readLogPages({ username, ...range }, pageSize)) {
+                yield logs.map(log => {
+                    const session = this._toSession(log, now);
+                    return {
+                        username: log.username,
+                        sessionId: log.session_id || null,
+                        deviceType: session.deviceType || null,
+                        loginTime: toDate(session.loginTime),
+                        logoutTime: toDate(session.logoutTime),
+                        endTime: toDate(session.endTime),
+                        duration: session.duration,
+                        ongoing: session.ongoing,
+                        exact: session.exact,
+                        endReason: log.end_reason || null
+                    };
+                });
+            }
+        } catch (error) {
+            console.error('导出会话记录失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 导出用户汇总：读完所有记录后输出一页
+     * @private
+     */
+    async *_summaryExportPages(range, pageSize) {
+        const now = Date.now();
+        const users = new Map();
+        const columns = 'id, username, login_time, logout_time, duration, last_activity, end_reason';
+
+        try {
+            for await (const logs of this._readLogPages({ ...range, columns }, pageSize)) {
+                logs.forEach(log => {
+                    if (!users.has(log.username)) {
+                        users.set(log.username, {
+                            username: log.username,
+                            loginCount: 0,
+                            totalOnlineTime: 0,
+                            estimatedOnlineTime: 0,
+                            finishedTime: 0,
+                            finishedCount: 0,
+                            firstLogin: null,
+                            lastLogin: null
+                        });
+                    }
+
+                    const user = users.get(log.username);
+                    const session = this._toSession(log, now);
+                    user.loginCount += 1;
+                    user.totalOnlineTime += session.duration;
+                    if (!session.exact) user.estimatedOnlineTime += session.duration;
+                    if (!session.ongoing) {
+                        user.finishedTime += session.duration;
+                        user.finishedCount += 1;
+                    }
+                    // 记录按登录时间升序读取
+                    if (user.firstLogin === null) user.firstLogin = new Date(session.loginTime);
+                    user.lastLogin = new Date(session.loginTime);
+                });
+            }
+        } catch (error) {
+            console.error('导出用户汇总失败:', error);
+            throw error;
+        }
+
+        yield Array.from(users.values())
+            .sort((a, b) => (a.username < b.username ? -1 : a.username > b.username ? 1 : 0))
+            .map(({ finishedTime, finishedCount, ...user }) => ({
+                ...user,
+                averageSessionTime: finishedCount > 0 ? Math.floor(finishedTime / finishedCount) : 0
+            }));
+    }
+
+    /**
+     * 把一条活动记录还原为会话
+     * - 正常登出（含页面关闭）：使用记录的时长，exact 为 true
+     * - 定时任务按心跳关闭（end_reason 为 'timeout'）：时长是估算的
+     * - 没有登出、心跳未超过 sessionTimeout：进行中，时长计算到现在
+     * - 没有登出、心跳已超时（定时任务还没关闭）：以最后一次心跳作为结束时间
+     * @param {Object} log - user_activity_logs 中的记录
+     * @param {number} now - 当前时间戳
+     * @returns {Object} 会话
+     * @private
+     */
+    _toSession(log, now) {
+        const loginTime = new Date(log.login_time).getTime();
+        const logoutTime = log.logout_time ? new Date(log.logout_time).getTime() : null;
+        const lastActivity = log.last_activity ? new Date(log.last_activity).getTime() : loginTime;
+
+        let endTime = logoutTime;
+        let ongoing = false;
+        if (logoutTime === null) {
+            ongoing = now - lastActivity <= this.sessionTimeout;
+            endTime = ongoing ? now : lastActivity;
+        }
+
+        const duration = logoutTime !== null && log.duration !== null && log.duration !== undefined
+            ? log.duration
+            : Math.max(0, Math.floor((endTime - loginTime) / 1000));
+
+        return {
+            loginTime,
+            logoutTime,
+            endTime,
+            duration,
+            deviceType: log.device_type,
+            ongoing,
+            exact: logoutTime !== null && log.end_reason !== 'timeout'
+        };
+    }
+
+    /**
+     * 查找最近的未完成登录记录
+     * @param {string} username - 用户名
+     * @param {string} sessionId - 会话 ID（可选）
+     * @returns {Promise<Object|null>}
+     * @private
+     */
+    async _findOpenLog(username, sessionId) {
+        let query = this._scopeQuery(
+            this.supabase
+                .from(this.logsTable)
+                .select('*')
+                .eq('username', username)
+                .is('logout_time', null)
+        );
+        if (sessionId) {
+            query = query.eq('session_id', sessionId);
+        }
+
+        const { data: logs, error } = await query
+            .order('login_time', { ascending: false })
+            .limit(1);
+
+        if (error) throw error;
+        return logs && logs.length > 0 ? logs[0] : null;
+    }
+
+    /**
+     * 把查询限定在当前租户内
+     * @private
+     */
+    _scopeQuery(query) {
+        return this.tenantId ? query.eq('tenant_id', this.tenantId) : query;
+    }
+
+    /**
+     * 按时间粒度向下对齐（'1h'、'1d' 对齐到 timezone 的整点、0 点）
+     * @private
+     */
+    _alignToBucket(date, bucket) {
+        if (bucket === '1d') return startOf(date, 'day', this.timezone);
+        if (bucket === '1h') return startOf(date, 'hour', this.timezone);
+        const ms = CONCURRENCY_BUCKETS[bucket].ms;
+        return new Date(Math.floor(date.getTime() / ms) * ms);
+    }
+
+    /**
+     * 解析日期范围（YYYY-MM-DD），默认为最近 30 天
+     * @private
+     */
+    _getDateRange(options) {
+        const to = options.to ? this._toDateString(options.to) : this._toDateString(new Date());
+        const from = options.from ? this._toDateString(options.from) : this._addDays(to, -29);
+        if (!from || !to || from > to) {
+            throw new Error('无效的时间范围');
+        }
+        return { from, to };
+    }
+
+    /**
+     * 转换为 timezone 的日期字符串 YYYY-MM-DD（已经是这个格式的字符串原样返回）
+     * @private
+     */
+    _toDateString(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return value;
+        }
+        const date = parseDate(value, this.timezone);
+        return date ? toDateString(date, this.timezone) : null;
+    }
+
+    /**
+     * 日期字符串加减天数
+     * @private
+     */
+    _addDays(dateString, days) {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    /**
+     * sessionTimeout 转换为数据库的 INTERVAL
+     * @private
+     */
+    _sessionTimeoutInterval() {
+        return `${Math.round(this.sessionTimeout / 1000)} seconds`;
     }
 }
@@ -0,0 +1,47 @@
+/**
+ * 过滤条件匹配
+ * 与数据库中 JSONB 的包含（@>）语义一致，presence 模式和 PresenceStore 在本地过滤时使用
+ */
+
+/**
+ * 判断 value 是否包含 expected
+ * - 普通值：等值匹配
+ * - 对象：expected 的每个键都包含在 value 中（用于 metadata 等 JSONB 字段，可以嵌套）
+ * - 数组：expected 的每个元素都能在 value 中找到
+ * @param {any} value - 实际值
+ * @param {any} expected - 期望值
+ * @returns {boolean}
+ */
+export function containsValue(value, expected) {
+    if (Array.isArray(expected)) {
+        return Array.isArray(value) &&
+            expected.every(item => value.some(actual => containsValue(actual, item)));
+    }
+
+    if (isPlainObject(expected)) {
+        return isPlainObject(value) &&
+            Object.keys(expected).every(key => containsValue(value[key], expected[key]));
+    }
+
+    return value === expected;
+}
+
+/**
+ * 判断记录是否满足过滤条件（{ 字段名: 期望值 }）
+ * @param {Object} record - 会话记录或在线用户
+ * @param {Object} filter - 过滤条件，如 { device_type: 'mobile', metadata: { room: 'A' } }
+ * @returns {boolean}
+ */
+export function matchesFilter(record, filter) {
+    if (!filter) return true;
+    return Object.keys(filter).every(key => containsValue(record[key], filter[key]));
+}
+
+/**
+ * 是否为普通对象（不包括数组和 null）
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
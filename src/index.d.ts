@@ -1,17 +1,112 @@
-import { SupabaseClient } from '@supabase/supabase-js';
+import { SupabaseClient, User } from '@supabase/supabase-js';
 
-export interface OnlineStatusManagerOptions {
+export { ActivityStats } from './extensions/stats';
+export type {
+  ActivityStatsOptions,
+  LoginMetadata,
+  ActivityLog,
+  UserSession,
+  UserStats,
+  TopActiveUser,
+  StorageStats,
+  RetentionStrategy,
+  CleanupResult,
+  StatsPeriod,
+  StatsRangeOptions,
+  ExportSessionsOptions,
+  ExportSummariesOptions,
+  SessionExportRow,
+  UserSummaryExportRow,
+  GetStatsOptions,
+  GetTopUsersOptions,
+  RecordLogoutOptions,
+  ConcurrencyBucket,
+  ConcurrencySeriesOptions,
+  ConcurrencyPoint,
+  PeakConcurrency,
+  DateRangeOptions,
+  ActiveUsersPoint,
+  RetentionOptions,
+  RetentionCohort,
+  ChurnPeriod,
+  ChurnOptions,
+  ChurnPoint
+} from './extensions/stats';
+
+/**
+ * 自定义字段类型
+ * 在线表中除内置字段以外的列会原样出现在在线用户上，
+ * 通过泛型参数声明它们的类型，如 OnlineStatusManager<{ current_page: string }>
+ * metadata 列的类型也通过它声明，如 OnlineStatusManager<{ metadata: { classroom: string } }>
+ */
+export type UserMetadata = Record<string, any>;
+
+/** 会话自定义数据（metadata 列）的类型，未声明时为任意对象 */
+export type MetadataOf<M extends UserMetadata = UserMetadata> =
+  M extends { metadata: infer D extends Record<string, any> } ? D : Record<string, any>;
+
+export interface OnlineStatusManagerOptions<M extends UserMetadata = UserMetadata> {
   /** 在线用户表名，默认 'online_users' */
   tableName?: string;
   /** 心跳间隔（毫秒），默认 30000 */
   heartbeatInterval?: number;
   /** 不活跃超时时间（毫秒），默认 300000 */
   inactiveTimeout?: number;
+  /**
+   * 页面隐藏时的心跳策略，默认 'continue'
+   * - 'continue'：照常心跳
+   * - 'slow'：按 hiddenSlowdown 倍放慢（不超过 inactiveTimeout 的一半）
+   * - 'away'：切换为离开状态并照常心跳，回到页面后切回在线
+   * - 'stop'：停止心跳，超过 inactiveTimeout 后显示为离线
+   * 回到页面时都会立即心跳一次
+   */
+  hiddenPolicy?: HiddenPolicy;
+  /** 'slow' 策略的放慢倍数，默认 4 */
+  hiddenSlowdown?: number;
+  /**
+   * 过期会话清理方式，默认 'client'
+   * - 'client'：getOnlineUsers 顺带删除过期会话（需要删除权限）
+   * - 'server'：由 cleanup_stale_online_users 定时任务清理，读取时只过滤不删除
+   */
+  cleanupMode?: 'client' | 'server';
+  /** 按用户分页的 RPC 函数名，默认 'get_online_users_page' */
+  pageFunction?: string;
+  /**
+   * 租户 ID，设置后所有读写、实时订阅和 presence 频道都限定在该租户内
+   * 真正的隔离由 sql/rls-policies.sql 中的 RLS 策略保证
+   */
+  tenantId?: string | null;
+  /**
+   * Supabase Auth 模式：身份取自 supabase.auth.getSession() 的用户，会话按 user_id 记录，
+   * 登录、登出、切换用户时自动开始/停止追踪，默认 false
+   */
+  authMode?: boolean;
+  /** Auth 模式下的显示名（保存在 metadata.displayName），默认取 user_metadata 的 display_name/full_name/name 或邮箱 */
+  getDisplayName?: (user: User) => string;
+  /** 会话 ID，默认自动生成（每个实例一个） */
+  sessionId?: string;
+  /** 设备类型，默认根据 UA 识别 */
+  deviceType?: string;
+  /**
+   * 多标签页协调：同一浏览器中同一用户的标签页共享一条会话，只由主标签页写心跳，
+   * 主标签页在后台也继续心跳，最后一个标签页关闭时才结束会话（仅 database 传输），默认 false
+   */
+  crossTab?: boolean;
+  /** 传输方式：'database'（心跳写表）或 'presence'（Realtime Presence，不写表），默认 'database' */
+  transport?: 'database' | 'presence';
+  /** presence 模式下是否同时写在线表做持久化，默认 false */
+  persistPresence?: boolean;
+  /** presence 频道名，默认 'presence:' + tableName */
+  presenceChannel?: string;
+  /** 页面卸载时调用的 RPC 函数名，默认 'end_online_session' */
+  unloadFunction?: string;
+  /** 插件（如 ActivityStats），等价于逐个调用 manager.use() */
+  plugins?: OnlineStatusPlugin[];
   /** 是否启用首次登录检测，默认 false */
   enableFirstLoginTracking?: boolean;
-  /** 用户表名（启用首次登录检测时必需），默认 'users' */
+  /** 用户表名（启用首次登录检测时必需），默认 'users'（Auth 模式下为 'profiles'） */
   userTable?: string;
-  /** 用户名字段名，默认 'username' */
+  /** 用户名字段名，默认 'username'（Auth 模式下为 'id'） */
   usernameField?: string;
   /** 最大重试次数，默认 3 */
   maxRetries?: number;
@@ -22,9 +117,15 @@ export interface OnlineStatusManagerOptions {
   /** 是否启用实时订阅，默认 false */
   enableRealtime?: boolean;
   /** 用户上线回调 */
-  onUserJoin?: (user: OnlineUser) => void;
+  onUserJoin?: (user: OnlineUser<M>) => void;
   /** 用户离线回调 */
-  onUserLeave?: (user: { username: string }) => void;
+  onUserLeave?: (user: OfflineUser) => void;
+  /** 用户状态变化回调 */
+  onUserStatusChange?: (user: OnlineUser<M>, previousStatus: UserStatus) => void;
+  /** 用户信息变化回调（状态、自定义字段、设备列表变化，心跳不触发） */
+  onUserUpdate?: (user: OnlineUser<M>, changes: UserChanges<M>) => void;
+  /** 无输入多久后自动切换为 away（毫秒），默认 null（不切换） */
+  idleTimeout?: number | null;
   /** 最大在线时长（毫秒），默认 null（不限制） */
   maxOnlineTime?: number | null;
   /** 警告时间（毫秒），默认 null */
@@ -33,50 +134,441 @@ export interface OnlineStatusManagerOptions {
   onTimeWarning?: (timeLeft: number) => void;
   /** 时长限制回调 */
   onTimeLimit?: () => void;
+  /** 心跳成功回调 */
+  onHeartbeat?: (info: HeartbeatInfo) => void;
+  /** 心跳定时器被浏览器限流（后台标签页、设备休眠）时回调 */
+  onHeartbeatThrottle?: (info: HeartbeatThrottleInfo) => void;
+  /** 连接状态变化回调 */
+  onConnectionChange?: (state: ConnectionState, previousState: ConnectionState) => void;
 }
 
 export interface GetOnlineUsersOptions {
   /** 搜索关键词（用户名模糊匹配） */
   search?: string;
-  /** 自定义过滤条件 */
+  /** 自定义过滤条件（字段等值匹配，对象值如 { metadata: { classroom: 'A101' } } 按 JSONB 包含匹配） */
   filter?: Record<string, any>;
-  /** 排序字段 */
+  /** 只返回该房间中的会话 */
+  room?: string;
+  /** 排序字段（同时传入 limit/offset 时按会话分页，每页的用户数可能少于 limit） */
   orderBy?: string;
   /** 是否升序排序，默认 false */
   ascending?: boolean;
-  /** 限制返回数量 */
+  /** 每页用户数（传入后按用户分页，见 getOnlineUsersPage；没有 get_online_users_page 函数时按会话分页） */
   limit?: number;
   /** 偏移量（分页） */
   offset?: number;
 }
 
-export interface OnlineUser {
-  /** 用户名 */
+/** 键集分页游标（上一页最后一个用户） */
+export interface OnlineUsersCursor {
+  /** 最后活跃时间（数据库返回的原始时间字符串） */
+  lastActivity: string;
   username: string;
-  /** 最后活跃时间（时间戳） */
+}
+
+export interface GetOnlineUsersPageOptions {
+  /** 搜索关键词（用户名模糊匹配） */
+  search?: string;
+  /** 自定义过滤条件（字段等值匹配，对象值按 JSONB 包含匹配） */
+  filter?: Record<string, any>;
+  /** 只返回该房间中的会话 */
+  room?: string;
+  /** 每页用户数，默认 20 */
+  limit?: number;
+  /** 偏移量（不使用 cursor 时） */
+  offset?: number;
+  /** 上一页返回的 nextCursor */
+  cursor?: OnlineUsersCursor | null;
+}
+
+export interface OnlineUsersPage<M extends UserMetadata = UserMetadata> {
+  /** 当前页的用户（最后活跃时间倒序） */
+  users: OnlineUser<M>[];
+  /** 满足条件的在线用户总数 */
+  total: number;
+  /** 是否还有下一页 */
+  hasMore: boolean;
+  /** 下一页的游标，没有下一页时为 null */
+  nextCursor: OnlineUsersCursor | null;
+}
+
+/** 在线状态 */
+export type UserStatus = 'online' | 'away' | 'busy' | 'dnd';
+
+/** 可用的在线状态（按合并优先级从高到低） */
+export const USER_STATUSES: UserStatus[];
+
+/** 页面隐藏时的心跳策略 */
+export type HiddenPolicy = 'continue' | 'slow' | 'away' | 'stop';
+
+/** 可用的后台心跳策略 */
+export const HIDDEN_POLICIES: HiddenPolicy[];
+
+/**
+ * 连接状态
+ * - 'connected'：最近一次写入成功
+ * - 'degraded'：写入失败，心跳仍在重试
+ * - 'offline'：浏览器离线，心跳暂停，恢复联网后立即心跳
+ * - 'stopped'：未在追踪（未登录、已登出或已销毁）
+ */
+export type ConnectionState = 'connected' | 'degraded' | 'offline' | 'stopped';
+
+/** 可用的连接状态 */
+export const CONNECTION_STATES: ConnectionState[];
+
+/**
+ * 导出格式
+ * - 'csv'：带 UTF-8 BOM，时间按时区格式化为 'YYYY-MM-DD HH:mm:ss'
+ * - 'json'：一个数组，时间为 ISO 字符串
+ * - 'ndjson'：每行一条记录
+ */
+export type ExportFormat = 'csv' | 'json' | 'ndjson';
+
+/** 可用的导出格式 */
+export const EXPORT_FORMATS: ExportFormat[];
+
+export interface ExportOptions {
+  /** 导出格式，默认 'csv' */
+  format?: ExportFormat;
+  /** 每页读取的记录数 */
+  pageSize?: number;
+  /** CSV 表头的显示名 { 字段名: 显示名 }，默认使用字段名 */
+  headers?: Record<string, string>;
+}
+
+export interface ExportOnlineUsersOptions extends ExportOptions {
+  /** 搜索关键词（用户名模糊匹配） */
+  search?: string;
+  /** 自定义过滤条件 */
+  filter?: Record<string, any>;
+  /** 只导出该房间中的用户 */
+  room?: string;
+  /** CSV 中时间使用的时区，默认浏览器时区 */
+  timezone?: string;
+}
+
+/** 导出的在线用户（字段即 CSV 的列） */
+export interface OnlineUserExportRow {
+  username: string;
+  userId: string | null;
+  status: UserStatus;
+  statusMessage: string | null;
+  lastActivity: string | null;
+  deviceCount: number;
+  deviceTypes: string[];
+  rooms: string[];
+  metadata: Record<string, any>;
+}
+
+/** 把导出的文本片段合并为一个字符串 */
+export function exportToString(chunks: AsyncIterable<string>): Promise<string>;
+
+/** 把导出的文本片段合并为 Blob（浏览器中下载文件用） */
+export function exportToBlob(chunks: AsyncIterable<string>, format?: ExportFormat): Promise<Blob>;
+
+export interface OnlineDevice<M extends UserMetadata = UserMetadata> {
+  /** 会话 ID */
+  sessionId: string;
+  /** 设备类型 */
+  deviceType: string;
+  /** 该设备的在线状态 */
+  status: UserStatus;
+  /** 该设备所在的房间 */
+  rooms: string[];
+  /** 该设备的自定义数据 */
+  metadata: MetadataOf<M>;
+  /** 该设备最后活跃时间（时间戳） */
   lastActivity: number;
 }
 
+/** 在线用户的内置字段 */
+export interface OnlineUserFields<M extends UserMetadata = UserMetadata> {
+  /** 用户名（Auth 模式下为用户 ID） */
+  username: string;
+  /** Supabase Auth 用户 ID（Auth 模式下写入，否则为 null） */
+  userId: string | null;
+  /** 最后活跃时间（所有设备中最近的一次，时间戳） */
+  lastActivity: number;
+  /** 在线状态（多设备按优先级合并） */
+  status: UserStatus;
+  /** 自定义状态消息 */
+  statusMessage: string | null;
+  /** 所在的房间（所有设备的并集） */
+  rooms: string[];
+  /** 在线设备列表 */
+  devices: OnlineDevice<M>[];
+}
+
+/** 在线用户：内置字段 + 自定义数据 + 自定义字段（后两者取最早创建的会话） */
+export type OnlineUser<M extends UserMetadata = UserMetadata> =
+  OnlineUserFields<M> & { metadata: MetadataOf<M> } & M;
+
+/** 离线事件的用户 */
+export interface OfflineUser {
+  username: string;
+  status: 'offline';
+}
+
+/** 用户变化的字段：{ 字段名: { previous, current } }（不包含 lastActivity） */
+export type UserChanges<M extends UserMetadata = UserMetadata> = {
+  [K in Exclude<keyof OnlineUser<M>, 'lastActivity'>]?: {
+    previous: OnlineUser<M>[K];
+    current: OnlineUser<M>[K];
+  };
+};
+
+export interface LoginOptions<M extends UserMetadata = UserMetadata> {
+  /** 当前会话的自定义数据（如当前页面、教室 ID、角色） */
+  metadata?: MetadataOf<M>;
+  /** 登录时加入的房间 */
+  rooms?: string[];
+}
+
+export interface SetMetadataOptions {
+  /** 是否立即同步，默认 false（随下一次心跳写入；presence 模式下总是立即同步） */
+  immediate?: boolean;
+}
+
+export interface RemoveStatusOptions {
+  /** 是否移除该用户所有设备的会话，默认只移除当前会话 */
+  allSessions?: boolean;
+}
+
+export interface HeartbeatInfo {
+  username: string;
+  sessionId: string;
+  /** 心跳时间（毫秒时间戳） */
+  timestamp: number;
+}
+
+export interface HeartbeatThrottleInfo {
+  /** 预期的心跳间隔（毫秒） */
+  expectedInterval: number;
+  /** 实际的心跳间隔（毫秒） */
+  actualInterval: number;
+  /** 当时页面是否隐藏 */
+  hidden: boolean;
+}
+
+/** 传给插件的会话信息 */
+export interface SessionInfo {
+  username: string;
+  /** 会话 ID（多标签页协调时为共享的会话 ID） */
+  sessionId: string;
+  deviceType: string;
+  /** 会话开始时间（毫秒时间戳） */
+  startedAt: number;
+  /** 是否为首次登录（需要 enableFirstLoginTracking，从往返缓存恢复时为 false） */
+  isFirstLogin: boolean;
+}
+
+/**
+ * 会话结束原因
+ * - 'logout'：调用 userLogout（包括 Auth 模式下退出登录）
+ * - 'timeLimit'：达到 maxOnlineTime 自动登出
+ * - 'unload'：关闭页面或进入往返缓存
+ * - 'destroy'：销毁管理器
+ */
+export type SessionEndReason = 'logout' | 'timeLimit' | 'unload' | 'destroy';
+
+/** 插件：所有方法都是可选的，出错时触发 error 事件，不影响主流程 */
+export interface OnlineStatusPlugin {
+  /** 注册时调用 */
+  install?(manager: OnlineStatusManager<any>): void;
+  /** 开始追踪会话（登录、从往返缓存恢复） */
+  onSessionStart?(session: SessionInfo): unknown;
+  /**
+   * 会话结束。开启 crossTab 时只有最后一个标签页结束时才调用
+   * reason 为 'unload' 时页面正在关闭，不能等待异步请求，请使用 manager.sendUnloadRpc
+   */
+  onSessionEnd?(session: SessionInfo, reason: SessionEndReason): unknown;
+  /** 管理器销毁时调用 */
+  destroy?(): void;
+}
+
+/** OnlineStatusManager 的事件及监听函数参数 */
+export interface OnlineStatusEvents<M extends UserMetadata = UserMetadata> {
+  /** 用户上线 */
+  join: [user: OnlineUser<M>];
+  /** 用户离线 */
+  leave: [user: OfflineUser];
+  /** 用户信息变化（状态、自定义字段、设备列表变化，心跳不触发） */
+  update: [user: OnlineUser<M>, changes: UserChanges<M>];
+  /** 用户状态变化 */
+  statusChange: [user: OnlineUser<M>, previousStatus: UserStatus];
+  /** 操作失败（已达最大重试次数） */
+  error: [error: Error, operation: string];
+  /** 在线时长即将达到上限 */
+  timeWarning: [timeLeft: number];
+  /** 在线时长达到上限（随后自动登出） */
+  timeLimit: [];
+  /** 心跳成功 */
+  heartbeat: [info: HeartbeatInfo];
+  /** 心跳定时器被限流 */
+  heartbeatThrottle: [info: HeartbeatThrottleInfo];
+  /** 连接状态变化 */
+  connectionChange: [state: ConnectionState, previousState: ConnectionState];
+  /** 用户进入房间 */
+  roomJoin: [user: OnlineUser<M>, room: string];
+  /** 用户离开房间（离线时 user 为离线用户） */
+  roomLeave: [user: OnlineUser<M> | OfflineUser, room: string];
+}
+
+export class EventEmitter<Events extends { [E in keyof Events]: any[] } = Record<string, any[]>> {
+  /**
+   * 注册事件监听
+   * @returns 取消监听函数
+   */
+  on<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): () => void;
+
+  /**
+   * 注册只触发一次的事件监听
+   * @returns 取消监听函数
+   */
+  once<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): () => void;
+
+  /**
+   * 移除事件监听，不传 listener 时移除该事件的所有监听，不传参数时移除全部
+   */
+  off<E extends keyof Events>(event?: E, listener?: (...args: Events[E]) => void): void;
+
+  /**
+   * 触发事件
+   * @returns 是否有监听函数
+   */
+  emit<E extends keyof Events>(event: E, ...args: Events[E]): boolean;
+
+  /**
+   * 获取事件的监听函数数量
+   */
+  listenerCount(event: keyof Events): number;
+}
+
 export interface LoginResult {
   /** 是否为首次登录 */
   isFirstLogin: boolean;
 }
 
-export class OnlineStatusManager {
-  constructor(supabase: SupabaseClient, options?: OnlineStatusManagerOptions);
+export class OnlineStatusManager<M extends UserMetadata = UserMetadata> extends EventEmitter<OnlineStatusEvents<M>> {
+  constructor(supabase: SupabaseClient<any, any, any>, options?: OnlineStatusManagerOptions<M>);
+
+  /** Supabase 客户端 */
+  readonly supabase: SupabaseClient<any, any, any>;
+  /** 在线用户表名 */
+  readonly tableName: string;
+  /** 心跳间隔（毫秒） */
+  readonly heartbeatInterval: number;
+  /** 不活跃超时时间（毫秒） */
+  readonly inactiveTimeout: number;
+  /** 过期会话清理方式 */
+  readonly cleanupMode: 'client' | 'server';
+  /** 租户 ID */
+  readonly tenantId: string | null;
+  /** 是否为 Supabase Auth 模式 */
+  readonly authMode: boolean;
+  /** 当前登录的用户名，未登录时为 null */
+  readonly currentUsername: string | null;
+
+  /** 当前会话 ID（多标签页协调时为共享的会话 ID） */
+  readonly sessionId: string;
+  /** 当前标签页自己的 ID */
+  readonly tabId: string;
+  /** 当前设备类型 */
+  readonly deviceType: string;
+  /** 传输方式 */
+  readonly transport: 'database' | 'presence';
+  /** 连接状态 */
+  readonly connectionState: ConnectionState;
+  /** 当前会话的在线状态 */
+  readonly status: UserStatus;
+  /** 当前会话的状态消息 */
+  readonly statusMessage: string | null;
+  /** 当前会话的自定义数据 */
+  readonly metadata: Partial<MetadataOf<M>>;
 
   /**
    * 用户登录 - 启动在线状态追踪
-   * @param username 用户名
+   * @param username 用户名（Auth 模式下省略，传入时必须是当前登录用户的 ID）
+   * @param options 登录选项
    * @returns 返回是否首次登录
    */
-  userLogin(username: string): Promise<LoginResult>;
+  userLogin(username?: string | null, options?: LoginOptions<M>): Promise<LoginResult>;
+
+  /**
+   * 当前标签页是否负责写心跳（没有开启多标签页协调时总是 true）
+   */
+  isLeaderTab(): boolean;
+
+  /**
+   * 启动 Auth 模式的自动追踪（authMode 为 true 时构造函数会自动调用）
+   * @returns 初次同步完成
+   */
+  startAuthTracking(): Promise<void>;
+
+  /**
+   * 更新当前会话的自定义数据（浅合并，值为 undefined 的键会被移除）
+   * 默认随下一次心跳写入
+   * @param patch 要合并的数据
+   * @param options 选项
+   */
+  setMetadata(patch: Partial<MetadataOf<M>>, options?: SetMetadataOptions): Promise<void>;
+
+  /**
+   * 加入房间，已登录时立即同步
+   * @param room 房间名
+   */
+  joinRoom(room: string): Promise<void>;
+
+  /**
+   * 离开房间，已登录时立即同步
+   * @param room 房间名
+   */
+  leaveRoom(room: string): Promise<void>;
+
+  /**
+   * 获取当前会话所在的房间
+   */
+  getRooms(): string[];
+
+  /**
+   * 设置当前会话的在线状态
+   * @param status 在线状态
+   * @param message 自定义状态消息
+   */
+  setStatus(status: UserStatus, message?: string | null): Promise<void>;
 
   /**
-   * 用户登出 - 停止在线状态追踪
+   * 启动无操作检测
+   */
+  startIdleDetection(): void;
+
+  /**
+   * 停止无操作检测
+   */
+  stopIdleDetection(): void;
+
+  /**
+   * 用户登出 - 停止在线状态追踪（只结束当前设备的会话）
    */
   userLogout(): Promise<void>;
 
+  /** 已注册的插件 */
+  readonly plugins: OnlineStatusPlugin[];
+
+  /**
+   * 注册插件
+   * @returns 移除插件的函数
+   */
+  use(plugin: OnlineStatusPlugin): () => void;
+
+  /**
+   * 在页面卸载时调用 RPC 函数（keepalive fetch，不支持时使用 sendBeacon），不能获取结果
+   * @param functionName RPC 函数名
+   * @param params 函数参数
+   * @returns 请求是否已交给浏览器发送
+   */
+  sendUnloadRpc(functionName: string, params?: Record<string, any>): boolean;
+
   /**
    * 更新用户在线状态
    * @param username 用户名
@@ -84,25 +576,59 @@ export class OnlineStatusManager {
   updateStatus(username: string): Promise<void>;
 
   /**
-   * 移除用户在线状态
+   * 移除用户在线状态（默认只移除当前会话）
    * @param username 用户名
+   * @param options 选项
    */
-  removeStatus(username: string): Promise<void>;
+  removeStatus(username: string, options?: RemoveStatusOptions): Promise<void>;
 
   /**
-   * 获取在线用户列表（自动清理过期用户）
+   * 获取在线用户列表（服务端过滤过期会话，多设备合并为一条）
    * @param options 查询选项
    * @returns 在线用户列表
    */
-  getOnlineUsers(options?: GetOnlineUsersOptions): Promise<OnlineUser[]>;
+  getOnlineUsers(options?: GetOnlineUsersOptions): Promise<OnlineUser<M>[]>;
+
+  /**
+   * 从实时订阅的会话缓存中取出满足查询条件的用户（条件匹配在会话上，filter 使用表的列名），
+   * 返回的用户只包含满足条件的设备，没有满足条件的会话时为 null
+   * @param username 用户名
+   * @param query 查询条件
+   */
+  getRealtimeUser(username: string, query?: Pick<GetOnlineUsersOptions, 'search' | 'filter' | 'room'>): OnlineUser<M> | null;
 
   /**
-   * 获取在线用户总数
+   * 按用户分页获取在线用户（需要 get_online_users_page 函数）
+   * @param options 查询选项
+   * @returns 当前页、总数和下一页游标
+   */
+  getOnlineUsersPage(options?: GetOnlineUsersPageOptions): Promise<OnlineUsersPage<M>>;
+
+  /**
+   * 导出当前在线用户的快照（按 get_online_users_page 逐页读取；没有该函数时按用户名逐页读取会话），字段见 OnlineUserExportRow
+   * @param options 查询条件和导出格式，每页默认 500 个用户
+   * @returns 文本片段，可以用 exportToString / exportToBlob 合并
+   */
+  exportOnlineUsers(options?: ExportOnlineUsersOptions): AsyncGenerator<string, void, undefined>;
+
+  /**
+   * 获取在线用户总数（多设备在线的用户只计一次）
+   * 在数据库中计数，与 getOnlineUsersPage 的 total 一致；没有 get_online_users_page 函数时按会话计数
    * @param options 查询选项
    * @returns 在线用户数量
    */
   getOnlineUserCount(options?: GetOnlineUsersOptions): Promise<number>;
 
+  /**
+   * 启动在线时长监控
+   */
+  startTimeLimitMonitor(): void;
+
+  /**
+   * 停止在线时长监控
+   */
+  stopTimeLimitMonitor(): void;
+
   /**
    * 获取当前在线时长（毫秒）
    */
@@ -133,8 +659,190 @@ export class OnlineStatusManager {
    */
   stopRealtimeSubscription(): void;
 
+  /**
+   * 设置离线检测（页面卸载、可见性变化）
+   */
+  setupOfflineDetection(): void;
+
+  /**
+   * 标记用户已登录（首次登录检测）
+   * @returns 是否为首次登录
+   */
+  markUserLoggedIn(username: string): Promise<boolean>;
+
+  /**
+   * 销毁实例
+   */
+  destroy(): void;
+}
+
+export interface PresenceTransportOptions {
+  /** 频道名，默认 'presence:online_users' */
+  channelName?: string;
+  /** presence key（会话 ID） */
+  key?: string;
+  /** 有会话加入时回调（首次同步之后） */
+  onJoin?: (sessions: Record<string, any>[]) => void;
+  /** 有会话离开时回调（首次同步之后） */
+  onLeave?: (sessions: Record<string, any>[]) => void;
+  /** 状态同步回调 */
+  onSync?: (sessions: Record<string, any>[], isFirstSync: boolean) => void;
+  /** 频道错误回调 */
+  onError?: (error: Error) => void;
+}
+
+export class PresenceTransport {
+  constructor(supabase: SupabaseClient<any, any, any>, options?: PresenceTransportOptions);
+
+  /** 是否已完成首次同步 */
+  readonly synced: boolean;
+
+  /**
+   * 加入 presence 频道，首次同步完成后 resolve
+   */
+  connect(): Promise<void>;
+
+  /**
+   * 广播当前会话的在线状态
+   * @param payload 会话数据
+   */
+  track(payload: Record<string, any>): Promise<void>;
+
+  /**
+   * 取消当前会话的在线状态
+   */
+  untrack(): Promise<void>;
+
+  /**
+   * 获取频道内所有在线会话
+   */
+  getSessions(): Record<string, any>[];
+
+  /**
+   * 离开频道
+   */
+  disconnect(): void;
+}
+
+export interface PresenceStoreOptions {
+  /** 传给 getOnlineUsers 的搜索/过滤条件 */
+  query?: GetOnlineUsersOptions;
+  /** 是否应用实时事件，默认 true */
+  realtime?: boolean;
+  /** 本地过期检查间隔（毫秒），默认 heartbeatInterval */
+  expiryInterval?: number;
+  /** 与服务器重新同步的间隔（毫秒），默认 inactiveTimeout / 2 */
+  resyncInterval?: number;
+}
+
+export interface PresenceDiff<M extends UserMetadata = UserMetadata> {
+  /** 新上线的用户 */
+  added: OnlineUser<M>[];
+  /** 离线的用户 */
+  removed: OnlineUser<M>[];
+  /** 信息变化的用户 */
+  changed: OnlineUser<M>[];
+}
+
+export type PresenceListener<M extends UserMetadata = UserMetadata> =
+  (snapshot: OnlineUser<M>[], diff: PresenceDiff<M>) => void;
+
+export class PresenceStore<M extends UserMetadata = UserMetadata> {
+  constructor(manager: OnlineStatusManager<M>, options?: PresenceStoreOptions);
+
+  /** 是否已完成首次载入 */
+  readonly ready: boolean;
+  /** 在线用户数量 */
+  readonly size: number;
+
+  /**
+   * 启动：挂载实时事件、载入初始列表、开始本地过期检查
+   */
+  start(): Promise<void>;
+
+  /**
+   * 从服务器重新载入在线用户
+   */
+  refresh(): Promise<void>;
+
+  /**
+   * 订阅列表变化，订阅时立即以当前快照回调一次
+   * @returns 取消订阅函数
+   */
+  subscribe(listener: PresenceListener<M>): () => void;
+
+  /**
+   * 获取当前在线用户快照（按最后活跃时间倒序）
+   */
+  getSnapshot(): OnlineUser<M>[];
+
+  /**
+   * 获取单个在线用户
+   */
+  get(username: string): OnlineUser<M> | null;
+
+  /**
+   * 停止（不会销毁 manager）
+   */
+  stop(): void;
+
   /**
    * 销毁实例
    */
   destroy(): void;
 }
+
+export interface TabCoordinatorOptions {
+  /** 协调范围，同名的标签页互相协调 */
+  name: string;
+  /** 当前标签页 ID */
+  tabId: string;
+  /** 广播状态和续约的间隔（毫秒），默认 30000 */
+  interval?: number;
+  /** 返回当前标签页的状态，定期广播给其他标签页 */
+  getState?: () => any;
+  /** 成为或不再是主标签页时回调 */
+  onLeaderChange?: (isLeader: boolean) => void;
+  /** 其他标签页加入、离开或状态变化时回调 */
+  onStateChange?: () => void;
+}
+
+/**
+ * 多标签页协调（Web Locks / BroadcastChannel，不支持时使用 localStorage）
+ */
+export class TabCoordinator {
+  constructor(options: TabCoordinatorOptions);
+
+  /** 当前环境是否支持多标签页协调 */
+  static isSupported(): boolean;
+
+  /** 是否为主标签页 */
+  readonly isLeader: boolean;
+
+  /** 共享的会话 ID（调用 getSessionId 之前为 null） */
+  readonly sessionId: string | null;
+
+  /**
+   * 获取所有标签页共享的会话 ID，还没有（或超过存活时间没有刷新）时使用 fallback 并保存
+   * @param fallback 新会话的 ID
+   */
+  getSessionId(fallback: string): string;
+
+  /** 清除共享的会话 ID（最后一个标签页结束会话时调用），下次登录使用新的会话 */
+  clearSessionId(): void;
+
+  /** 加入协调 */
+  start(): void;
+
+  /** 离开协调，释放主标签页身份 */
+  stop(): void;
+
+  /** 广播当前标签页的状态 */
+  announce(): void;
+
+  /** 其他存活标签页的状态 */
+  getMemberStates(): any[];
+
+  /** 是否还有其他存活的标签页 */
+  hasOtherTabs(): boolean;
+}
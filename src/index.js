@@ -3,8 +3,84 @@
  * 基于 Supabase 的跨设备实时在线状态管理库
  */
 
-export class OnlineStatusManager {
+import { EventEmitter } from './event-emitter.js';
+import { PresenceTransport } from './presence-transport.js';
+import { PresenceStore } from './presence-store.js';
+import { TabCoordinator } from './tab-coordinator.js';
+import { matchesFilter, isPlainObject } from './filter.js';
+import { isMissingFunction } from './db-errors.js';
+import { ActivityStats } from './extensions/stats.js';
+import { formatExport, checkExportFormat, exportToString, exportToBlob, EXPORT_FORMATS } from './export.js';
+
+export { EventEmitter, PresenceTransport, PresenceStore, TabCoordinator, ActivityStats };
+export { exportToString, exportToBlob, EXPORT_FORMATS };
+
+// 会话记录中的内置字段，其余字段作为自定义字段透传
+const SESSION_COLUMNS = [
+    'id', 'session_id', 'username', 'user_id', 'tenant_id', 'device_type', 'status', 'status_message',
+    'metadata', 'rooms', 'last_activity', 'created_at', 'presence_ref'
+];
+
+// 导出在线用户的字段
+const ONLINE_EXPORT_COLUMNS = [
+    'username', 'userId', 'status', 'statusMessage', 'lastActivity', 'deviceCount', 'deviceTypes', 'rooms', 'metadata'
+];
+
+// 在线用户转换为导出行
+const toOnlineExportRow = (user) => ({
+    username: user.username,
+    userId: user.userId,
+    status: user.status,
+    statusMessage: user.statusMessage,
+    lastActivity: user.lastActivity ? new Date(user.lastActivity) : null,
+    deviceCount: user.devices.length,
+    deviceTypes: user.devices.map(device => device.deviceType),
+    rooms: user.rooms,
+    metadata: user.metadata
+});
+
+// 可用的在线状态，按合并优先级从高到低排列（多设备时取优先级最高的）
+export const USER_STATUSES = ['dnd', 'busy', 'online', 'away'];
+
+// 页面隐藏时的心跳策略
+export const HIDDEN_POLICIES = ['continue', 'slow', 'away', 'stop'];
+
+// 连接状态：已连接、写入失败重试中、浏览器离线、未在追踪
+export const CONNECTION_STATES = ['connected', 'degraded', 'offline', 'stopped'];
+
+// 心跳连续失败多少次后上报错误（心跳不会停止，恢复后自动回到 connected）
+const MAX_HEARTBEAT_FAILURES = 5;
+
+// 实际心跳间隔超过预期的多少倍时认为定时器被限流（后台标签页、设备休眠）
+const THROTTLE_RATIO = 1.5;
+
+// 自动离开检测监听的输入事件
+const INPUT_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+// Auth 模式下默认的显示名：依次取 user_metadata 中的 display_name、full_name、name，最后是邮箱/手机号
+const defaultDisplayName = (user) => {
+    const meta = user.user_metadata || {};
+    return meta.display_name || meta.full_name || meta.name || user.email || user.phone || user.id;
+};
+
+// 构造参数中的回调对应的事件，传入回调等价于 manager.on(事件名, 回调)
+const CALLBACK_EVENTS = {
+    onUserJoin: 'join',
+    onUserLeave: 'leave',
+    onUserUpdate: 'update',
+    onUserStatusChange: 'statusChange',
+    onError: 'error',
+    onTimeWarning: 'timeWarning',
+    onTimeLimit: 'timeLimit',
+    onHeartbeat: 'heartbeat',
+    onHeartbeatThrottle: 'heartbeatThrottle',
+    onConnectionChange: 'connectionChange'
+};
+
+export class OnlineStatusManager extends EventEmitter {
     constructor(supabase, options = {}) {
+        super();
+
         if (!supabase) {
             throw new Error('Supabase 客户端实例是必需的');
         }
@@ -15,35 +91,105 @@ export class OnlineStatusManager {
         this.tableName = options.tableName || 'online_users';
         this.heartbeatInterval = options.heartbeatInterval || 30000; // 30秒
         this.inactiveTimeout = options.inactiveTimeout || 300000; // 5分钟
+        // 页面隐藏时的心跳策略：'continue'（照常心跳）、'slow'（按 hiddenSlowdown 倍放慢）、'away'（切换为离开并照常心跳）、'stop'（停止心跳）
+        this.hiddenPolicy = options.hiddenPolicy || 'continue';
+        this.hiddenSlowdown = options.hiddenSlowdown || 4;
+        if (!HIDDEN_POLICIES.includes(this.hiddenPolicy)) {
+            throw new Error(`无效的后台心跳策略: ${this.hiddenPolicy}`);
+        }
+        // 过期会话清理方式：'client'（getOnlineUsers 顺带删除）或 'server'（由数据库定时任务清理，读取时只过滤不删除）
+        this.cleanupMode = options.cleanupMode || 'client';
+        this.pageFunction = options.pageFunction || 'get_online_users_page'; // 按用户分页的 RPC 函数
+        this._pageFunctionMissing = false; // 分页函数不存在时 getOnlineUsers、getOnlineUserCount 改为按会话查询
+        // 租户 ID：设置后所有读写、实时订阅和 presence 频道都限定在该租户内（配合 sql/rls-policies.sql）
+        this.tenantId = options.tenantId || null;
+        
+        // 会话配置（每个设备/标签页对应一条独立的在线记录）
+        this.sessionId = options.sessionId || this._generateSessionId();
+        this.deviceType = options.deviceType || this._detectDeviceType();
+        // 多标签页协调：同一浏览器的标签页共享一条会话，只由主标签页写心跳（仅 database 传输）
+        this.crossTab = options.crossTab || false;
+        this.tabId = this.sessionId; // 当前标签页自己的 ID，协调时 sessionId 换成共享的会话 ID
         
-        // 首次登录检测配置
+        // 传输方式：'database'（心跳写表）或 'presence'（Realtime Presence，不写表）
+        this.transport = options.transport || 'database';
+        this.persistPresence = options.persistPresence || false; // presence 模式下是否同时写表
+        this.presenceChannel = options.presenceChannel ||
+            (this.tenantId ? `presence:${this.tableName}:${this.tenantId}` : `presence:${this.tableName}`);
+        this.unloadFunction = options.unloadFunction || 'end_online_session'; // 页面卸载时调用的 RPC 函数
+        
+        // Supabase Auth 模式：身份取自当前登录会话（按 user_id 记录），随 onAuthStateChange 自动开始/停止追踪
+        this.authMode = options.authMode || false;
+        this.getDisplayName = options.getDisplayName || defaultDisplayName; // 显示名保存在 metadata.displayName
+        
+        // 首次登录检测配置（Auth 模式下默认使用 profiles 表的 id 字段）
         this.enableFirstLoginTracking = options.enableFirstLoginTracking || false;
-        this.userTable = options.userTable || 'users';
-        this.usernameField = options.usernameField || 'username';
+        this.userTable = options.userTable || (this.authMode ? 'profiles' : 'users');
+        this.usernameField = options.usernameField || (this.authMode ? 'id' : 'username');
         
         // 错误处理配置
         this.maxRetries = options.maxRetries || 3;
         this.retryDelay = options.retryDelay || 1000; // 1秒
-        this.onError = options.onError || null; // 错误回调
         
         // 实时订阅配置
         this.enableRealtime = options.enableRealtime || false;
-        this.onUserJoin = options.onUserJoin || null; // 用户上线回调
-        this.onUserLeave = options.onUserLeave || null; // 用户离线回调
+        
+        // 在线状态（online / away / busy / dnd）配置
+        this.status = 'online';
+        this.statusMessage = null;
+        this.metadata = {}; // 当前会话的自定义数据，写入 metadata 列
+        this.rooms = new Set(); // 当前会话所在的房间（课程、页面等），写入 rooms 列
+        this.idleTimeout = options.idleTimeout || null; // 无输入多久后自动切换为 away（毫秒）
         
         // 在线时长限制配置
         this.maxOnlineTime = options.maxOnlineTime || null; // 最大在线时长（毫秒）
         this.warningTime = options.warningTime || null; // 警告时间（毫秒）
-        this.onTimeWarning = options.onTimeWarning || null; // 时长警告回调
-        this.onTimeLimit = options.onTimeLimit || null; // 时长限制回调
         
         this.heartbeatTimer = null;
+        this.connectionState = 'stopped'; // 见 CONNECTION_STATES
+        this._heartbeatDelay = null; // 当前定时器的间隔
+        this._lastTickAt = null; // 上一次定时器触发的时间，用于检测限流
         this.currentUsername = null;
         this.retryCount = 0;
         this.realtimeChannel = null;
+        this.expiryTimer = null;
+        this.remoteSessions = new Map(); // username -> Map<sessionId, row>
+        this.presence = null;
+        this._presenceEvents = false;
         this.loginTime = null;
         this.timeLimitTimer = null;
         this.timeWarningTimer = null;
+        this.idleTimer = null;
+        this.isAutoAway = false;
+        this.lastInputTime = null;
+        this._accessToken = null;
+        this._authSubscription = null;
+        this._unloadSent = false;
+        this._authTracking = null;
+        this._authQueue = Promise.resolve();
+        this.tabs = null;
+        this._joiningTabs = false;
+        this._mergedTabState = null;
+        this._stateChangedAt = Date.now(); // 多个标签页的 metadata 不同时以最后修改的为准
+        this.plugins = [];
+        this._session = null; // 当前会话（传给插件的 onSessionStart / onSessionEnd）
+
+        // 注册构造参数中的回调
+        Object.keys(CALLBACK_EVENTS).forEach(name => {
+            if (options[name]) {
+                this.on(CALLBACK_EVENTS[name], options[name]);
+            }
+        });
+
+        // 注册插件（如 ActivityStats），在回调之后注册，install 中的错误也能被 onError 收到
+        (options.plugins || []).forEach(plugin => this.use(plugin));
+
+        if (this.authMode) {
+            this.startAuthTracking().catch(error => {
+                console.error('启动认证追踪失败:', error);
+                this.emit('error', error, '认证追踪');
+            });
+        }
     }
 
     /**
@@ -61,15 +207,19 @@ export class OnlineStatusManager {
             } catch (error) {
                 lastError = error;
                 
+                // 离线时不重试，恢复联网后由 online 事件重新发送
+                if (this._isOffline()) {
+                    console.warn(`${operation} 失败：网络已断开`, error);
+                    break;
+                }
+
                 if (attempt < this.maxRetries) {
                     const delay = this.retryDelay * Math.pow(2, attempt); // 指数退避
                     console.warn(`${operation} 失败，${delay}ms 后重试 (${attempt + 1}/${this.maxRetries})`, error);
                     await this._sleep(delay);
                 } else {
                     console.error(`${operation} 失败，已达最大重试次数`, error);
-                    if (this.onError) {
-                        this.onError(error, operation);
-                    }
+                    this.emit('error', error, operation);
                 }
             }
         }
@@ -85,17 +235,91 @@ export class OnlineStatusManager {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * 生成会话 ID
+     * @private
+     */
+    _generateSessionId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * 根据 UA 粗略识别设备类型
+     * @private
+     */
+    _detectDeviceType() {
+        if (typeof navigator === 'undefined' || !navigator.userAgent) {
+            return 'unknown';
+        }
+
+        const ua = navigator.userAgent;
+        if (/iPad|Tablet/i.test(ua)) return 'tablet';
+        if (/Mobi|Android|iPhone/i.test(ua)) return 'mobile';
+        return 'desktop';
+    }
+
     /**
      * 用户登录 - 启动在线状态追踪
+     * Auth 模式下身份取自当前登录会话，不需要传用户名（传入时必须是当前用户的 ID）
      * @param {string} username - 用户名
+     * @param {Object} options - 登录选项
+     * @param {Object} options.metadata - 当前会话的自定义数据（如当前页面、教室 ID、角色）
+     * @param {Array<string>} options.rooms - 登录时加入的房间
      * @returns {Promise<{isFirstLogin: boolean}>} 返回是否首次登录
      */
-    async userLogin(username) {
+    async userLogin(username, options = {}) {
+        if (this.authMode) {
+            return this._loginWithAuth(username, options);
+        }
+
         if (!username) {
             throw new Error('用户名不能为空');
         }
 
+        return this._startTracking(username, options);
+    }
+
+    /**
+     * Auth 模式下以当前登录用户登录
+     * @private
+     */
+    async _loginWithAuth(username, options = {}) {
+        const user = await this._getAuthUser();
+        if (!user) {
+            throw new Error('未登录 Supabase Auth，无法开始在线状态追踪');
+        }
+        if (username && username !== user.id) {
+            throw new Error('Auth 模式下只能追踪当前登录的用户');
+        }
+
+        return this._startTracking(user.id, {
+            ...options,
+            metadata: { ...(options.metadata || this.metadata), displayName: this.getDisplayName(user) }
+        });
+    }
+
+    /**
+     * 开始追踪指定用户
+     * @private
+     */
+    async _startTracking(username, options = {}) {
         this.currentUsername = username;
+        if (options.metadata) {
+            this._assertMetadata(options.metadata);
+            this.metadata = { ...options.metadata };
+        }
+        if (options.rooms) {
+            options.rooms.forEach(room => this._assertRoom(room));
+            this.rooms = new Set(options.rooms);
+        }
+        this._stateChangedAt = Date.now();
+
+        if (this.crossTab && this.transport === 'database') {
+            this._startTabCoordination(username);
+        }
         
         // 检查并标记首次登录（如果启用了该功能）
         let isFirstLogin = false;
@@ -123,6 +347,11 @@ export class OnlineStatusManager {
         // 设置离线检测
         this.setupOfflineDetection();
         
+        // 启动无操作检测（如果启用）
+        if (this.idleTimeout) {
+            this.startIdleDetection();
+        }
+        
         // 启动实时订阅（如果启用）
         if (this.enableRealtime) {
             this.startRealtimeSubscription();
@@ -132,26 +361,394 @@ export class OnlineStatusManager {
         if (this.maxOnlineTime) {
             this.startTimeLimitMonitor();
         }
+
+        await this._beginSession(username, isFirstLogin);
         
         return { isFirstLogin };
     }
 
+    /**
+     * 注册插件，插件通过以下生命周期钩子接入管理器（都是可选的）：
+     * - install(manager)：注册时调用
+     * - onSessionStart(session)：开始追踪会话（登录、从往返缓存恢复）
+     * - onSessionEnd(session, reason)：会话结束，reason 为 'logout' | 'timeLimit' | 'unload' | 'destroy'；
+     *   'unload' 时页面正在关闭，不能等待异步请求，请使用 sendUnloadRpc
+     * - destroy()：管理器销毁时调用
+     * session 为 { username, sessionId, deviceType, startedAt, isFirstLogin }。多标签页协调时共享一个会话，
+     * 只有最后一个标签页结束时才会调用 onSessionEnd
+     * @param {Object} plugin - 插件对象
+     * @returns {Function} 移除插件的函数
+     */
+    use(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error('插件必须是对象');
+        }
+
+        const remove = () => {
+            this.plugins = this.plugins.filter(item => item !== plugin);
+        };
+        if (this.plugins.includes(plugin)) return remove;
+
+        this.plugins.push(plugin);
+        if (typeof plugin.install === 'function') {
+            try {
+                plugin.install(this);
+            } catch (error) {
+                console.error('插件 install 失败:', error);
+                this.emit('error', error, '插件 install');
+            }
+        }
+
+        return remove;
+    }
+
+    /**
+     * 调用所有插件的钩子，单个插件出错不影响其他插件和主流程
+     * 钩子的同步部分会立即执行（页面卸载时不等待也能发出请求）
+     * @private
+     */
+    _callPlugins(hook, ...args) {
+        return Promise.all(this.plugins.map(async plugin => {
+            if (typeof plugin[hook] !== 'function') return;
+            try {
+                await plugin[hook](...args);
+            } catch (error) {
+                console.error(`插件 ${hook} 失败:`, error);
+                this.emit('error', error, `插件 ${hook}`);
+            }
+        }));
+    }
+
+    /**
+     * 会话开始，通知插件
+     * @private
+     */
+    _beginSession(username, isFirstLogin = false) {
+        this._session = {
+            username,
+            sessionId: this.sessionId,
+            deviceType: this.deviceType,
+            startedAt: Date.now(),
+            isFirstLogin // 首次登录检测的结果（未启用时为 false）
+        };
+        return this._callPlugins('onSessionStart', this._session);
+    }
+
+    /**
+     * 会话结束，通知插件
+     * @param {string} reason - 'logout' | 'timeLimit' | 'unload' | 'destroy'
+     * @param {boolean} ended - 共享的会话是否真正结束（还有其他标签页时为 false，只清除本地记录）
+     * @private
+     */
+    _finishSession(reason, ended = true) {
+        const session = this._session;
+        this._session = null;
+        if (!session || !ended) return Promise.resolve();
+        return this._callPlugins('onSessionEnd', session, reason);
+    }
+
+    /**
+     * 启动 Auth 模式的自动追踪（authMode 为 true 时构造函数会自动调用）
+     * 已登录时立即开始追踪；之后登录、登出、切换用户、更新资料时自动同步
+     * @returns {Promise<void>} 初次同步完成
+     */
+    startAuthTracking() {
+        if (!this._authTracking) {
+            if (!this.supabase.auth) {
+                return Promise.reject(new Error('Supabase 客户端没有 auth 模块，无法使用 Auth 模式'));
+            }
+
+            this._subscribeAuth();
+            this._authTracking = this._enqueueAuth(async () => {
+                await this._syncAuthUser(await this._getAuthUser());
+            });
+        }
+        return this._authTracking;
+    }
+
+    /**
+     * 读取当前登录会话的用户（同时更新访问令牌）
+     * @returns {Promise<Object|null>}
+     * @private
+     */
+    async _getAuthUser() {
+        const { data, error } = await this.supabase.auth.getSession();
+        if (error) throw error;
+
+        this._accessToken = data?.session?.access_token || null;
+        return data?.session?.user || null;
+    }
+
+    /**
+     * 按登录用户同步追踪状态：
+     * - 没有用户（SIGNED_OUT）：结束追踪
+     * - 切换了用户（SIGNED_IN）：结束旧用户，开始追踪新用户
+     * - 同一用户（TOKEN_REFRESHED / USER_UPDATED）：只在显示名变化时同步
+     * @param {Object|null} user - Supabase Auth 用户
+     * @private
+     */
+    async _syncAuthUser(user) {
+        if (!user) {
+            if (this.currentUsername) {
+                await this._stopAuthUser();
+            }
+            return;
+        }
+
+        const displayName = this.getDisplayName(user);
+
+        if (user.id === this.currentUsername) {
+            if (this.metadata.displayName !== displayName) {
+                await this.setMetadata({ displayName }, { immediate: true });
+            }
+            return;
+        }
+
+        if (this.currentUsername) {
+            await this._stopAuthUser();
+        }
+        await this._startTracking(user.id, { metadata: { ...this.metadata, displayName } });
+    }
+
+    /**
+     * 登出后结束追踪
+     * 此时令牌可能已失效，启用 RLS 时删除会话会失败，会话由超时清理
+     * @private
+     */
+    async _stopAuthUser() {
+        try {
+            await this.userLogout();
+        } catch (error) {
+            console.warn('结束会话失败，会话将在超时后过期', error);
+        }
+    }
+
+    /**
+     * 按顺序执行认证相关的操作，避免登录/登出交错
+     * @private
+     */
+    _enqueueAuth(fn) {
+        const run = this._authQueue.then(fn);
+        this._authQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * 设置当前会话的在线状态
+     * @param {string} status - 'online' | 'away' | 'busy' | 'dnd'
+     * @param {string|null} message - 自定义状态消息（可选）
+     */
+    async setStatus(status, message = null) {
+        if (!USER_STATUSES.includes(status)) {
+            throw new Error(`无效的在线状态: ${status}`);
+        }
+
+        this.isAutoAway = false;
+        await this._applyStatus(status, message);
+    }
+
+    /**
+     * 更新本地状态，并在已登录时立即同步
+     * @private
+     */
+    async _applyStatus(status, message) {
+        this.status = status;
+        this.statusMessage = message || null;
+        this._stateChangedAt = Date.now();
+
+        if (this.currentUsername) {
+            await this._retryOperation(
+                () => this.updateStatus(this.currentUsername),
+                '更新在线状态'
+            );
+        }
+    }
+
+    /**
+     * 更新当前会话的自定义数据（浅合并，值为 undefined 的键会被移除）
+     * 默认随下一次心跳写入；immediate 为 true 时立即同步
+     * presence 模式下没有心跳广播，总是立即同步
+     * @param {Object} patch - 要合并的数据
+     * @param {Object} options - 选项
+     * @param {boolean} options.immediate - 是否立即同步，默认 false
+     * @returns {Promise<void>}
+     */
+    async setMetadata(patch, options = {}) {
+        this._assertMetadata(patch);
+
+        const metadata = { ...this.metadata, ...patch };
+        Object.keys(metadata).forEach(key => {
+            if (metadata[key] === undefined) {
+                delete metadata[key];
+            }
+        });
+        this.metadata = metadata;
+        this._stateChangedAt = Date.now();
+
+        if (this.currentUsername && (options.immediate || this.transport === 'presence')) {
+            await this._retryOperation(
+                () => this.updateStatus(this.currentUsername),
+                '更新在线状态'
+            );
+        }
+    }
+
+    /**
+     * 加入房间（如课程、页面），已登录时立即同步
+     * 一个会话可以同时在多个房间中
+     * @param {string} room - 房间名
+     * @returns {Promise<void>}
+     */
+    async joinRoom(room) {
+        this._assertRoom(room);
+        if (this.rooms.has(room)) return;
+
+        this.rooms.add(room);
+        await this._syncRooms();
+    }
+
+    /**
+     * 离开房间，已登录时立即同步
+     * @param {string} room - 房间名
+     * @returns {Promise<void>}
+     */
+    async leaveRoom(room) {
+        if (!this.rooms.delete(room)) return;
+        await this._syncRooms();
+    }
+
+    /**
+     * 获取当前会话所在的房间
+     * @returns {Array<string>} 房间列表
+     */
+    getRooms() {
+        return Array.from(this.rooms);
+    }
+
+    /**
+     * 房间变化后立即同步当前会话
+     * @private
+     */
+    async _syncRooms() {
+        this._stateChangedAt = Date.now();
+        if (!this.currentUsername) return;
+
+        await this._retryOperation(
+            () => this.updateStatus(this.currentUsername),
+            '更新在线状态'
+        );
+    }
+
+    /**
+     * 检查房间名
+     * @private
+     */
+    _assertRoom(room) {
+        if (!room || typeof room !== 'string') {
+            throw new Error('房间名不能为空');
+        }
+    }
+
+    /**
+     * 检查自定义数据是否为普通对象
+     * @private
+     */
+    _assertMetadata(metadata) {
+        if (!isPlainObject(metadata)) {
+            throw new Error('metadata 必须是对象');
+        }
+    }
+
+    /**
+     * 启动无操作检测：超过 idleTimeout 没有鼠标/键盘输入时自动切换为 away
+     */
+    startIdleDetection() {
+        if (!this.idleTimeout || typeof window === 'undefined') return;
+
+        this.stopIdleDetection();
+        this.lastInputTime = Date.now();
+
+        const handleInput = () => {
+            this.lastInputTime = Date.now();
+
+            // 自动离开后恢复输入，切回在线
+            if (this.isAutoAway) {
+                this.isAutoAway = false;
+                this._applyStatus('online', null).catch(error => {
+                    console.error('恢复在线状态失败:', error);
+                });
+                this._scheduleIdleCheck(this.idleTimeout);
+            }
+        };
+
+        INPUT_EVENTS.forEach(event => {
+            window.addEventListener(event, handleInput, { passive: true });
+        });
+
+        this._cleanupIdleListeners = () => {
+            INPUT_EVENTS.forEach(event => {
+                window.removeEventListener(event, handleInput);
+            });
+        };
+
+        this._scheduleIdleCheck(this.idleTimeout);
+    }
+
+    /**
+     * 安排下一次无操作检查（不在每次输入时重置定时器）
+     * @private
+     */
+    _scheduleIdleCheck(delay) {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+        }
+
+        this.idleTimer = setTimeout(() => {
+            this.idleTimer = null;
+            const idleTime = Date.now() - this.lastInputTime;
+
+            if (idleTime < this.idleTimeout) {
+                this._scheduleIdleCheck(this.idleTimeout - idleTime);
+                return;
+            }
+
+            // 只有在线状态会自动切换，忙碌/勿扰由用户自己控制
+            if (this.status === 'online') {
+                this.isAutoAway = true;
+                this._applyStatus('away', null).catch(error => {
+                    console.error('切换为离开状态失败:', error);
+                });
+            }
+        }, delay);
+    }
+
+    /**
+     * 停止无操作检测
+     */
+    stopIdleDetection() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+        if (this._cleanupIdleListeners) {
+            this._cleanupIdleListeners();
+            this._cleanupIdleListeners = null;
+        }
+    }
+
     /**
      * 启动在线时长监控
      */
     startTimeLimitMonitor() {
-        this.loginTime = Date.now();
-        
-        // 清除已存在的定时器
+        // 清除已存在的定时器（会重置 loginTime，所以先清除再记录）
         this.stopTimeLimitMonitor();
+        this.loginTime = Date.now();
         
         // 设置警告定时器
-        if (this.warningTime && this.onTimeWarning) {
+        if (this.warningTime) {
             this.timeWarningTimer = setTimeout(() => {
                 const timeLeft = this.maxOnlineTime - (Date.now() - this.loginTime);
-                if (this.onTimeWarning) {
-                    this.onTimeWarning(timeLeft);
-                }
+                this.emit('timeWarning', timeLeft);
             }, this.warningTime);
         }
         
@@ -159,12 +756,15 @@ export class OnlineStatusManager {
         this.timeLimitTimer = setTimeout(async () => {
             console.log('在线时长已达上限');
             
-            if (this.onTimeLimit) {
-                this.onTimeLimit();
-            }
+            this.emit('timeLimit');
             
             // 自动登出
-            await this.userLogout();
+            try {
+                await this._endSession('timeLimit');
+            } catch (error) {
+                console.error('自动登出失败:', error);
+                this.emit('error', error, '自动登出');
+            }
         }, this.maxOnlineTime);
     }
 
@@ -206,10 +806,18 @@ export class OnlineStatusManager {
      * 启动实时订阅
      */
     startRealtimeSubscription() {
+        if (this.transport === 'presence') {
+            this._startPresenceEvents();
+            return;
+        }
+
         if (this.realtimeChannel) {
             return; // 已经订阅
         }
 
+        // 设置了租户时只订阅该租户的变化（DELETE 事件不支持过滤，在 _handleSessionRemoved 中按缓存判断）
+        const tenantFilter = this.tenantId ? { filter: `tenant_id=eq.${this.tenantId}` } : {};
+
         try {
             this.realtimeChannel = this.supabase
                 .channel(`online_users_${Date.now()}`)
@@ -218,16 +826,20 @@ export class OnlineStatusManager {
                     {
                         event: 'INSERT',
                         schema: 'public',
-                        table: this.tableName
+                        table: this.tableName,
+                        ...tenantFilter
                     },
-                    (payload) => {
-                        if (this.onUserJoin && payload.new.username !== this.currentUsername) {
-                            this.onUserJoin({
-                                username: payload.new.username,
-                                lastActivity: new Date(payload.new.last_activity).getTime()
-                            });
-                        }
-                    }
+                    (payload) => this._handleSessionUpserted(payload.new)
+                )
+                .on(
+                    'postgres_changes',
+                    {
+                        event: 'UPDATE',
+                        schema: 'public',
+                        table: this.tableName,
+                        ...tenantFilter
+                    },
+                    (payload) => this._handleSessionUpserted(payload.new)
                 )
                 .on(
                     'postgres_changes',
@@ -236,29 +848,21 @@ export class OnlineStatusManager {
                         schema: 'public',
                         table: this.tableName
                     },
-                    (payload) => {
-                        if (this.onUserLeave && payload.old.username !== this.currentUsername) {
-                            this.onUserLeave({
-                                username: payload.old.username
-                            });
-                        }
-                    }
+                    (payload) => this._handleSessionRemoved(payload.old)
                 )
                 .subscribe((status) => {
                     if (status === 'SUBSCRIBED') {
                         console.log('实时订阅已启动');
+                        this._seedRemoteSessions();
+                        this._startExpiryCheck();
                     } else if (status === 'CHANNEL_ERROR') {
                         console.error('实时订阅错误');
-                        if (this.onError) {
-                            this.onError(new Error('实时订阅失败'), '实时订阅');
-                        }
+                        this.emit('error', new Error('实时订阅失败'), '实时订阅');
                     }
                 });
         } catch (error) {
             console.error('启动实时订阅失败:', error);
-            if (this.onError) {
-                this.onError(error, '启动实时订阅');
-            }
+            this.emit('error', error, '启动实时订阅');
         }
     }
 
@@ -266,224 +870,1428 @@ export class OnlineStatusManager {
      * 停止实时订阅
      */
     stopRealtimeSubscription() {
+        if (this._presenceEvents) {
+            this._presenceEvents = false;
+            this.remoteSessions.clear();
+        }
+
+        if (this.expiryTimer) {
+            clearInterval(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+
         if (this.realtimeChannel) {
             this.supabase.removeChannel(this.realtimeChannel);
             this.realtimeChannel = null;
+            this.remoteSessions.clear();
             console.log('实时订阅已停止');
         }
     }
 
     /**
-     * 用户登出 - 停止在线状态追踪
+     * 获取 presence 传输层（懒加载）
+     * @private
      */
-    async userLogout() {
-        if (this.currentUsername) {
-            await this.removeStatus(this.currentUsername);
+    _getPresence() {
+        if (!this.presence) {
+            this.presence = new PresenceTransport(this.supabase, {
+                channelName: this.presenceChannel,
+                key: this.sessionId,
+                onSync: (sessions, isFirstSync) => {
+                    // 首次同步时载入已在线会话，之后由 join/leave 事件增量维护
+                    if (isFirstSync && this._presenceEvents) {
+                        this._resetRemoteSessions(sessions);
+                    }
+                },
+                onJoin: (sessions) => {
+                    if (this._presenceEvents) {
+                        sessions.forEach(row => this._handleSessionUpserted(row));
+                    }
+                },
+                onLeave: (sessions) => {
+                    if (this._presenceEvents) {
+                        sessions.forEach(row => this._handleSessionRemoved(row));
+                    }
+                },
+                onError: (error) => {
+                    console.error('Presence 频道错误:', error);
+                    this.emit('error', error, '实时订阅');
+                }
+            });
         }
-        
-        this.stopHeartbeat();
-        this.stopTimeLimitMonitor();
-        this.currentUsername = null;
+        return this.presence;
     }
 
     /**
-     * 更新用户在线状态
-     * @param {string} username - 用户名
+     * 通过 presence 事件监听用户上线/离线
+     * @private
      */
-    async updateStatus(username) {
-        try {
-            const now = new Date().toISOString();
-            
-            const { error } = await this.supabase
-                .from(this.tableName)
-                .upsert({
-                    username: username,
-                    last_activity: now
-                }, {
-                    onConflict: 'username'
+    _startPresenceEvents() {
+        if (this._presenceEvents) {
+            return; // 已经订阅
+        }
+
+        this._presenceEvents = true;
+        const presence = this._getPresence();
+
+        // 频道已同步过时直接载入当前状态
+        if (presence.synced) {
+            this._resetRemoteSessions(presence.getSessions());
+        }
+
+        presence.connect().then(() => {
+            console.log('实时订阅已启动');
+        }).catch(error => {
+            this._presenceEvents = false;
+            console.error('启动实时订阅失败:', error);
+            this.emit('error', error, '启动实时订阅');
+        });
+    }
+
+    /**
+     * 用给定的会话列表重建在线会话缓存
+     * @private
+     */
+    _resetRemoteSessions(rows) {
+        this.remoteSessions.clear();
+        rows.forEach(row => {
+            if (!this.remoteSessions.has(row.username)) {
+                this.remoteSessions.set(row.username, new Map());
+            }
+            this.remoteSessions.get(row.username).set(row.session_id, row);
+        });
+    }
+
+    /**
+     * 启动本地过期检查定时器
+     * @private
+     */
+    _startExpiryCheck() {
+        if (this.expiryTimer) return;
+        this.expiryTimer = setInterval(() => this._expireRemoteSessions(), this.heartbeatInterval);
+    }
+
+    /**
+     * 载入当前已在线的会话，避免把已在线用户的新设备误报为上线
+     * @private
+     */
+    async _seedRemoteSessions() {
+        try {
+            const cutoffTime = new Date(Date.now() - this.inactiveTimeout);
+            const { data, error } = await this._scopeQuery(
+                this.supabase
+                    .from(this.tableName)
+                    .select('*')
+                    .gte('last_activity', cutoffTime.toISOString())
+            );
+
+            if (error) throw error;
+
+            (data || []).forEach(row => {
+                if (!this.remoteSessions.has(row.username)) {
+                    this.remoteSessions.set(row.username, new Map());
+                }
+                this.remoteSessions.get(row.username).set(row.session_id, row);
+            });
+        } catch (error) {
+            console.warn('载入在线会话失败，上线/离线事件可能不准确', error);
+        }
+    }
+
+    /**
+     * 处理新增或更新的会话（INSERT / UPDATE / presence join）
+     * - 用户从离线变为有会话：触发上线（包括已过期的会话被心跳"复活"）
+     * - 状态、自定义字段、设备列表变化：触发更新（状态变化额外触发状态变化事件）
+     * - 只有 last_activity 变化的心跳：只更新缓存，不触发事件
+     * @private
+     */
+    _handleSessionUpserted(row) {
+        if (!row || !row.username || !this._isSessionFresh(row)) return;
+        if (this.tenantId && row.tenant_id !== this.tenantId) return;
+
+        const previousUser = this._getCachedUser(row.username);
+        if (!previousUser) {
+            this.remoteSessions.set(row.username, new Map());
+        }
+        this.remoteSessions.get(row.username).set(row.session_id, row);
+
+        if (row.username === this.currentUsername) return;
+
+        const user = this._getCachedUser(row.username);
+        if (!previousUser) {
+            this.emit('join', user);
+            this._notifyRoomChanges(user, [], user.rooms);
+            return;
+        }
+
+        this._notifyUserChanges(previousUser, user);
+    }
+
+    /**
+     * 处理会话移除：用户的最后一个会话消失时触发离线事件
+     * 启用 RLS 时 DELETE 事件只携带主键，此时从缓存中找回会话；缓存中没有的会话（如其他租户）忽略
+     * @private
+     */
+    _handleSessionRemoved(row) {
+        if (row && !row.username) {
+            row = this._findCachedSession(row);
+        }
+        if (!row || !row.username) return;
+        if (this.tenantId && row.tenant_id !== undefined && row.tenant_id !== this.tenantId) return;
+
+        const previousUser = this._getCachedUser(row.username);
+        const sessions = this.remoteSessions.get(row.username);
+        if (sessions) {
+            sessions.delete(row.session_id);
+        }
+
+        const user = this._getCachedUser(row.username);
+        if (user) {
+            // 其他设备仍在线，只是设备列表变化
+            if (previousUser && row.username !== this.currentUsername) {
+                this._notifyUserChanges(previousUser, user);
+            }
+            return;
+        }
+
+        this.remoteSessions.delete(row.username);
+        this._notifyUserLeave(row.username, previousUser);
+    }
+
+    /**
+     * 按主键或会话 ID 从缓存中查找会话
+     * @private
+     */
+    _findCachedSession(row) {
+        for (const sessions of this.remoteSessions.values()) {
+            for (const cached of sessions.values()) {
+                if ((row.id !== undefined && cached.id === row.id) ||
+                    (row.session_id !== undefined && cached.session_id === row.session_id)) {
+                    return cached;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 本地过期检查：会话超过 inactiveTimeout 没有心跳即视为离线
+     * 服务端的清理可能滞后，这里保证上线/离线事件对称
+     * @private
+     */
+    _expireRemoteSessions() {
+        this.remoteSessions.forEach((sessions, username) => {
+            const previousUser = this._getCachedUser(username);
+
+            sessions.forEach((row, sessionId) => {
+                if (!this._isSessionFresh(row)) {
+                    sessions.delete(sessionId);
+                }
+            });
+
+            if (sessions.size === 0) {
+                this.remoteSessions.delete(username);
+                if (previousUser) {
+                    this._notifyUserLeave(username, previousUser);
+                }
+            } else if (previousUser && username !== this.currentUsername) {
+                this._notifyUserChanges(previousUser, this._getCachedUser(username));
+            }
+        });
+    }
+
+    /**
+     * 会话是否仍然新鲜（presence 会话由服务端维护，始终视为新鲜）
+     * @private
+     */
+    _isSessionFresh(row) {
+        if (this.transport === 'presence') return true;
+        return Date.now() - new Date(row.last_activity).getTime() < this.inactiveTimeout;
+    }
+
+    /**
+     * 从缓存中取出用户，缓存中没有会话（即已离线）时返回 null
+     * 过期会话在本地过期检查时才移除，保证上线/离线事件成对出现
+     * @private
+     */
+    _getCachedUser(username) {
+        const sessions = this.remoteSessions.get(username);
+        if (!sessions || sessions.size === 0) return null;
+
+        return this._toOnlineUser(username, Array.from(sessions.values()));
+    }
+
+    /**
+     * 从实时订阅的会话缓存中取出满足查询条件的用户
+     * 条件匹配在每条会话上（与 getOnlineUsers 在数据库中的过滤一致，filter 使用表的列名），
+     * 返回的用户只包含满足条件的设备
+     * @param {string} username - 用户名
+     * @param {Object} query - 查询条件（search、filter、room）
+     * @returns {Object|null} 没有满足条件的会话时为 null
+     */
+    getRealtimeUser(username, query = {}) {
+        const sessions = this.remoteSessions.get(username);
+        if (!sessions) return null;
+
+        const rows = Array.from(sessions.values()).filter(row => this._matchesQuery(row, query));
+        return rows.length > 0 ? this._toOnlineUser(username, rows) : null;
+    }
+
+    /**
+     * 比较用户前后两次快照，返回真正变化的字段（忽略心跳带来的 lastActivity 变化）
+     * 设备按会话 ID 逐个比较，不受设备顺序（随各设备心跳的先后变化）影响
+     * @returns {Object} { 字段名: { previous, current } }
+     * @private
+     */
+    _diffUsers(previousUser, user) {
+        const changes = {};
+        const keys = new Set([...Object.keys(previousUser), ...Object.keys(user)]);
+
+        keys.forEach(key => {
+            if (key === 'lastActivity' || key === 'devices') return;
+            if (JSON.stringify(previousUser[key]) !== JSON.stringify(user[key])) {
+                changes[key] = { previous: previousUser[key], current: user[key] };
+            }
+        });
+
+        const deviceKey = (u) => u.devices
+            .map(d => `${d.sessionId}:${d.deviceType}:${d.status}:${d.rooms.join(',')}:${JSON.stringify(d.metadata)}`)
+            .sort()
+            .join('|');
+        if (deviceKey(previousUser) !== deviceKey(user)) {
+            changes.devices = { previous: previousUser.devices, current: user.devices };
+        }
+
+        return changes;
+    }
+
+    /**
+     * 触发用户更新事件（以及状态变化事件）
+     * @private
+     */
+    _notifyUserChanges(previousUser, user) {
+        const changes = this._diffUsers(previousUser, user);
+        if (Object.keys(changes).length === 0) return; // 心跳，忽略
+
+        if (changes.status || changes.statusMessage) {
+            this.emit('statusChange', user, previousUser.status);
+        }
+
+        this.emit('update', user, changes);
+
+        if (changes.rooms) {
+            this._notifyRoomChanges(user, changes.rooms.previous, changes.rooms.current);
+        }
+    }
+
+    /**
+     * 触发离线事件（先对用户所在的每个房间触发离开房间事件）
+     * @param {string} username - 用户名
+     * @param {Object|null} previousUser - 离线前的用户
+     * @private
+     */
+    _notifyUserLeave(username, previousUser = null) {
+        if (username === this.currentUsername) return;
+
+        const offlineUser = {
+            username,
+            status: 'offline'
+        };
+        if (previousUser) {
+            this._notifyRoomChanges(offlineUser, previousUser.rooms, []);
+        }
+        this.emit('leave', offlineUser);
+    }
+
+    /**
+     * 比较用户前后所在的房间，触发进入/离开房间事件
+     * @param {Object} user - 用户
+     * @param {Array<string>} previousRooms - 之前所在的房间
+     * @param {Array<string>} rooms - 现在所在的房间
+     * @private
+     */
+    _notifyRoomChanges(user, previousRooms, rooms) {
+        previousRooms
+            .filter(room => !rooms.includes(room))
+            .forEach(room => this.emit('roomLeave', user, room));
+        rooms
+            .filter(room => !previousRooms.includes(room))
+            .forEach(room => this.emit('roomJoin', user, room));
+    }
+
+    /**
+     * 用户登出 - 停止在线状态追踪（只结束当前设备的会话）
+     * 多标签页协调时，只有最后一个标签页登出才结束共享的会话
+     */
+    async userLogout() {
+        return this._endSession('logout');
+    }
+
+    /**
+     * 结束当前会话并停止追踪
+     * @param {string} reason - 结束原因，传给插件的 onSessionEnd
+     * @private
+     */
+    async _endSession(reason) {
+        const isLastTab = !(this.tabs && this.tabs.hasOtherTabs());
+        try {
+            if (this.currentUsername && isLastTab) {
+                await this.removeStatus(this.currentUsername);
+            }
+        } finally {
+            // 移除失败时也停止本地追踪，会话由超时清理
+            await this._finishSession(reason, isLastTab);
+            this._stopTabCoordination(isLastTab);
+            this.stopHeartbeat();
+            this.stopTimeLimitMonitor();
+            this.stopIdleDetection();
+            this.currentUsername = null;
+            this.metadata = {};
+            this.rooms.clear();
+            this._setConnectionState('stopped');
+        }
+    }
+
+    /**
+     * 构建当前会话的在线记录
+     * @param {string} username - 用户名
+     * @private
+     */
+    _buildSessionRow(username) {
+        const state = this.tabs
+            ? this._mergeTabStates([this._getTabState(), ...this.tabs.getMemberStates()])
+            : this._getTabState();
+
+        return {
+            ...(this.tenantId ? { tenant_id: this.tenantId } : {}),
+            ...(this.authMode ? { user_id: username } : {}),
+            session_id: this.sessionId,
+            username: username,
+            device_type: this.deviceType,
+            status: state.status,
+            status_message: state.status_message,
+            metadata: state.metadata,
+            rooms: state.rooms,
+            last_activity: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 当前标签页的会话状态（多标签页协调时广播给其他标签页）
+     * @private
+     */
+    _getTabState() {
+        return {
+            status: this.status,
+            status_message: this.statusMessage,
+            metadata: this.metadata,
+            rooms: Array.from(this.rooms),
+            hidden: this._isHidden(),
+            changed_at: this._stateChangedAt
+        };
+    }
+
+    /**
+     * 合并同一浏览器中各标签页的状态：
+     * 状态按优先级合并（任一标签页活跃即为在线），房间取并集，metadata 取最后修改的标签页
+     * @param {Array} states - 各标签页的状态
+     * @private
+     */
+    _mergeTabStates(states) {
+        const { status, statusMessage } = this._mergeStatus(states);
+        const latest = states.reduce((acc, state) => state.changed_at > acc.changed_at ? state : acc);
+        const rooms = new Set();
+        states.forEach(state => (state.rooms || []).forEach(room => rooms.add(room)));
+
+        return {
+            status,
+            status_message: statusMessage,
+            metadata: latest.metadata || {},
+            rooms: Array.from(rooms).sort()
+        };
+    }
+
+    /**
+     * 开始多标签页协调：加入同一用户的标签页组，改用共享的会话 ID
+     * @param {string} username - 用户名
+     * @private
+     */
+    _startTabCoordination(username) {
+        this._stopTabCoordination();
+        if (!TabCoordinator.isSupported()) return;
+
+        this.tabs = new TabCoordinator({
+            name: [this.tableName, this.tenantId, username].filter(Boolean).join(':'),
+            tabId: this.tabId,
+            interval: this.heartbeatInterval,
+            getState: () => this._getTabState(),
+            onLeaderChange: (isLeader) => this._handleLeaderChange(isLeader),
+            onStateChange: () => this._handleTabStateChange()
+        });
+        // 每次登录使用新的会话 ID，其他标签页已经在线时加入它们的会话
+        this.sessionId = this.tabs.getSessionId(this._generateSessionId());
+
+        // 加入时立即成为主标签页的情况由调用方写入会话和启动心跳
+        this._joiningTabs = true;
+        try {
+            this.tabs.start();
+        } finally {
+            this._joiningTabs = false;
+        }
+    }
+
+    /**
+     * 离开标签页组，恢复当前标签页自己的会话 ID
+     * @param {boolean} ended - 共享的会话是否已结束（最后一个标签页），是则清除共享的会话 ID
+     * @private
+     */
+    _stopTabCoordination(ended = false) {
+        if (!this.tabs) return;
+
+        if (ended) {
+            this.tabs.clearSessionId();
+        }
+        this.tabs.stop();
+        this.tabs = null;
+        this.sessionId = this.tabId;
+    }
+
+    /**
+     * 成为主标签页时立即写入会话并接管心跳，让出时停止心跳
+     * @private
+     */
+    _handleLeaderChange(isLeader) {
+        if (!isLeader) {
+            this.stopHeartbeat();
+            return;
+        }
+        if (!this.currentUsername || this._joiningTabs) return;
+
+        this._retryOperation(
+            () => this.updateStatus(this.currentUsername),
+            '更新在线状态'
+        ).catch(error => {
+            console.error('主标签页更新在线状态失败:', error);
+            this.emit('error', error, '更新在线状态');
+        });
+        this.startHeartbeat();
+    }
+
+    /**
+     * 其他标签页加入、离开或状态变化时，由主标签页重新写入合并后的会话
+     * @private
+     */
+    _handleTabStateChange() {
+        if (!this.tabs || !this.tabs.isLeader || !this.currentUsername) return;
+
+        // 其他标签页切到前台/后台会改变心跳间隔，从后台恢复时立即心跳
+        if (this._rescheduleHeartbeat() && !this._isBackground()) {
+            this._beat();
+        }
+
+        // 只是可见性变化时会话内容不变，不需要写表
+        const merged = JSON.stringify(this._mergeTabStates([this._getTabState(), ...this.tabs.getMemberStates()]));
+        if (merged === this._mergedTabState) return;
+        this._mergedTabState = merged;
+
+        this._retryOperation(
+            () => this.updateStatus(this.currentUsername),
+            '更新在线状态'
+        ).catch(error => {
+            console.error('同步标签页状态失败:', error);
+            this.emit('error', error, '更新在线状态');
+        });
+    }
+
+    /**
+     * 当前标签页是否负责写心跳（没有开启多标签页协调时总是 true）
+     * @returns {boolean}
+     */
+    isLeaderTab() {
+        return !this.tabs || this.tabs.isLeader;
+    }
+
+    /**
+     * 更新用户在线状态（当前会话）
+     * presence 模式下广播到频道，只有开启 persistPresence 时才写表
+     * @param {string} username - 用户名
+     */
+    async updateStatus(username) {
+        if (this.transport === 'presence') {
+            try {
+                await this._getPresence().track(this._buildSessionRow(username));
+                this._handleSyncResult(true);
+            } catch (error) {
+                console.error('更新在线状态失败:', error);
+                this._handleSyncResult(false);
+                throw error;
+            }
+
+            if (this.persistPresence) {
+                await this._persistSession(username);
+            }
+            return;
+        }
+
+        // 多标签页协调时只有主标签页写表，其他标签页把状态广播给主标签页
+        if (this.tabs) {
+            this.tabs.announce();
+            if (!this.tabs.isLeader) {
+                this._handleSyncResult(true);
+                return;
+            }
+        }
+
+        await this._persistSession(username);
+    }
+
+    /**
+     * 把当前会话写入在线表
+     * @param {string} username - 用户名
+     * @private
+     */
+    async _persistSession(username) {
+        try {
+            const { error } = await this.supabase
+                .from(this.tableName)
+                .upsert(this._buildSessionRow(username), {
+                    onConflict: 'session_id'
                 });
 
             if (error) throw error;
+            this._handleSyncResult(true);
         } catch (error) {
             console.error('更新在线状态失败:', error);
+            this._handleSyncResult(false);
             throw error;
         }
     }
 
+    /**
+     * 根据会话写入结果更新连接状态
+     * @param {boolean} ok - 是否写入成功
+     * @private
+     */
+    _handleSyncResult(ok) {
+        if (!this.currentUsername) return;
+
+        if (ok) {
+            this._setConnectionState('connected');
+        } else {
+            this._setConnectionState(this._isOffline() ? 'offline' : 'degraded');
+        }
+    }
+
+    /**
+     * 更新连接状态，变化时触发 connectionChange 事件
+     * @param {string} state - 见 CONNECTION_STATES
+     * @private
+     */
+    _setConnectionState(state) {
+        if (this.connectionState === state) return;
+
+        const previousState = this.connectionState;
+        this.connectionState = state;
+        this.emit('connectionChange', state, previousState);
+    }
+
+    /**
+     * 浏览器是否处于离线状态
+     * @private
+     */
+    _isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
     /**
      * 移除用户在线状态
+     * 默认只移除当前会话，其他设备上的会话不受影响
      * @param {string} username - 用户名
+     * @param {Object} options - 选项
+     * @param {boolean} options.allSessions - 是否移除该用户所有设备的会话（如管理员强制下线）
      */
-    async removeStatus(username) {
+    async removeStatus(username, options = {}) {
+        if (this.transport === 'presence') {
+            // presence 只能撤销自己的会话，其他会话由服务端在断开时自动移除
+            if (username === this.currentUsername && this.presence) {
+                await this.presence.untrack();
+            }
+            if (!this.persistPresence) return;
+        }
+
         try {
-            const { error } = await this.supabase
+            let query = this._scopeQuery(
+                this.supabase
+                    .from(this.tableName)
+                    .delete()
+                    .eq('username', username)
+            );
+
+            if (!options.allSessions) {
+                query = query.eq('session_id', this.sessionId);
+            }
+
+            const { error } = await query;
+
+            if (error) throw error;
+        } catch (error) {
+            console.error('移除在线状态失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 合并多个会话的状态：取优先级最高的状态（勿扰 > 忙碌 > 在线 > 离开）
+     * @param {Array} rows - 会话记录
+     * @returns {{status: string, statusMessage: string|null}}
+     * @private
+     */
+    _mergeStatus(rows) {
+        const rank = (row) => {
+            const index = USER_STATUSES.indexOf(row.status || 'online');
+            return index === -1 ? USER_STATUSES.indexOf('online') : index;
+        };
+
+        const winner = rows.reduce((acc, row) => !acc || rank(row) < rank(acc) ? row : acc, null);
+
+        return {
+            status: winner ? winner.status || 'online' : 'offline',
+            statusMessage: winner ? winner.status_message || null : null
+        };
+    }
+
+    /**
+     * 把同一用户的多条会话记录合并为一个在线用户
+     * @param {string} username - 用户名
+     * @param {Array} rows - 会话记录（按活跃时间排序不限）
+     * @returns {Object} 在线用户
+     * @private
+     */
+    _toOnlineUser(username, rows) {
+        const devices = rows
+            .map(row => ({
+                sessionId: row.session_id,
+                deviceType: row.device_type || 'unknown',
+                status: row.status || 'online',
+                rooms: row.rooms || [],
+                metadata: row.metadata || {},
+                lastActivity: new Date(row.last_activity).getTime()
+            }))
+            .sort((a, b) => b.lastActivity - a.lastActivity);
+
+        // 自定义数据和自定义字段取最早创建的会话（创建时间相同或没有时按会话 ID），
+        // 不随各设备心跳的先后变化，多设备的数据不同时也不会每次心跳都算作更新
+        const createdTime = (row) => row.created_at ? new Date(row.created_at).getTime() : 0;
+        const primary = rows.reduce((acc, row) => {
+            if (!acc) return row;
+            const diff = createdTime(row) - createdTime(acc);
+            return diff < 0 || (diff === 0 && String(row.session_id) < String(acc.session_id)) ? row : acc;
+        }, null);
+
+        return {
+            username,
+            userId: (primary && primary.user_id) || null,
+            lastActivity: devices.length > 0 ? devices[0].lastActivity : null,
+            ...this._mergeStatus(rows),
+            metadata: (primary && primary.metadata) || {},
+            // 所有设备所在房间的并集
+            rooms: Array.from(new Set(devices.flatMap(device => device.rooms))).sort(),
+            devices,
+            // 包含其他自定义字段
+            ...Object.keys(primary || {}).reduce((acc, key) => {
+                if (!SESSION_COLUMNS.includes(key)) {
+                    acc[key] = primary[key];
+                }
+                return acc;
+            }, {})
+        };
+    }
+
+    /**
+     * 获取在线用户列表
+     * 过期判断在服务端完成（last_activity >= 截止时间），与 getOnlineUserCount 一致；
+     * cleanupMode 为 'client' 时顺带删除过期会话，为 'server' 时不删除，不需要删除权限
+     * 同一用户的多个设备会合并为一条，设备列表见 devices 字段
+     * 传入 limit/offset 时按用户分页（见 getOnlineUsersPage）；
+     * 同时传入 orderBy，或者数据库中没有 get_online_users_page 函数时，按会话分页（.range()），
+     * 一个用户有多台设备时每页的用户数可能少于 limit
+     * 传入 room 时只返回该房间中的会话，devices 只包含在房间中的设备
+     * @param {Object} options - 查询选项
+     * @returns {Promise<Array>} 在线用户列表
+     */
+    async getOnlineUsers(options = {}) {
+        const paged = !!(options.limit || options.offset);
+
+        // get_online_users_page 固定按最后活跃时间排序，指定 orderBy 时改用普通查询
+        if (paged && !options.orderBy && !this._pageFunctionMissing) {
+            try {
+                const page = await this.getOnlineUsersPage(options);
+                return page.users;
+            } catch (error) {
+                if (!this._isPageFunctionMissing(error)) {
+                    console.error('获取在线用户失败:', error);
+                    return [];
+                }
+            }
+        }
+
+        if (this.transport === 'presence') {
+            const users = await this._getPresenceUsers(options);
+            if (!paged) return users;
+            const offset = options.offset || 0;
+            return users.slice(offset, offset + (options.limit || 10));
+        }
+
+        try {
+            const cutoffTime = new Date(Date.now() - this.inactiveTimeout);
+
+            // 构建查询（只查询活跃会话）
+            let query = this.supabase
                 .from(this.tableName)
-                .delete()
-                .eq('username', username);
+                .select('*')
+                .gte('last_activity', cutoffTime.toISOString());
+            
+            // 搜索过滤
+            if (options.search) {
+                query = query.ilike('username', `%${options.search}%`);
+            }
+            
+            // 自定义过滤条件（包括房间）
+            query = this._applyFilter(query, this._buildFilter(options));
+            
+            // 排序
+            if (options.orderBy) {
+                query = query.order(options.orderBy, { 
+                    ascending: options.ascending !== false 
+                });
+            } else {
+                query = query.order('last_activity', { ascending: false });
+            }
+
+            // 按会话分页
+            if (paged) {
+                const offset = options.offset || 0;
+                query = query.range(offset, offset + (options.limit || 10) - 1);
+            }
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            
+            // 按用户合并（查询返回后才过期的会话也排除掉）
+            const sessionsByUser = new Map();
+            (data || []).forEach(row => {
+                if (!this._isSessionFresh(row)) return;
+                if (!sessionsByUser.has(row.username)) {
+                    sessionsByUser.set(row.username, []);
+                }
+                sessionsByUser.get(row.username).push(row);
+            });
+            
+            // 删除过期的会话
+            if (this.cleanupMode === 'client') {
+                await this._deleteStaleSessions(cutoffTime);
+            }
+            
+            return Array.from(sessionsByUser.entries()).map(
+                ([username, rows]) => this._toOnlineUser(username, rows)
+            );
+        } catch (error) {
+            console.error('获取在线用户失败:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 按用户分页获取在线用户
+     * 通过 get_online_users_page 函数在数据库中过滤、按用户合并和分页（见 sql/create-table.sql），
+     * 每页的用户数和总数都以用户为单位，不受多设备会话影响
+     * 排序固定为最后活跃时间倒序；传入 cursor 时使用键集分页（last_activity, username），
+     * 适合数据量大、列表实时变化的场景
+     * @param {Object} options - 查询选项
+     * @param {string} options.search - 用户名搜索关键词
+     * @param {Object} options.filter - 自定义过滤条件（字段等值匹配，metadata 等 JSONB 字段按包含匹配）
+     * @param {string} options.room - 只返回该房间中的会话
+     * @param {number} options.limit - 每页用户数，默认 20
+     * @param {number} options.offset - 偏移量（不使用 cursor 时）
+     * @param {Object} options.cursor - 上一页返回的 nextCursor
+     * @returns {Promise<{users: Array, total: number, hasMore: boolean, nextCursor: Object|null}>}
+     */
+    async getOnlineUsersPage(options = {}) {
+        const limit = options.limit || 20;
+
+        if (this.transport === 'presence') {
+            return this._getPresenceUsersPage(options, limit);
+        }
+
+        const cursor = options.cursor || null;
+
+        // 多取一条用来判断是否还有下一页
+        const { data, error } = await this._callPageFunction(options, {
+            limit: limit + 1,
+            offset: cursor ? 0 : (options.offset || 0),
+            cursor
+        });
+
+        if (error) {
+            console.error('获取在线用户失败:', error);
+            throw error;
+        }
+
+        const rows = (data && data.users) || [];
+        const pageRows = rows.slice(0, limit);
+        const hasMore = rows.length > limit;
+        const last = pageRows[pageRows.length - 1];
+
+        return {
+            users: pageRows.map(row => this._toOnlineUser(row.username, row.sessions)),
+            total: (data && data.total) || 0,
+            hasMore,
+            // 使用数据库返回的原始时间字符串，避免精度损失导致漏行或重复
+            nextCursor: hasMore ? { lastActivity: last.last_activity, username: last.username } : null
+        };
+    }
+
+    /**
+     * 调用分页函数（getOnlineUsersPage 和 getOnlineUserCount 共用，总数来自同一个数据库聚合）
+     * @param {Object} options - 查询选项（search、filter、room）
+     * @param {Object} page - { limit, offset, cursor }
+     * @returns {Promise<{data: Object, error: Object}>}
+     * @private
+     */
+    _callPageFunction(options, { limit, offset, cursor }) {
+        const cutoffTime = new Date(Date.now() - this.inactiveTimeout);
+
+        return this.supabase.rpc(this.pageFunction, {
+            p_cutoff: cutoffTime.toISOString(),
+            p_search: options.search || null,
+            p_filter: this._buildFilter(options) || {},
+            p_limit: limit,
+            p_offset: offset,
+            p_cursor_last_activity: cursor ? cursor.lastActivity : null,
+            p_cursor_username: cursor ? cursor.username : null
+        });
+    }
+
+    /**
+     * presence 模式下在本地分页
+     * @private
+     */
+    async _getPresenceUsersPage(options, limit) {
+        const presence = this._getPresence();
+        await presence.connect();
+
+        // 与数据库函数相同的排序：最后活跃时间倒序，用户名倒序
+        const users = (await this._getPresenceUsers({ search: options.search, filter: options.filter, room: options.room }))
+            .sort((a, b) => b.lastActivity - a.lastActivity || (a.username < b.username ? 1 : -1));
+
+        let start = options.offset || 0;
+        if (options.cursor) {
+            const cursorTime = new Date(options.cursor.lastActivity).getTime();
+            start = users.findIndex(user => user.lastActivity < cursorTime ||
+                (user.lastActivity === cursorTime && user.username < options.cursor.username));
+            if (start === -1) start = users.length;
+        }
+
+        const pageUsers = users.slice(start, start + limit);
+        const hasMore = start + limit < users.length;
+        const last = pageUsers[pageUsers.length - 1];
+
+        return {
+            users: pageUsers,
+            total: users.length,
+            hasMore,
+            nextCursor: hasMore ? { lastActivity: new Date(last.lastActivity).toISOString(), username: last.username } : null
+        };
+    }
+
+    /**
+     * 导出当前在线用户的快照，按 getOnlineUsersPage 的游标逐页读取，不会一次载入所有用户
+     * 数据库中没有 get_online_users_page 函数时改为按用户名逐页读取会话（导出顺序为用户名升序）
+     * @param {Object} options - 选项（search、filter、room 同 getOnlineUsersPage）
+     * @param {string} options.format - 'csv' | 'json' | 'ndjson'（默认 'csv'）
+     * @param {number} options.pageSize - 每页读取的用户数（默认 500；按会话读取时为会话数）
+     * @param {Object} options.headers - CSV 表头的显示名 { 字段名: 显示名 }
+     * @param {string} options.timezone - CSV 中时间使用的时区（默认浏览器时区）
+     * @returns {AsyncGenerator<string>} 文本片段，可以用 exportToString / exportToBlob 合并
+     */
+    exportOnlineUsers(options = {}) {
+        return formatExport(this._onlineUserPages(options, options.pageSize || 500), {
+            columns: ONLINE_EXPORT_COLUMNS,
+            format: checkExportFormat(options.format),
+            headers: options.headers,
+            timeZone: options.timezone
+        });
+    }
+
+    /**
+     * 逐页读取在线用户（导出用）
+     * @private
+     */
+    async *_onlineUserPages(options, pageSize) {
+        let cursor = null;
+        try {
+            while (!this._pageFunctionMissing) {
+                let page;
+                try {
+                    page = await this.getOnlineUsersPage({
+                        search: options.search,
+                        filter: options.filter,
+                        room: options.room,
+                        limit: pageSize,
+                        cursor
+                    });
+                } catch (error) {
+                    // 第一页就发现没有分页函数时退回按会话读取
+                    if (!cursor && this._isPageFunctionMissing(error)) break;
+                    throw error;
+                }
+                yield page.users.map(toOnlineExportRow);
+                cursor = page.nextCursor;
+                if (!cursor) return;
+            }
 
-            if (error) throw error;
+            for await (const users of this._onlineSessionPages(options, pageSize)) {
+                yield users.map(toOnlineExportRow);
+            }
         } catch (error) {
-            console.error('移除在线状态失败:', error);
+            this.emit('error', error, '导出在线用户');
             throw error;
         }
     }
 
     /**
-     * 获取在线用户列表（自动清理过期用户）
-     * @param {Object} options - 查询选项
-     * @returns {Promise<Array>} 在线用户列表
+     * 没有分页函数时按会话逐页读取在线用户
+     * 会话按用户名、会话 ID 排序，每页最后一个用户的会话可能延续到下一页，合并完整后再返回
+     * @param {Object} options - 查询选项（search、filter、room）
+     * @param {number} pageSize - 每页读取的会话数
+     * @returns {AsyncGenerator<Array>} 每页的在线用户
+     * @private
      */
-    async getOnlineUsers(options = {}) {
-        try {
-            // 构建查询
+    async *_onlineSessionPages(options, pageSize) {
+        const cutoffTime = new Date(Date.now() - this.inactiveTimeout);
+        let offset = 0;
+        let pending = [];
+
+        for (;;) {
             let query = this.supabase
                 .from(this.tableName)
-                .select('*');
-            
-            // 搜索过滤
+                .select('*')
+                .gte('last_activity', cutoffTime.toISOString());
+
             if (options.search) {
                 query = query.ilike('username', `%${options.search}%`);
             }
-            
-            // 自定义过滤条件
-            if (options.filter) {
-                Object.keys(options.filter).forEach(key => {
-                    query = query.eq(key, options.filter[key]);
-                });
-            }
-            
-            // 排序
-            if (options.orderBy) {
-                query = query.order(options.orderBy, { 
-                    ascending: options.ascending !== false 
-                });
-            } else {
-                query = query.order('last_activity', { ascending: false });
-            }
-            
-            // 分页
-            if (options.limit) {
-                query = query.limit(options.limit);
-            }
-            if (options.offset) {
-                query = query.range(options.offset, options.offset + (options.limit || 10) - 1);
-            }
 
-            const { data, error } = await query;
+            const { data, error } = await this._applyFilter(query, this._buildFilter(options))
+                .order('username', { ascending: true })
+                .order('session_id', { ascending: true })
+                .range(offset, offset + pageSize - 1);
 
             if (error) throw error;
-            
-            // 清理超时的在线状态
-            const now = new Date();
-            const activeUsers = [];
-            const expiredUsers = [];
-            
-            (data || []).forEach(user => {
-                const lastActivity = new Date(user.last_activity);
-                const timeDiff = now - lastActivity;
-                
-                if (timeDiff < this.inactiveTimeout) {
-                    activeUsers.push({
-                        username: user.username,
-                        lastActivity: lastActivity.getTime(),
-                        // 包含其他自定义字段
-                        ...Object.keys(user).reduce((acc, key) => {
-                            if (!['id', 'username', 'last_activity', 'created_at'].includes(key)) {
-                                acc[key] = user[key];
-                            }
-                            return acc;
-                        }, {})
-                    });
-                } else {
-                    expiredUsers.push(user.username);
+
+            // 按返回的行数前进，不依赖 pageSize（PostgREST 的 max-rows 可能更小）
+            if (!data || data.length === 0) {
+                if (pending.length > 0) {
+                    yield [this._toOnlineUser(pending[0].username, pending)];
+                }
+                return;
+            }
+            offset += data.length;
+
+            const rows = pending.concat(data);
+            const lastUsername = rows[rows.length - 1].username;
+            pending = rows.filter(row => row.username === lastUsername);
+
+            const sessionsByUser = new Map();
+            rows.filter(row => row.username !== lastUsername).forEach(row => {
+                if (!sessionsByUser.has(row.username)) {
+                    sessionsByUser.set(row.username, []);
                 }
+                sessionsByUser.get(row.username).push(row);
             });
-            
-            // 删除过期的在线状态
-            if (expiredUsers.length > 0) {
-                await this.supabase
+            if (sessionsByUser.size > 0) {
+                yield Array.from(sessionsByUser.entries()).map(
+                    ([username, userRows]) => this._toOnlineUser(username, userRows)
+                );
+            }
+        }
+    }
+
+    /**
+     * 删除所有过期会话（cleanupMode 为 'client' 时由读取方顺带执行）
+     * 删除失败不影响读取（如只读用户没有删除权限）
+     * @param {Date} cutoffTime - 截止时间
+     * @private
+     */
+    async _deleteStaleSessions(cutoffTime) {
+        try {
+            const { error } = await this._scopeQuery(
+                this.supabase
                     .from(this.tableName)
                     .delete()
-                    .in('username', expiredUsers);
-            }
-            
-            return activeUsers;
+                    .lt('last_activity', cutoffTime.toISOString())
+            );
+
+            if (error) throw error;
         } catch (error) {
-            console.error('获取在线用户失败:', error);
-            return [];
+            console.warn('清理过期会话失败:', error);
+        }
+    }
+
+    /**
+     * 合并自定义过滤条件、房间条件和租户条件
+     * @param {Object} options - 查询选项
+     * @returns {Object|undefined} 过滤条件
+     * @private
+     */
+    _buildFilter(options = {}) {
+        if (!options.room && !this.tenantId) return options.filter;
+
+        const filter = { ...options.filter };
+        if (options.room) {
+            filter.rooms = [options.room];
+        }
+        if (this.tenantId) {
+            filter.tenant_id = this.tenantId;
         }
+        return filter;
+    }
+
+    /**
+     * 把查询限定在当前租户内
+     * @param {Object} query - Supabase 查询
+     * @returns {Object} 查询
+     * @private
+     */
+    _scopeQuery(query) {
+        return this.tenantId ? query.eq('tenant_id', this.tenantId) : query;
     }
 
     /**
-     * 获取在线用户总数
+     * 把过滤条件加到查询上
+     * 普通值等值匹配；对象和数组值（如 metadata、rooms）按包含匹配，只比较给出的键/元素
+     * @param {Object} query - Supabase 查询
+     * @param {Object} filter - 过滤条件，如 { device_type: 'mobile', metadata: { room: 'A' } }
+     * @returns {Object} 查询
+     * @private
+     */
+    _applyFilter(query, filter) {
+        if (!filter) return query;
+
+        Object.keys(filter).forEach(key => {
+            const value = filter[key];
+            query = isPlainObject(value) || Array.isArray(value)
+                ? query.contains(key, value)
+                : query.eq(key, value);
+        });
+        return query;
+    }
+
+    /**
+     * 获取在线用户总数（多设备在线的用户只计一次）
+     * 在数据库中计数，读取 get_online_users_page 返回的 total，与 getOnlineUsersPage 的 total 一致；
+     * 数据库中没有该函数时退回按会话计数（多设备在线的用户会计多次）
      * @param {Object} options - 查询选项
      * @returns {Promise<number>} 在线用户数量
      */
     async getOnlineUserCount(options = {}) {
+        if (this.transport === 'presence') {
+            const users = await this._getPresenceUsers({
+                search: options.search,
+                filter: options.filter,
+                room: options.room
+            });
+            return users.length;
+        }
+
         try {
-            let query = this.supabase
-                .from(this.tableName)
-                .select('*', { count: 'exact', head: true });
-            
-            // 搜索过滤
-            if (options.search) {
-                query = query.ilike('username', `%${options.search}%`);
-            }
-            
-            // 自定义过滤条件
-            if (options.filter) {
-                Object.keys(options.filter).forEach(key => {
-                    query = query.eq(key, options.filter[key]);
-                });
-            }
-            
-            // 只统计活跃用户
-            const cutoffTime = new Date(Date.now() - this.inactiveTimeout);
-            query = query.gte('last_activity', cutoffTime.toISOString());
+            if (!this._pageFunctionMissing) {
+                // 只需要总数，不返回任何用户
+                const { data, error } = await this._callPageFunction(options, { limit: 0, offset: 0, cursor: null });
 
-            const { count, error } = await query;
+                if (!error) return (data && data.total) || 0;
+                if (!this._isPageFunctionMissing(error)) throw error;
+            }
 
-            if (error) throw error;
-            return count || 0;
+            return await this._countSessions(options);
         } catch (error) {
             console.error('获取在线用户数量失败:', error);
             return 0;
         }
     }
 
+    /**
+     * 在数据库中统计活跃会话数（没有分页函数时使用）
+     * @param {Object} options - 查询选项
+     * @returns {Promise<number>} 会话数量
+     * @private
+     */
+    async _countSessions(options) {
+        let query = this.supabase
+            .from(this.tableName)
+            .select('*', { count: 'exact', head: true });
+
+        // 搜索过滤
+        if (options.search) {
+            query = query.ilike('username', `%${options.search}%`);
+        }
+
+        // 自定义过滤条件（包括房间）
+        query = this._applyFilter(query, this._buildFilter(options));
+
+        // 只统计活跃会话
+        const cutoffTime = new Date(Date.now() - this.inactiveTimeout);
+        query = query.gte('last_activity', cutoffTime.toISOString());
+
+        const { count, error } = await query;
+
+        if (error) throw error;
+        return count || 0;
+    }
+
+    /**
+     * 判断是否为分页函数不存在的错误；第一次遇到时记录并提示，之后直接走按会话查询的实现
+     * @param {Object} error - Supabase 返回的错误
+     * @returns {boolean}
+     * @private
+     */
+    _isPageFunctionMissing(error) {
+        if (!isMissingFunction(error)) return false;
+        if (!this._pageFunctionMissing) {
+            console.warn(`数据库函数 ${this.pageFunction} 不存在，改为按会话查询（请执行 sql/create-table.sql）`);
+            this._pageFunctionMissing = true;
+        }
+        return true;
+    }
+
+    /**
+     * 从 presence 频道获取在线用户（搜索、过滤、排序在本地完成，分页见 _getPresenceUsersPage）
+     * @param {Object} options - 查询选项，同 getOnlineUsers
+     * @returns {Promise<Array>} 在线用户列表
+     * @private
+     */
+    async _getPresenceUsers(options = {}) {
+        try {
+            const presence = this._getPresence();
+            await presence.connect();
+
+            const sessionsByUser = new Map();
+            presence.getSessions()
+                .filter(row => this._matchesQuery(row, options))
+                .forEach(row => {
+                    if (!sessionsByUser.has(row.username)) {
+                        sessionsByUser.set(row.username, []);
+                    }
+                    sessionsByUser.get(row.username).push(row);
+                });
+
+            const users = Array.from(sessionsByUser.entries()).map(
+                ([username, rows]) => this._toOnlineUser(username, rows)
+            );
+
+            // 排序
+            const orderBy = options.orderBy === 'last_activity' || !options.orderBy
+                ? 'lastActivity'
+                : options.orderBy;
+            const ascending = options.orderBy ? options.ascending !== false : false;
+            users.sort((a, b) => {
+                if (a[orderBy] === b[orderBy]) return 0;
+                return (a[orderBy] > b[orderBy] ? 1 : -1) * (ascending ? 1 : -1);
+            });
+
+            return users;
+        } catch (error) {
+            console.error('获取在线用户失败:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 在本地判断会话是否满足搜索和过滤条件
+     * @private
+     */
+    _matchesQuery(row, options = {}) {
+        if (options.search &&
+            !String(row.username).toLowerCase().includes(options.search.toLowerCase())) {
+            return false;
+        }
+
+        return matchesFilter(row, this._buildFilter(options));
+    }
+
     /**
      * 启动心跳定时器
+     * presence 模式下频道连接本身代表在线，只有开启 persistPresence 时才需要心跳写表
+     * 页面隐藏时按 hiddenPolicy 调整间隔或停止
      */
     startHeartbeat() {
         if (!this.currentUsername) return;
+        if (this.transport === 'presence' && !this.persistPresence) return;
+        if (!this.isLeaderTab()) return;
 
         // 清除已存在的定时器
         this.stopHeartbeat();
+        if (this._isOffline()) return; // 恢复联网后由 online 事件重新启动
+
+        const delay = this._getHeartbeatDelay();
+        if (!delay) return;
         
         // 设置新的定时器
-        this.heartbeatTimer = setInterval(async () => {
-            if (this.currentUsername) {
-                try {
-                    await this._retryOperation(
-                        () => this.updateStatus(this.currentUsername),
-                        '心跳更新'
-                    );
-                    this.retryCount = 0; // 成功后重置重试计数
-                } catch (error) {
-                    this.retryCount++;
-                    console.error('心跳更新失败:', error);
-                    
-                    // 如果连续失败次数过多，停止心跳
-                    if (this.retryCount >= 5) {
-                        console.error('心跳连续失败次数过多，停止心跳');
-                        this.stopHeartbeat();
-                        if (this.onError) {
-                            this.onError(new Error('心跳连续失败'), '心跳停止');
-                        }
-                    }
-                }
+        this._heartbeatDelay = delay;
+        this._lastTickAt = Date.now();
+        this.heartbeatTimer = setInterval(() => {
+            this._checkThrottle();
+            this._beat();
+        }, delay);
+    }
+
+    /**
+     * 发送一次心跳
+     * @private
+     */
+    async _beat() {
+        if (!this.currentUsername) return;
+        if (this.transport === 'presence' && !this.persistPresence) return;
+        if (this._isOffline()) {
+            this._setConnectionState('offline');
+            return;
+        }
+
+        try {
+            await this._retryOperation(
+                () => this.transport === 'presence'
+                    ? this._persistSession(this.currentUsername)
+                    : this.updateStatus(this.currentUsername),
+                '心跳更新'
+            );
+            this.retryCount = 0; // 成功后重置重试计数
+            this.emit('heartbeat', {
+                username: this.currentUsername,
+                sessionId: this.sessionId,
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            this.retryCount++;
+            console.error('心跳更新失败:', error);
+            
+            // 连续失败次数过多时上报一次，心跳继续，服务恢复后自动回到 connected
+            if (this.retryCount === MAX_HEARTBEAT_FAILURES) {
+                console.error('心跳连续失败次数过多');
+                this.emit('error', new Error('心跳连续失败'), '心跳');
+            }
+        }
+    }
+
+    /**
+     * 当前应使用的心跳间隔，null 表示停止心跳
+     * @private
+     */
+    _getHeartbeatDelay() {
+        if (!this._isBackground()) return this.heartbeatInterval;
+
+        if (this.hiddenPolicy === 'stop') return null;
+        if (this.hiddenPolicy === 'slow') {
+            // 放慢后仍要在 inactiveTimeout 内至少心跳两次，否则会被判定为离线
+            const slowed = Math.min(this.heartbeatInterval * this.hiddenSlowdown, this.inactiveTimeout / 2);
+            return Math.max(slowed, this.heartbeatInterval);
+        }
+        return this.heartbeatInterval;
+    }
+
+    /**
+     * 心跳间隔需要变化时重启定时器
+     * @returns {boolean} 是否重启了定时器
+     * @private
+     */
+    _rescheduleHeartbeat() {
+        if (!this.currentUsername || !this.isLeaderTab()) return false;
+        if (this.heartbeatTimer && this._getHeartbeatDelay() === this._heartbeatDelay) return false;
+
+        this.startHeartbeat();
+        return true;
+    }
+
+    /**
+     * 检测定时器是否被浏览器限流：隐藏的标签页中定时器最多每秒触发一次，
+     * 长时间隐藏后可能每分钟才触发一次；设备休眠时定时器完全暂停
+     * @private
+     */
+    _checkThrottle() {
+        const now = Date.now();
+        const actualInterval = now - this._lastTickAt;
+        this._lastTickAt = now;
+
+        if (actualInterval <= this._heartbeatDelay * THROTTLE_RATIO) return;
+
+        const info = {
+            expectedInterval: this._heartbeatDelay,
+            actualInterval,
+            hidden: this._isHidden()
+        };
+        if (actualInterval >= this.inactiveTimeout) {
+            console.warn('心跳被延迟超过 inactiveTimeout，期间其他用户会看到当前用户离线', info);
+        }
+        this.emit('heartbeatThrottle', info);
+    }
+
+    /**
+     * 当前页面是否隐藏
+     * @private
+     */
+    _isHidden() {
+        return typeof document !== 'undefined' && !!document.hidden;
+    }
+
+    /**
+     * 是否按后台策略心跳：当前页面隐藏，且多标签页协调时其他标签页也都隐藏
+     * @private
+     */
+    _isBackground() {
+        if (!this._isHidden()) return false;
+        return !this.tabs || this.tabs.getMemberStates().every(state => state.hidden);
+    }
+
+    /**
+     * 页面隐藏：'away' 策略切换为离开，其他策略调整心跳间隔
+     * @private
+     */
+    _handleHidden() {
+        if (this.hiddenPolicy === 'away' && this.status === 'online') {
+            // 与无操作自动离开相同，回到页面后自动切回在线
+            this.isAutoAway = true;
+            this._applyStatus('away', null).catch(error => {
+                console.error('切换为离开状态失败:', error);
+            });
+        } else if (this.tabs) {
+            this.tabs.announce();
+        }
+
+        this._rescheduleHeartbeat();
+    }
+
+    /**
+     * 页面重新可见：立即心跳（后台期间心跳可能被放慢、停止或限流），并恢复正常间隔
+     * @private
+     */
+    _handleVisible() {
+        if (this.isAutoAway) {
+            // 切回在线会立即写入，相当于一次心跳
+            this.isAutoAway = false;
+            this._applyStatus('online', null).catch(error => {
+                console.error('恢复在线状态失败:', error);
+            });
+            if (this._cleanupIdleListeners) {
+                this.lastInputTime = Date.now();
+                this._scheduleIdleCheck(this.idleTimeout);
             }
-        }, this.heartbeatInterval);
+        } else if (this.isLeaderTab()) {
+            this._beat();
+        } else {
+            this.tabs.announce();
+        }
+
+        this.startHeartbeat();
     }
 
     /**
@@ -494,6 +2302,7 @@ export class OnlineStatusManager {
             clearInterval(this.heartbeatTimer);
             this.heartbeatTimer = null;
         }
+        this._heartbeatDelay = null;
     }
 
     /**
@@ -502,45 +2311,89 @@ export class OnlineStatusManager {
     setupOfflineDetection() {
         if (!this.currentUsername) return;
 
-        const username = this.currentUsername;
+        // 重复登录时先移除旧的监听
+        if (this._cleanupListeners) {
+            this._cleanupListeners();
+        }
+
+        this._unloadSent = false;
+        this._trackAccessToken();
 
-        // 页面卸载时移除在线状态
-        const handleBeforeUnload = () => {
-            // 使用同步请求确保在页面关闭前完成
-            // 注意：这是最后的手段，现代浏览器可能会阻止同步请求
-            try {
-                // 尝试使用 sendBeacon（异步但更可靠）
-                const apiKey = this.supabase.supabaseKey;
-                const url = `${this.supabase.supabaseUrl}/rest/v1/${this.tableName}?username=eq.${encodeURIComponent(username)}`;
-                
-                // sendBeacon 需要正确的请求格式
-                const blob = new Blob([JSON.stringify({})], { type: 'application/json' });
-                const headers = new Headers();
-                headers.append('apikey', apiKey);
-                headers.append('Authorization', `Bearer ${apiKey}`);
-                
-                // 由于 sendBeacon 不支持自定义 headers 和 DELETE 方法
-                // 我们使用同步 XMLHttpRequest 作为备选方案
-                const xhr = new XMLHttpRequest();
-                xhr.open('DELETE', url, false); // false = 同步请求
-                xhr.setRequestHeader('apikey', apiKey);
-                xhr.setRequestHeader('Authorization', `Bearer ${apiKey}`);
-                xhr.setRequestHeader('Content-Type', 'application/json');
-                xhr.send();
-            } catch (error) {
-                // 静默失败，依赖自动清理机制
-                console.warn('页面卸载时清理在线状态失败，将依赖自动清理机制');
+        // 页面卸载时结束当前会话
+        // pagehide 在移动端和进入往返缓存时比 beforeunload 更可靠，两者都监听，只发送一次
+        const handleUnload = () => {
+            if (this._unloadSent || !this.currentUsername) return;
+            this._unloadSent = true;
+            this.stopHeartbeat();
+
+            // 还有其他标签页时交给它们继续维持会话，最后一个标签页才结束共享的会话
+            const isLastTab = !(this.tabs && this.tabs.hasOtherTabs());
+            if (isLastTab) {
+                this._sendUnloadRequest();
+            }
+            // 不等待：插件在钩子的同步部分发出请求
+            this._finishSession('unload', isLastTab);
+            this._stopTabCoordination(isLastTab);
+        };
+
+        // 从往返缓存（bfcache）恢复时重新上线
+        const handlePageShow = (event) => {
+            if (!event.persisted || !this._unloadSent || !this.currentUsername) return;
+            this._unloadSent = false;
+            if (this.crossTab && this.transport === 'database') {
+                this._startTabCoordination(this.currentUsername);
+            }
+            const username = this.currentUsername;
+            this._retryOperation(
+                () => this.updateStatus(username),
+                '更新在线状态'
+            ).then(
+                () => this._beginSession(username)
+            ).catch(error => {
+                console.error('恢复在线状态失败:', error);
+            });
+            this.startHeartbeat();
+        };
+
+        window.addEventListener('pagehide', handleUnload);
+        window.addEventListener('beforeunload', handleUnload);
+        window.addEventListener('pageshow', handlePageShow);
+
+        // 网络断开时暂停心跳和重试，恢复后立即心跳
+        const handleOffline = () => {
+            if (!this.currentUsername || this._unloadSent) return;
+            this.stopHeartbeat();
+            this._setConnectionState('offline');
+        };
+
+        const handleOnline = () => {
+            if (!this.currentUsername || this._unloadSent) return;
+            this.retryCount = 0;
+            if (this.isLeaderTab() && (this.transport === 'database' || this.persistPresence)) {
+                this._beat();
+            } else {
+                // 非主标签页和 presence 模式没有心跳，直接同步一次
+                this.updateStatus(this.currentUsername).catch(error => {
+                    console.error('恢复在线状态失败:', error);
+                });
             }
+            this.startHeartbeat();
         };
 
-        window.addEventListener('beforeunload', handleBeforeUnload);
+        window.addEventListener('offline', handleOffline);
+        window.addEventListener('online', handleOnline);
+        if (this._isOffline()) {
+            handleOffline();
+        }
 
         // 页面可见性变化
         const handleVisibilityChange = () => {
+            if (!this.currentUsername || this._unloadSent) return;
+
             if (document.hidden) {
-                this.stopHeartbeat();
+                this._handleHidden();
             } else {
-                this.startHeartbeat();
+                this._handleVisible();
             }
         };
 
@@ -548,11 +2401,132 @@ export class OnlineStatusManager {
 
         // 保存清理函数
         this._cleanupListeners = () => {
-            window.removeEventListener('beforeunload', handleBeforeUnload);
+            window.removeEventListener('pagehide', handleUnload);
+            window.removeEventListener('beforeunload', handleUnload);
+            window.removeEventListener('pageshow', handlePageShow);
+            window.removeEventListener('offline', handleOffline);
+            window.removeEventListener('online', handleOnline);
             document.removeEventListener('visibilitychange', handleVisibilityChange);
+            this._cleanupListeners = null;
         };
     }
 
+    /**
+     * 页面卸载时通过 RPC 函数结束当前会话（见 sql/create-table.sql 中的 end_online_session）
+     * @returns {boolean} 请求是否已交给浏览器发送
+     * @private
+     */
+    _sendUnloadRequest() {
+        // presence 会话在连接断开时由服务端移除，只有写表时才需要清理
+        if (this.transport === 'presence' && !this.persistPresence) return false;
+
+        return this.sendUnloadRpc(this.unloadFunction, { p_session_id: this.sessionId });
+    }
+
+    /**
+     * 在页面卸载时调用 RPC 函数（插件在 onSessionEnd 的 'unload' 中使用）
+     * 优先使用 keepalive fetch，可以携带用户 JWT，启用 RLS 时也能通过权限检查；
+     * 不支持时退回 sendBeacon，它不能设置请求头，只能以匿名身份调用
+     * 请求交给浏览器在后台完成，不能获取结果
+     * @param {string} functionName - RPC 函数名
+     * @param {Object} params - 函数参数
+     * @returns {boolean} 请求是否已交给浏览器发送
+     */
+    sendUnloadRpc(functionName, params = {}) {
+        const apiKey = this.supabase.supabaseKey;
+        const url = `${this.supabase.supabaseUrl}/rest/v1/rpc/${functionName}`;
+        const body = JSON.stringify(params);
+
+        try {
+            if (typeof fetch === 'function') {
+                fetch(url, {
+                    method: 'POST',
+                    keepalive: true,
+                    headers: {
+                        'apikey': apiKey,
+                        'Authorization': `Bearer ${this._accessToken || apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body
+                }).catch(() => {
+                    // 页面已经卸载，失败时依赖自动清理机制
+                });
+                return true;
+            }
+        } catch (error) {
+            // keepalive 请求被拒绝（如超出大小限制），继续尝试 sendBeacon
+        }
+
+        if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+            const beaconUrl = `${url}?apikey=${encodeURIComponent(apiKey)}`;
+            // sendBeacon 只能使用 CORS 安全的 Content-Type（application/json 会被 Chromium 拒绝），
+            // 改用 PostgREST 同样支持的表单编码传参
+            const form = new URLSearchParams();
+            Object.entries(params).forEach(([key, value]) => {
+                form.append(key, value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+            });
+
+            let sent = false;
+            try {
+                sent = navigator.sendBeacon(beaconUrl, form);
+            } catch (error) {
+                // 浏览器拒绝发送，依赖自动清理机制
+            }
+            if (sent) return true;
+        }
+
+        console.warn(`页面卸载时调用 ${functionName} 失败，将依赖自动清理机制`);
+        return false;
+    }
+
+    /**
+     * 缓存当前登录用户的 JWT，供页面卸载请求使用（卸载时不能等待异步调用）
+     * 没有使用 Supabase Auth 时使用 anon key
+     * @private
+     */
+    _trackAccessToken() {
+        const auth = this.supabase.auth;
+        if (!auth || typeof auth.getSession !== 'function') return;
+
+        auth.getSession().then(({ data }) => {
+            this._accessToken = data?.session?.access_token || null;
+        }).catch(() => {
+            this._accessToken = null;
+        });
+
+        this._subscribeAuth();
+    }
+
+    /**
+     * 订阅认证状态变化（访问令牌和 Auth 模式共用一个订阅）
+     * @private
+     */
+    _subscribeAuth() {
+        const auth = this.supabase.auth;
+        if (this._authSubscription || !auth || typeof auth.onAuthStateChange !== 'function') return;
+
+        const { data } = auth.onAuthStateChange((event, session) => this._handleAuthEvent(event, session));
+        this._authSubscription = data?.subscription || null;
+    }
+
+    /**
+     * 处理认证状态变化：token 刷新或用户切换时更新访问令牌，Auth 模式下同步追踪状态
+     * @private
+     */
+    _handleAuthEvent(event, session) {
+        this._accessToken = session?.access_token || null;
+
+        if (!this.authMode || !this._authTracking) return;
+
+        // 回调中直接发起其他 Supabase 请求会和 auth 内部的锁互相等待，推迟到回调返回后执行
+        setTimeout(() => {
+            this._enqueueAuth(() => this._syncAuthUser(session?.user || null)).catch(error => {
+                console.error(`处理认证事件 ${event} 失败:`, error);
+                this.emit('error', error, '认证追踪');
+            });
+        }, 0);
+    }
+
     /**
      * 标记用户已登录（首次登录检测）
      * @param {string} username - 用户名
@@ -597,11 +2571,27 @@ export class OnlineStatusManager {
      * 销毁实例
      */
     destroy() {
+        const isLastTab = !(this.tabs && this.tabs.hasOtherTabs());
+        this._finishSession('destroy', isLastTab);
+        this._callPlugins('destroy');
+        this._stopTabCoordination(isLastTab);
         this.stopHeartbeat();
+        this._setConnectionState('stopped');
         this.stopRealtimeSubscription();
+        if (this.presence) {
+            this.presence.disconnect();
+            this.presence = null;
+        }
         this.stopTimeLimitMonitor();
+        this.stopIdleDetection();
         if (this._cleanupListeners) {
             this._cleanupListeners();
         }
+        if (this._authSubscription) {
+            this._authSubscription.unsubscribe();
+            this._authSubscription = null;
+        }
+        this._authTracking = null;
+        this.off();
     }
 }
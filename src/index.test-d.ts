@@ -0,0 +1,324 @@
+import { describe, it, expectTypeOf } from 'vitest';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import {
+  OnlineStatusManager,
+  PresenceStore,
+  PresenceTransport,
+  TabCoordinator,
+  ActivityStats,
+  exportToString,
+  exportToBlob,
+  USER_STATUSES,
+  HIDDEN_POLICIES,
+  type HiddenPolicy,
+  CONNECTION_STATES,
+  type ConnectionState,
+  type OnlineUser,
+  type OfflineUser,
+  type UserChanges,
+  type UserStatus,
+  type OnlineUsersPage,
+  type HeartbeatInfo,
+  type UserStats,
+  type StatsPeriod,
+  type TopActiveUser,
+  type StorageStats,
+  type CleanupResult,
+  type RetentionStrategy,
+  type ActivityLog,
+  type PeakConcurrency,
+  type ActiveUsersPoint,
+  type SessionInfo,
+  type SessionEndReason
+} from './index';
+
+// 类型测试只由 tsc 检查、不会执行，因此只声明需要的值，避免导入 init.js 时创建客户端
+declare const supabase: SupabaseClient;
+type Init = typeof import('./init');
+
+interface CourseFields {
+  current_page: string;
+  course_id: number;
+}
+
+describe('OnlineStatusManager 类型', () => {
+  it('默认的在线用户允许任意自定义字段', async () => {
+    const manager = new OnlineStatusManager(supabase);
+    const users = await manager.getOnlineUsers();
+
+    expectTypeOf(users).toEqualTypeOf<OnlineUser[]>();
+    expectTypeOf(users[0].username).toEqualTypeOf<string>();
+    expectTypeOf(users[0].lastActivity).toEqualTypeOf<number>();
+    expectTypeOf(users[0].status).toEqualTypeOf<UserStatus>();
+    expectTypeOf(users[0].devices[0].sessionId).toEqualTypeOf<string>();
+    expectTypeOf(users[0].anything).toBeAny();
+  });
+
+  it('自定义字段通过泛型参数声明', async () => {
+    const manager = new OnlineStatusManager<CourseFields>(supabase, {
+      onUserJoin: (user) => {
+        expectTypeOf(user.current_page).toEqualTypeOf<string>();
+        expectTypeOf(user.username).toEqualTypeOf<string>();
+      },
+      onUserUpdate: (user, changes) => {
+        expectTypeOf(changes.course_id).toEqualTypeOf<{ previous: number; current: number } | undefined>();
+        // 心跳只更新 lastActivity，不会出现在变化中
+        // @ts-expect-error lastActivity 不在 UserChanges 中
+        changes.lastActivity;
+      }
+    });
+
+    const users = await manager.getOnlineUsers();
+    expectTypeOf(users[0].course_id).toEqualTypeOf<number>();
+    // @ts-expect-error 未声明的字段
+    users[0].unknown_field;
+
+    const page = await manager.getOnlineUsersPage({ limit: 20 });
+    expectTypeOf(page).toEqualTypeOf<OnlineUsersPage<CourseFields>>();
+    expectTypeOf(page.nextCursor).toEqualTypeOf<{ lastActivity: string; username: string } | null>();
+    await manager.getOnlineUsersPage({ cursor: page.nextCursor });
+  });
+
+  it('事件监听参数与回调一致', () => {
+    const manager = new OnlineStatusManager<CourseFields>(supabase);
+
+    const off = manager.on('join', (user) => {
+      expectTypeOf(user).toEqualTypeOf<OnlineUser<CourseFields>>();
+    });
+    expectTypeOf(off).toEqualTypeOf<() => void>();
+
+    manager.on('leave', (user) => {
+      expectTypeOf(user).toEqualTypeOf<OfflineUser>();
+      expectTypeOf(user.status).toEqualTypeOf<'offline'>();
+    });
+    manager.on('update', (user, changes) => {
+      expectTypeOf(changes).toEqualTypeOf<UserChanges<CourseFields>>();
+    });
+    manager.on('statusChange', (user, previousStatus) => {
+      expectTypeOf(previousStatus).toEqualTypeOf<UserStatus>();
+    });
+    manager.on('error', (error, operation) => {
+      expectTypeOf(error).toEqualTypeOf<Error>();
+      expectTypeOf(operation).toEqualTypeOf<string>();
+    });
+    manager.once('timeWarning', (timeLeft) => {
+      expectTypeOf(timeLeft).toEqualTypeOf<number>();
+    });
+    manager.on('heartbeat', (info) => {
+      expectTypeOf(info).toEqualTypeOf<HeartbeatInfo>();
+    });
+    manager.on('heartbeatThrottle', (info) => {
+      expectTypeOf(info.actualInterval).toEqualTypeOf<number>();
+    });
+    manager.on('connectionChange', (state, previousState) => {
+      expectTypeOf(state).toEqualTypeOf<ConnectionState>();
+      expectTypeOf(previousState).toEqualTypeOf<ConnectionState>();
+    });
+    expectTypeOf(manager.connectionState).toEqualTypeOf<ConnectionState>();
+    expectTypeOf(CONNECTION_STATES).toEqualTypeOf<ConnectionState[]>();
+    manager.off('timeLimit');
+
+    // @ts-expect-error 未知事件
+    manager.on('unknown', () => {});
+    // @ts-expect-error 参数类型不匹配
+    manager.on('timeWarning', (timeLeft: string) => {});
+  });
+
+  it('状态只接受已定义的值', async () => {
+    const manager = new OnlineStatusManager(supabase);
+
+    await manager.setStatus('busy', '开会中');
+    // @ts-expect-error 无效的状态
+    await manager.setStatus('offline');
+
+    expectTypeOf(USER_STATUSES).toEqualTypeOf<UserStatus[]>();
+    expectTypeOf(manager.userLogin('alice')).resolves.toEqualTypeOf<{ isFirstLogin: boolean }>();
+    expectTypeOf(manager.getRemainingTime()).toEqualTypeOf<number | null>();
+    await manager.removeStatus('alice', { allSessions: true });
+  });
+});
+
+describe('metadata 类型', () => {
+  it('未声明时为任意对象', async () => {
+    const manager = new OnlineStatusManager(supabase);
+    await manager.userLogin('alice', { metadata: { page: '/home' } });
+    await manager.setMetadata({ classroom: 'A101' }, { immediate: true });
+
+    const [user] = await manager.getOnlineUsers({ filter: { metadata: { classroom: 'A101' } } });
+    expectTypeOf(user.metadata).toEqualTypeOf<Record<string, any>>();
+  });
+
+  it('通过泛型参数的 metadata 字段声明', async () => {
+    const manager = new OnlineStatusManager<{ metadata: { page: string; classroom: string } }>(supabase);
+    await manager.userLogin('alice', { metadata: { page: '/home', classroom: 'A101' } });
+    await manager.setMetadata({ page: '/course/1' });
+    // @ts-expect-error 未声明的键
+    await manager.setMetadata({ role: 'teacher' });
+    // @ts-expect-error 登录时需要完整的 metadata
+    await manager.userLogin('alice', { metadata: { page: '/home' } });
+
+    const [user] = await manager.getOnlineUsers();
+    expectTypeOf(user.metadata.classroom).toEqualTypeOf<string>();
+    expectTypeOf(user.devices[0].metadata.page).toEqualTypeOf<string>();
+    expectTypeOf(manager.metadata).toEqualTypeOf<Partial<{ page: string; classroom: string }>>();
+    expectTypeOf<Init['setMetadata']>().returns.resolves.toBeVoid();
+  });
+});
+
+describe('房间类型', () => {
+  it('房间查询和事件', async () => {
+    const manager = new OnlineStatusManager<CourseFields>(supabase);
+    await manager.userLogin('alice', { rooms: ['class-101'] });
+    await manager.joinRoom('class-102');
+    expectTypeOf(manager.getRooms()).toEqualTypeOf<string[]>();
+
+    const [user] = await manager.getOnlineUsers({ room: 'class-101' });
+    expectTypeOf(user.rooms).toEqualTypeOf<string[]>();
+    expectTypeOf(user.devices[0].rooms).toEqualTypeOf<string[]>();
+    expectTypeOf(manager.getOnlineUserCount({ room: 'class-101' })).resolves.toEqualTypeOf<number>();
+
+    manager.on('roomJoin', (joined, room) => {
+      expectTypeOf(joined.course_id).toEqualTypeOf<number>();
+      expectTypeOf(room).toEqualTypeOf<string>();
+    });
+    manager.on('roomLeave', (left) => {
+      expectTypeOf(left.username).toEqualTypeOf<string>();
+    });
+    new PresenceStore(manager, { query: { room: 'class-101' } });
+  });
+});
+
+describe('Auth 模式类型', () => {
+  it('登录不需要用户名', async () => {
+    const manager = new OnlineStatusManager(supabase, {
+      authMode: true,
+      getDisplayName: (user) => user.email ?? user.id
+    });
+    await manager.startAuthTracking();
+    await manager.userLogin();
+
+    const [user] = await manager.getOnlineUsers();
+    expectTypeOf(user.userId).toEqualTypeOf<string | null>();
+  });
+});
+
+describe('多标签页协调和后台心跳类型', () => {
+  it('主标签页', () => {
+    const manager = new OnlineStatusManager(supabase, { crossTab: true, hiddenPolicy: 'slow', hiddenSlowdown: 2 });
+    // @ts-expect-error 无效的后台心跳策略
+    new OnlineStatusManager(supabase, { hiddenPolicy: 'sleep' });
+    expectTypeOf(HIDDEN_POLICIES).toEqualTypeOf<HiddenPolicy[]>();
+    expectTypeOf(manager.isLeaderTab()).toEqualTypeOf<boolean>();
+    expectTypeOf(manager.tabId).toEqualTypeOf<string>();
+    expectTypeOf(TabCoordinator.isSupported()).toEqualTypeOf<boolean>();
+  });
+});
+
+describe('插件类型', () => {
+  it('插件钩子', () => {
+    const stats = new ActivityStats(supabase);
+    const manager = new OnlineStatusManager(supabase, { plugins: [stats] });
+
+    const remove = manager.use({
+      onSessionEnd: (session, reason) => {
+        expectTypeOf(session).toEqualTypeOf<SessionInfo>();
+        expectTypeOf(reason).toEqualTypeOf<SessionEndReason>();
+        manager.sendUnloadRpc('end_activity_session', { p_session_id: session.sessionId });
+      }
+    });
+    expectTypeOf(remove).toEqualTypeOf<() => void>();
+    // @ts-expect-error 插件必须是对象
+    manager.use('stats');
+    expectTypeOf(stats.recordLogout('alice', { sessionId: manager.sessionId })).resolves.toEqualTypeOf<ActivityLog | null>();
+  });
+});
+
+describe('PresenceStore / PresenceTransport 类型', () => {
+  it('存储继承管理器的自定义字段类型', () => {
+    const manager = new OnlineStatusManager<CourseFields>(supabase);
+    const store = new PresenceStore(manager, { query: { search: 'a' } });
+
+    store.subscribe((snapshot, diff) => {
+      expectTypeOf(snapshot).toEqualTypeOf<OnlineUser<CourseFields>[]>();
+      expectTypeOf(diff.added).toEqualTypeOf<OnlineUser<CourseFields>[]>();
+    });
+    expectTypeOf(store.get('alice')).toEqualTypeOf<OnlineUser<CourseFields> | null>();
+    expectTypeOf(store.size).toEqualTypeOf<number>();
+  });
+
+  it('传输层', () => {
+    const presence = new PresenceTransport(supabase, { channelName: 'presence:test', key: 'session' });
+    expectTypeOf(presence.connect()).resolves.toBeVoid();
+    expectTypeOf(presence.getSessions()).toEqualTypeOf<Record<string, any>[]>();
+  });
+});
+
+describe('ActivityStats 类型', () => {
+  it('统计结果的结构', async () => {
+    const stats = new ActivityStats(supabase, { retentionDays: 7 });
+
+    expectTypeOf(stats.getUserStats('alice', { period: 'week' })).resolves.toEqualTypeOf<UserStats>();
+    expectTypeOf(stats.getTopActiveUsers({ limit: 5 })).resolves.toEqualTypeOf<TopActiveUser[]>();
+    expectTypeOf(stats.getStorageStats()).resolves.toEqualTypeOf<StorageStats>();
+    expectTypeOf(stats.recordLogin('alice', { deviceType: 'mobile' })).resolves.toEqualTypeOf<ActivityLog>();
+    expectTypeOf(stats.recordLogout('alice')).resolves.toEqualTypeOf<ActivityLog | null>();
+    expectTypeOf(stats.cleanupOldRecords()).resolves.toEqualTypeOf<CleanupResult>();
+
+    const userStats = await stats.getUserStats('alice');
+    expectTypeOf(userStats.sessions[0].logoutTime).toEqualTypeOf<number | null>();
+    expectTypeOf(userStats.sessions[0].exact).toEqualTypeOf<boolean>();
+    expectTypeOf(userStats.estimatedOnlineTime).toEqualTypeOf<number>();
+    expectTypeOf(userStats.period).toEqualTypeOf<StatsPeriod | 'custom'>();
+
+    new ActivityStats(supabase, { timezone: 'Asia/Shanghai' });
+    new ActivityStats(supabase, { retentionStrategy: 'rollup', dailyTable: 'activity_daily' });
+    // @ts-expect-error 保留策略只能是 delete、archive、rollup
+    new ActivityStats(supabase, { retentionStrategy: 'keep' });
+    expectTypeOf(stats.retentionStrategy).toEqualTypeOf<RetentionStrategy>();
+    await stats.getUserStats('alice', { from: '2026-03-01', to: new Date() });
+    await stats.getTopActiveUsers({ period: 'thisWeek', limit: 5 });
+    await stats.getPeakConcurrency({ from: '2026-03-01', to: '2026-03-07' });
+
+    const series = await stats.getConcurrencySeries({ from: '2026-03-01', bucket: '5m' });
+    expectTypeOf(series[0].count).toEqualTypeOf<number>();
+    expectTypeOf(stats.getPeakConcurrency('week')).resolves.toEqualTypeOf<PeakConcurrency>();
+    // @ts-expect-error 无效的时间粒度
+    await stats.getConcurrencySeries({ bucket: '10m' });
+
+    const [cohort] = await stats.getRetentionCohorts({ from: '2026-03-01', days: [1, 7] });
+    expectTypeOf(cohort.retention[0].rate).toEqualTypeOf<number | null>();
+    expectTypeOf(stats.getActiveUsers()).resolves.toEqualTypeOf<ActiveUsersPoint[]>();
+    const [churn] = await stats.getChurn({ period: 'month' });
+    expectTypeOf(churn.churnRate).toEqualTypeOf<number | null>();
+    // @ts-expect-error 无效的统计周期
+    await stats.getChurn({ period: 'year' });
+    // @ts-expect-error 无效的统计周期
+    await stats.getUserStats('alice', { period: 'decade' });
+  });
+});
+
+describe('导出类型', () => {
+  it('导出为文本片段', async () => {
+    const manager = new OnlineStatusManager(supabase);
+    const stats = new ActivityStats(supabase);
+
+    expectTypeOf(exportToString(manager.exportOnlineUsers({ format: 'ndjson', room: 'class-101' }))).resolves.toBeString();
+    expectTypeOf(exportToBlob(stats.exportSessions({ username: 'alice', from: '2026-03-01' }), 'csv')).resolves.toEqualTypeOf<Blob>();
+    for await (const chunk of stats.exportUserSummaries({ period: 'thisMonth', headers: { username: '用户名' } })) {
+      expectTypeOf(chunk).toBeString();
+    }
+    // @ts-expect-error 无效的导出格式
+    stats.exportSessions({ format: 'xlsx' });
+  });
+});
+
+describe('init.js 类型', () => {
+  it('便捷方法', () => {
+    expectTypeOf<Init['login']>().returns.resolves.toEqualTypeOf<{ isFirstLogin: boolean }>();
+    expectTypeOf<Init['getOnlineUsers']>().returns.resolves.toEqualTypeOf<OnlineUser[]>();
+    expectTypeOf<Init['getUserStats']>().returns.resolves.toEqualTypeOf<UserStats>();
+    expectTypeOf<Init['activityStats']>().toEqualTypeOf<ActivityStats | null>();
+    expectTypeOf<Init['onlineManager']>().toEqualTypeOf<OnlineStatusManager>();
+    expectTypeOf<Init['default']['login']>().toEqualTypeOf<Init['login']>();
+  });
+});
@@ -1,55 +1,257 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { OnlineStatusManager } from './index.js';
+import { OnlineStatusManager, PresenceStore, exportToString } from './index.js';
+import { ActivityStats } from './extensions/stats.js';
+
+// 模拟 JSONB 的包含（@>）运算
+const jsonContains = (value, expected) => {
+  if (Array.isArray(expected)) {
+    return Array.isArray(value) && expected.every(item => value.some(v => jsonContains(v, item)));
+  }
+  if (expected !== null && typeof expected === 'object') {
+    return value !== null && typeof value === 'object' &&
+      Object.keys(expected).every(key => jsonContains(value[key], expected[key]));
+  }
+  return value === expected;
+};
+
+// Mock Supabase 客户端（内存表 + 可链式调用的查询构建器）
+// maxRows 模拟 PostgREST 的 db-max-rows：查询最多返回这么多行（count 不受影响）
+const createMockSupabase = ({ maxRows = null } = {}) => {
+  const tables = new Map();
+  const channels = [];
+  const presenceStates = new Map(); // channelName -> Map<key, payload>
+
+  const rowsOf = (table) => {
+    if (!tables.has(table)) {
+      tables.set(table, []);
+    }
+    return tables.get(table);
+  };
+
+  const createQuery = (table) => {
+    const filters = [];
+    const orders = [];
+    let action = 'select';
+    let payload = null;
+    let conflictKey = null;
+    let countMode = null;
+    let head = false;
+    let limitCount = null;
+    let range = null;
+    let single = false;
+
+    const execute = () => {
+      const rows = rowsOf(table);
+      const matches = (row) => filters.every(fn => fn(row));
+
+      if (action === 'upsert' || action === 'insert') {
+        const items = Array.isArray(payload) ? payload : [payload];
+        const written = items.map(item => {
+          const existing = conflictKey && rows.find(row => row[conflictKey] === item[conflictKey]);
+          if (existing) {
+            Object.assign(existing, item);
+            return existing;
+          }
+          const row = { id: rows.length + 1, ...item };
+          rows.push(row);
+          return row;
+        });
+        return { data: single ? written[0] : written, error: null };
+      }
+
+      if (action === 'update') {
+        const updated = rows.filter(matches);
+        updated.forEach(row => Object.assign(row, payload));
+        return { data: single ? updated[0] || null : updated, error: null };
+      }
+
+      if (action === 'delete') {
+        const removed = rows.filter(matches);
+        tables.set(table, rows.filter(row => !matches(row)));
+        return { data: removed, error: null };
+      }
+
+      let result = rows.filter(matches);
+      // 先传入的排序字段优先
+      result = [...result].sort((a, b) => {
+        for (const { field, ascending } of orders) {
+          if (a[field] !== b[field]) {
+            return (a[field] > b[field] ? 1 : -1) * (ascending ? 1 : -1);
+          }
+        }
+        return 0;
+      });
+      const count = result.length;
+      if (range) {
+        result = result.slice(range[0], range[1] + 1);
+      } else if (limitCount !== null) {
+        result = result.slice(0, limitCount);
+      }
+      if (maxRows !== null) {
+        result = result.slice(0, maxRows);
+      }
+      if (single) {
+        return { data: result[0] || null, error: null };
+      }
+      return { data: head ? null : result, error: null, count: countMode ? count : null };
+    };
+
+    const builder = {
+      select: (columns, options = {}) => {
+        countMode = options.count || null;
+        head = !!options.head;
+        return builder;
+      },
+      insert: (data) => { action = 'insert'; payload = data; return builder; },
+      upsert: (data, options = {}) => {
+        action = 'upsert';
+        payload = data;
+        conflictKey = options.onConflict || 'id';
+        return builder;
+      },
+      update: (data) => { action = 'update'; payload = data; return builder; },
+      delete: () => { action = 'delete'; return builder; },
+      eq: (field, value) => { filters.push(row => row[field] === value); return builder; },
+      neq: (field, value) => { filters.push(row => row[field] !== value); return builder; },
+      gte: (field, value) => { filters.push(row => row[field] >= value); return builder; },
+      lt: (field, value) => { filters.push(row => row[field] < value); return builder; },
+      contains: (field, value) => { filters.push(row => jsonContains(row[field], value)); return builder; },
+      in: (field, values) => { filters.push(row => values.includes(row[field])); return builder; },
+      is: (field, value) => { filters.push(row => (row[field] ?? null) === value); return builder; },
+      ilike: (field, pattern) => {
+        const needle = pattern.replace(/%/g, '').toLowerCase();
+        filters.push(row => String(row[field]).toLowerCase().includes(needle));
+        return builder;
+      },
+      order: (field, options = {}) => {
+        orders.push({ field, ascending: options.ascending !== false });
+        return builder;
+      },
+      limit: (count) => { limitCount = count; return builder; },
+      range: (from, to) => { range = [from, to]; return builder; },
+      single: () => { single = true; return builder; },
+      then: (resolve, reject) => Promise.resolve().then(execute).then(resolve, reject)
+    };
+
+    return builder;
+  };
+
+  // 模拟 sql/ 中的数据库函数
+  const rpcFunctions = {
+    get_online_users_page: (params) => {
+      const filter = params.p_filter || {};
+      const byUser = new Map();
+      rowsOf('online_users')
+        .filter(row => row.last_activity >= params.p_cutoff)
+        .filter(row => !params.p_search || row.username.toLowerCase().includes(params.p_search.toLowerCase()))
+        .filter(row => jsonContains(row, filter))
+        .forEach(row => {
+          if (!byUser.has(row.username)) {
+            byUser.set(row.username, { username: row.username, last_activity: row.last_activity, sessions: [] });
+          }
+          const user = byUser.get(row.username);
+          user.sessions.push({ ...row });
+          if (row.last_activity > user.last_activity) user.last_activity = row.last_activity;
+        });
+
+      const desc = (a, b) => a < b ? 1 : a > b ? -1 : 0;
+      const users = Array.from(byUser.values())
+        .sort((a, b) => desc(a.last_activity, b.last_activity) || desc(a.username, b.username));
+      const afterCursor = params.p_cursor_last_activity === null ? users : users.filter(u =>
+        u.last_activity < params.p_cursor_last_activity ||
+        (u.last_activity === params.p_cursor_last_activity && u.username < params.p_cursor_username));
+
+      return {
+        total: users.length,
+        users: afterCursor.slice(params.p_offset, params.p_offset + params.p_limit)
+      };
+    }
+  };
 
-// Mock Supabase 客户端
-const createMockSupabase = () => {
-  const mockData = new Map();
-  
   return {
     supabaseUrl: 'https://test.supabase.co',
     supabaseKey: 'test-key',
-    from: (table) => ({
-      select: vi.fn().mockReturnValue({
-        data: Array.from(mockData.values()).filter(item => item._table === table),
-        error: null,
-        order: vi.fn().mockReturnThis(),
-        limit: vi.fn().mockReturnThis(),
-        range: vi.fn().mockReturnThis(),
-        ilike: vi.fn().mockReturnThis(),
-        eq: vi.fn().mockReturnThis(),
-        gte: vi.fn().mockReturnThis()
-      }),
-      upsert: vi.fn().mockImplementation((data) => {
-        const key = data.username;
-        mockData.set(key, { ...data, _table: table });
-        return { data, error: null };
-      }),
-      delete: vi.fn().mockImplementation(() => {
-        const deleteQuery = {
-          eq: vi.fn().mockImplementation((field, value) => {
-            mockData.delete(value);
-            return { data: null, error: null };
-          }),
-          in: vi.fn().mockImplementation((field, values) => {
-            values.forEach(v => mockData.delete(v));
-            return { data: null, error: null };
-          })
-        };
-        return deleteQuery;
-      }),
-      update: vi.fn().mockImplementation((data) => ({
-        eq: vi.fn().mockImplementation((field, value) => {
-          const existing = mockData.get(value);
-          if (existing) {
-            mockData.set(value, { ...existing, ...data });
+    from: (table) => createQuery(table),
+    rpc: vi.fn(async (fn, params = {}) => {
+      if (!rpcFunctions[fn]) {
+        return { data: null, error: { message: `function ${fn} does not exist` } };
+      }
+      return { data: rpcFunctions[fn](params), error: null };
+    }),
+    channel: (name, options = {}) => {
+      const handlers = [];
+      const presenceKey = options.config?.presence?.key;
+      if (!presenceStates.has(name)) {
+        presenceStates.set(name, new Map());
+      }
+      const presence = presenceStates.get(name);
+      const peers = () => channels.filter(c => c.name === name && !c._removed);
+      const emitPresence = (event, payload) => {
+        peers().forEach(peer => peer._emitPresence(event, payload));
+      };
+
+      const channel = {
+        name,
+        _removed: false,
+        on: (type, filter, callback) => {
+          handlers.push({ type, filter, callback });
+          return channel;
+        },
+        subscribe: (callback) => {
+          if (callback) callback('SUBSCRIBED');
+          Promise.resolve().then(() => channel._emitPresence('sync', {}));
+          return channel;
+        },
+        track: async (payload) => {
+          const old = presence.get(presenceKey);
+          presence.set(presenceKey, { ...payload, presence_ref: String(Math.random()) });
+          emitPresence('join', { key: presenceKey, newPresences: [presence.get(presenceKey)] });
+          if (old) {
+            emitPresence('leave', { key: presenceKey, currentPresences: [presence.get(presenceKey)], leftPresences: [old] });
           }
-          return { data, error: null };
-        }),
-        single: vi.fn().mockReturnValue({ data, error: null })
-      }))
+          emitPresence('sync', {});
+          return 'ok';
+        },
+        untrack: async () => {
+          const old = presence.get(presenceKey);
+          if (!old) return 'ok';
+          presence.delete(presenceKey);
+          emitPresence('leave', { key: presenceKey, currentPresences: [], leftPresences: [old] });
+          emitPresence('sync', {});
+          return 'ok';
+        },
+        presenceState: () => Array.from(presence.entries()).reduce((state, [key, payload]) => {
+          state[key] = [payload];
+          return state;
+        }, {}),
+        // 模拟服务器推送 postgres_changes 事件
+        _emit: (event, payload) => {
+          handlers
+            .filter(h => h.type === 'postgres_changes' && h.filter.event === event)
+            .forEach(h => h.callback(payload));
+        },
+        _emitPresence: (event, payload) => {
+          handlers
+            .filter(h => h.type === 'presence' && h.filter.event === event)
+            .forEach(h => h.callback(payload));
+        }
+      };
+      channels.push(channel);
+      return channel;
+    },
+    removeChannel: vi.fn((channel) => {
+      if (channel.untrack) channel.untrack();
+      channel._removed = true;
     }),
-    _mockData: mockData,
-    _clearMockData: () => mockData.clear()
+    _tables: tables,
+    _channels: channels,
+    _rows: (table = 'online_users') => rowsOf(table),
+    _findRow: (username, table = 'online_users') =>
+      rowsOf(table).find(row => row.username === username),
+    _clearMockData: () => {
+      tables.clear();
+      presenceStates.clear();
+    }
   };
 };
 
@@ -101,6 +303,11 @@ describe('OnlineStatusManager', () => {
 
       customManager.destroy();
     });
+
+    it('应该拒绝无效的后台心跳策略', () => {
+      expect(() => new OnlineStatusManager(supabase, { hiddenPolicy: 'sleep' }))
+        .toThrow('无效的后台心跳策略');
+    });
   });
 
   describe('userLogin', () => {
@@ -173,7 +380,7 @@ describe('OnlineStatusManager', () => {
     it('应该使用 upsert 操作', async () => {
       await manager.updateStatus('testuser');
       
-      const data = supabase._mockData.get('testuser');
+      const data = supabase._findRow('testuser');
       expect(data).toBeDefined();
       expect(data.username).toBe('testuser');
       expect(data.last_activity).toBeDefined();
@@ -183,10 +390,10 @@ describe('OnlineStatusManager', () => {
   describe('removeStatus', () => {
     it('应该删除用户在线状态', async () => {
       await manager.updateStatus('testuser');
-      expect(supabase._mockData.has('testuser')).toBe(true);
+      expect(supabase._findRow('testuser')).toBeDefined();
       
       await manager.removeStatus('testuser');
-      expect(supabase._mockData.has('testuser')).toBe(false);
+      expect(supabase._findRow('testuser')).toBeUndefined();
     });
   });
 
@@ -222,7 +429,7 @@ describe('OnlineStatusManager', () => {
       supabase.from = vi.fn().mockReturnValue({
         select: vi.fn().mockReturnValue(mockQuery),
         delete: vi.fn().mockReturnValue({
-          in: vi.fn().mockReturnValue({ data: null, error: null })
+          lt: vi.fn().mockReturnValue({ data: null, error: null })
         })
       });
       
@@ -244,7 +451,7 @@ describe('OnlineStatusManager', () => {
       ];
       
       const deleteSpy = vi.fn().mockReturnValue({
-        in: vi.fn().mockReturnValue({ data: null, error: null })
+        lt: vi.fn().mockReturnValue({ data: null, error: null })
       });
       
       const mockQuery = {
@@ -270,6 +477,36 @@ describe('OnlineStatusManager', () => {
       expect(deleteSpy).toHaveBeenCalled();
     });
 
+    it('cleanupMode 为 server 时应该在服务端过滤且不删除过期会话', async () => {
+      const reader = new OnlineStatusManager(supabase, { cleanupMode: 'server' });
+      const now = Date.now();
+      supabase._rows().push(
+        { session_id: 'a', username: 'alice', last_activity: new Date(now - 60000).toISOString() },
+        { session_id: 'b', username: 'bob', last_activity: new Date(now - 600000).toISOString() }
+      );
+      const fromSpy = vi.spyOn(supabase, 'from');
+
+      const users = await reader.getOnlineUsers();
+
+      expect(users.map(u => u.username)).toEqual(['alice']);
+      expect(supabase._rows().length).toBe(2); // 过期会话留给服务端清理
+      expect(fromSpy).toHaveBeenCalledTimes(1); // 只有一次查询，没有删除
+      reader.destroy();
+    });
+
+    it('应该在服务端过滤过期会话并删除所有过期会话', async () => {
+      const now = Date.now();
+      supabase._rows().push(
+        { session_id: 'a', username: 'alice', last_activity: new Date(now - 60000).toISOString() },
+        { session_id: 'b', username: 'bob', last_activity: new Date(now - 600000).toISOString() }
+      );
+
+      const users = await manager.getOnlineUsers();
+
+      expect(users.map(u => u.username)).toEqual(['alice']);
+      expect(supabase._rows().map(row => row.session_id)).toEqual(['a']);
+    });
+
     it('应该处理数据库错误', async () => {
       supabase.from = vi.fn().mockReturnValue({
         select: vi.fn().mockReturnValue({
@@ -284,46 +521,2221 @@ describe('OnlineStatusManager', () => {
     });
   });
 
-  describe('心跳机制', () => {
-    it('应该定期更新在线状态', async () => {
-      const updateSpy = vi.spyOn(manager, 'updateStatus');
-      
+  describe('分页', () => {
+    const addSessions = (count, { devicesPerUser = 1, expired = 0 } = {}) => {
+      const now = Date.now();
+      for (let i = 0; i < count; i++) {
+        for (let d = 0; d < devicesPerUser; d++) {
+          supabase._rows().push({
+            session_id: `user${i}-${d}`,
+            username: `user${String(i).padStart(2, '0')}`,
+            last_activity: new Date(now - i * 1000 - d).toISOString()
+          });
+        }
+      }
+      for (let i = 0; i < expired; i++) {
+        supabase._rows().push({
+          session_id: `expired${i}`,
+          username: `expired${i}`,
+          last_activity: new Date(now - 600000).toISOString()
+        });
+      }
+    };
+
+    it('应该按用户分页，不受多设备和过期会话影响', async () => {
+      addSessions(5, { devicesPerUser: 2, expired: 3 });
+
+      const page = await manager.getOnlineUsersPage({ limit: 2 });
+
+      expect(page.users.map(u => u.username)).toEqual(['user00', 'user01']);
+      expect(page.users[0].devices.length).toBe(2);
+      expect(page.total).toBe(5);
+      expect(page.total).toBe(await manager.getOnlineUserCount());
+      expect(page.hasMore).toBe(true);
+    });
+
+    it('应该支持游标分页并在最后一页返回 hasMore: false', async () => {
+      addSessions(5);
+
+      const seen = [];
+      let cursor = null;
+      let page;
+      do {
+        page = await manager.getOnlineUsersPage({ limit: 2, cursor });
+        seen.push(...page.users.map(u => u.username));
+        cursor = page.nextCursor;
+      } while (page.hasMore);
+
+      expect(seen).toEqual(['user00', 'user01', 'user02', 'user03', 'user04']);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it('getOnlineUsers 传入 limit/offset 时应该按用户分页', async () => {
+      addSessions(5, { devicesPerUser: 3 });
+
+      const users = await manager.getOnlineUsers({ limit: 2, offset: 2 });
+
+      expect(users.map(u => u.username)).toEqual(['user02', 'user03']);
+    });
+
+    it('没有分页函数时 getOnlineUsers 应该退回按会话分页，之后不再调用', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      addSessions(5);
+      const custom = new OnlineStatusManager(supabase, { pageFunction: 'missing_function' });
+
+      const first = await custom.getOnlineUsers({ limit: 2, offset: 0 });
+      const second = await custom.getOnlineUsers({ limit: 2, offset: 2 });
+
+      expect(first.map(u => u.username)).toEqual(['user00', 'user01']);
+      expect(second.map(u => u.username)).toEqual(['user02', 'user03']);
+      expect(supabase.rpc.mock.calls.filter(([name]) => name === 'missing_function')).toHaveLength(1);
+      custom.destroy();
+    });
+
+    it('getOnlineUserCount 应该在数据库中计数，不下载会话', async () => {
+      addSessions(4, { devicesPerUser: 2 });
+      const select = vi.spyOn(supabase, 'from');
+
+      expect(await manager.getOnlineUserCount()).toBe(4);
+      expect(supabase.rpc).toHaveBeenCalledWith('get_online_users_page', expect.objectContaining({ p_limit: 0 }));
+      expect(select).not.toHaveBeenCalled();
+    });
+
+    it('会话数超过 max-rows 时 getOnlineUserCount 应该与 getOnlineUsersPage 的 total 一致', async () => {
+      supabase = createMockSupabase({ maxRows: 5 });
+      const capped = new OnlineStatusManager(supabase);
+      addSessions(4, { devicesPerUser: 3 });
+      const { data } = await supabase.from('online_users').select('*');
+
+      const page = await capped.getOnlineUsersPage({ limit: 2 });
+      const count = await capped.getOnlineUserCount();
+
+      expect(data).toHaveLength(5);
+      expect(page.total).toBe(4);
+      expect(count).toBe(page.total);
+      capped.destroy();
+    });
+
+    it('没有分页函数时 getOnlineUserCount 应该退回按会话计数', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      addSessions(3, { devicesPerUser: 2 });
+      const custom = new OnlineStatusManager(supabase, { pageFunction: 'missing_function' });
+
+      expect(await custom.getOnlineUserCount()).toBe(6);
+      expect(await custom.getOnlineUserCount({ search: 'user01' })).toBe(2);
+      expect(supabase.rpc.mock.calls.filter(([name]) => name === 'missing_function')).toHaveLength(1);
+      custom.destroy();
+    });
+
+    it('getOnlineUsers 同时传入 orderBy 和 limit 时应该按该字段排序', async () => {
+      addSessions(5);
+
+      const users = await manager.getOnlineUsers({ orderBy: 'username', ascending: true, limit: 3, offset: 1 });
+      supabase._rows().push({ session_id: 'aaron-0', username: 'aaron', last_activity: new Date(Date.now() - 10000).toISOString() });
+      const withAaron = await manager.getOnlineUsers({ orderBy: 'username', ascending: true, limit: 2 });
+
+      expect(users.map(u => u.username)).toEqual(['user01', 'user02', 'user03']);
+      expect(withAaron.map(u => u.username)).toEqual(['aaron', 'user00']);
+      expect(supabase.rpc).not.toHaveBeenCalledWith('get_online_users_page', expect.anything());
+    });
+
+    it('exportOnlineUsers 应该按游标逐页导出快照', async () => {
+      addSessions(5, { devicesPerUser: 2 });
+      const pageSpy = vi.spyOn(manager, 'getOnlineUsersPage');
+
+      const text = await exportToString(manager.exportOnlineUsers({ format: 'ndjson', pageSize: 2 }));
+      const rows = text.trim().split('\n').map(line => JSON.parse(line));
+
+      expect(pageSpy).toHaveBeenCalledTimes(3);
+      expect(rows.map(row => row.username)).toEqual(['user00', 'user01', 'user02', 'user03', 'user04']);
+      expect(rows[0]).toMatchObject({ status: 'online', deviceCount: 2, deviceTypes: ['unknown', 'unknown'], rooms: [] });
+      expect(rows[0].lastActivity).toBe(new Date(Date.now()).toISOString());
+    });
+
+    it('没有分页函数时 exportOnlineUsers 应该按会话逐页导出，跨页的用户只导出一次', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      addSessions(4, { devicesPerUser: 3 });
+      const custom = new OnlineStatusManager(supabase, { pageFunction: 'missing_function' });
+
+      const text = await exportToString(custom.exportOnlineUsers({ format: 'ndjson', pageSize: 5 }));
+      const rows = text.trim().split('\n').map(line => JSON.parse(line));
+
+      expect(rows.map(row => row.username)).toEqual(['user00', 'user01', 'user02', 'user03']);
+      expect(rows.map(row => row.deviceCount)).toEqual([3, 3, 3, 3]);
+      custom.destroy();
+    });
+
+    it('exportOnlineUsers 导出 CSV 时应该带 BOM 和表头', async () => {
+      addSessions(1);
+
+      const text = await exportToString(manager.exportOnlineUsers({
+        headers: { username: '用户名' },
+        timezone: 'Asia/Shanghai'
+      }));
+      const [header, row] = text.split('\r\n');
+
+      expect(text.startsWith('\uFEFF')).toBe(true);
+      expect(header).toBe('\uFEFF用户名,userId,status,statusMessage,lastActivity,deviceCount,deviceTypes,rooms,metadata');
+      expect(row).toMatch(/^user00,,online,,\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2},1,unknown,,\{\}$/);
+      expect(() => manager.exportOnlineUsers({ format: 'xlsx' })).toThrow('无效的导出格式');
+    });
+
+    it('数据库函数出错时 getOnlineUsersPage 应该抛出错误', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const custom = new OnlineStatusManager(supabase, { pageFunction: 'missing_function' });
+
+      await expect(custom.getOnlineUsersPage()).rejects.toMatchObject({ message: expect.stringContaining('missing_function') });
+      custom.destroy();
+    });
+
+    it('presence 模式下应该在本地分页', async () => {
+      const viewer = new OnlineStatusManager(supabase, { transport: 'presence' });
+      const others = ['alice', 'bob', 'carol'].map(name => {
+        const m = new OnlineStatusManager(supabase, { transport: 'presence' });
+        return { m, name };
+      });
+      for (const { m, name } of others) {
+        await m.userLogin(name);
+        vi.advanceTimersByTime(1000);
+      }
+
+      const first = await viewer.getOnlineUsersPage({ limit: 2 });
+      const second = await viewer.getOnlineUsersPage({ limit: 2, cursor: first.nextCursor });
+
+      expect(first.users.map(u => u.username)).toEqual(['carol', 'bob']);
+      expect(first.total).toBe(3);
+      expect(second.users.map(u => u.username)).toEqual(['alice']);
+      expect(second.hasMore).toBe(false);
+      others.forEach(({ m }) => m.destroy());
+      viewer.destroy();
+    });
+  });
+
+  describe('多设备会话', () => {
+    let otherDevice;
+
+    beforeEach(() => {
+      otherDevice = new OnlineStatusManager(supabase, { deviceType: 'mobile' });
+    });
+
+    afterEach(() => {
+      otherDevice.destroy();
+    });
+
+    it('每个实例应该有独立的会话 ID', () => {
+      expect(manager.sessionId).toBeTruthy();
+      expect(otherDevice.sessionId).toBeTruthy();
+      expect(manager.sessionId).not.toBe(otherDevice.sessionId);
+    });
+
+    it('同一用户的每个设备应该写入独立的记录', async () => {
       await manager.userLogin('testuser');
-      updateSpy.mockClear(); // 清除登录时的调用
-      
-      // 快进 30 秒
-      vi.advanceTimersByTime(30000);
-      
-      expect(updateSpy).toHaveBeenCalledTimes(1);
-      expect(updateSpy).toHaveBeenCalledWith('testuser');
-      
-      // 再快进 30 秒
-      vi.advanceTimersByTime(30000);
-      
-      expect(updateSpy).toHaveBeenCalledTimes(2);
+      await otherDevice.userLogin('testuser');
+
+      const rows = supabase._rows().filter(row => row.username === 'testuser');
+      expect(rows.map(row => row.session_id).sort())
+        .toEqual([manager.sessionId, otherDevice.sessionId].sort());
     });
 
-    it('应该在停止心跳后不再更新', async () => {
-      const updateSpy = vi.spyOn(manager, 'updateStatus');
-      
+    it('一个设备登出不应影响其他设备', async () => {
       await manager.userLogin('testuser');
-      updateSpy.mockClear();
-      
-      manager.stopHeartbeat();
-      
+      await otherDevice.userLogin('testuser');
+
+      await manager.userLogout();
+
+      const rows = supabase._rows().filter(row => row.username === 'testuser');
+      expect(rows.length).toBe(1);
+      expect(rows[0].session_id).toBe(otherDevice.sessionId);
+    });
+
+    it('allSessions 应该移除该用户的所有会话', async () => {
+      await manager.userLogin('testuser');
+      await otherDevice.userLogin('testuser');
+
+      await manager.removeStatus('testuser', { allSessions: true });
+
+      expect(supabase._findRow('testuser')).toBeUndefined();
+    });
+
+    it('getOnlineUsers 应该按用户合并并返回设备列表', async () => {
+      await manager.userLogin('testuser');
+      await otherDevice.userLogin('testuser');
+
+      const users = await manager.getOnlineUsers();
+
+      expect(users.length).toBe(1);
+      expect(users[0].username).toBe('testuser');
+      expect(users[0].devices.map(d => d.deviceType)).toContain('mobile');
+      expect(users[0].devices.length).toBe(2);
+      expect(await manager.getOnlineUserCount()).toBe(1);
+    });
+
+    it('实时订阅只在第一个会话出现和最后一个会话消失时触发回调', () => {
+      const onUserJoin = vi.fn();
+      const onUserLeave = vi.fn();
+      const watcher = new OnlineStatusManager(supabase, { onUserJoin, onUserLeave });
+      watcher.startRealtimeSubscription();
+      const channel = supabase._channels[0];
+      const now = new Date().toISOString();
+
+      channel._emit('INSERT', { new: { session_id: 'a', username: 'alice', last_activity: now } });
+      channel._emit('INSERT', { new: { session_id: 'b', username: 'alice', last_activity: now } });
+      expect(onUserJoin).toHaveBeenCalledTimes(1);
+      expect(onUserJoin.mock.calls[0][0].username).toBe('alice');
+
+      channel._emit('DELETE', { old: { session_id: 'a', username: 'alice' } });
+      expect(onUserLeave).not.toHaveBeenCalled();
+
+      channel._emit('DELETE', { old: { session_id: 'b', username: 'alice' } });
+      expect(onUserLeave).toHaveBeenCalledWith({ username: 'alice', status: 'offline' });
+
+      watcher.destroy();
+    });
+  });
+
+  describe('Realtime Presence 传输', () => {
+    let teacher;
+    let student;
+
+    beforeEach(() => {
+      teacher = new OnlineStatusManager(supabase, { transport: 'presence' });
+      student = new OnlineStatusManager(supabase, { transport: 'presence', deviceType: 'mobile' });
+    });
+
+    afterEach(() => {
+      teacher.destroy();
+      student.destroy();
+    });
+
+    it('登录和心跳不应写数据库', async () => {
+      const fromSpy = vi.spyOn(supabase, 'from');
+
+      await student.userLogin('student');
+      vi.advanceTimersByTime(60000);
+
+      expect(fromSpy).not.toHaveBeenCalled();
+      expect(student.heartbeatTimer).toBeNull();
+    });
+
+    it('应该从 presence 状态获取在线用户', async () => {
+      await teacher.userLogin('teacher');
+      await student.userLogin('student');
+
+      const users = await teacher.getOnlineUsers({ search: 'stu' });
+
+      expect(users.length).toBe(1);
+      expect(users[0].username).toBe('student');
+      expect(users[0].devices[0].deviceType).toBe('mobile');
+      expect(await teacher.getOnlineUserCount()).toBe(2);
+    });
+
+    it('应该通过 presence join/leave 事件触发回调', async () => {
+      const onUserJoin = vi.fn();
+      const onUserLeave = vi.fn();
+      const watcher = new OnlineStatusManager(supabase, {
+        transport: 'presence',
+        onUserJoin,
+        onUserLeave
+      });
+      watcher.startRealtimeSubscription();
+      await watcher.getOnlineUsers(); // 等待首次同步
+
+      await student.userLogin('student');
+      expect(onUserJoin).toHaveBeenCalledTimes(1);
+      expect(onUserJoin.mock.calls[0][0].username).toBe('student');
+
+      // 重新 track 同一会话不应视为离线
+      await student.updateStatus('student');
+      expect(onUserLeave).not.toHaveBeenCalled();
+
+      await student.userLogout();
+      expect(onUserLeave).toHaveBeenCalledWith({ username: 'student', status: 'offline' });
+
+      watcher.destroy();
+    });
+
+    it('开启 persistPresence 时应该同时写表', async () => {
+      const persisting = new OnlineStatusManager(supabase, {
+        transport: 'presence',
+        persistPresence: true
+      });
+
+      await persisting.userLogin('student');
+
+      expect(supabase._findRow('student').session_id).toBe(persisting.sessionId);
+      expect(persisting.heartbeatTimer).not.toBeNull();
+
+      persisting.destroy();
+    });
+  });
+
+  describe('在线状态', () => {
+    it('应该拒绝无效的状态', async () => {
+      await expect(manager.setStatus('sleeping')).rejects.toThrow('无效的在线状态');
+    });
+
+    it('setStatus 应该立即写入状态和状态消息', async () => {
+      await manager.userLogin('testuser');
+
+      await manager.setStatus('busy', '开会中');
+
+      const row = supabase._findRow('testuser');
+      expect(row.status).toBe('busy');
+      expect(row.status_message).toBe('开会中');
+    });
+
+    it('getOnlineUsers 应该返回多设备合并后的状态', async () => {
+      const phone = new OnlineStatusManager(supabase);
+      await manager.userLogin('testuser');
+      await phone.userLogin('testuser');
+      await phone.setStatus('dnd');
+
+      const [user] = await manager.getOnlineUsers();
+
+      expect(user.status).toBe('dnd');
+      expect(user.devices.map(d => d.status).sort()).toEqual(['dnd', 'online']);
+      phone.destroy();
+    });
+
+    it('无输入超过 idleTimeout 应该自动切换为 away，恢复输入后切回 online', async () => {
+      const idleManager = new OnlineStatusManager(supabase, { idleTimeout: 60000 });
+      await idleManager.userLogin('testuser');
+
       vi.advanceTimersByTime(30000);
-      
-      expect(updateSpy).not.toHaveBeenCalled();
+      window.dispatchEvent(new Event('keydown'));
+      vi.advanceTimersByTime(45000);
+      expect(idleManager.status).toBe('online');
+
+      vi.advanceTimersByTime(15000);
+      expect(idleManager.status).toBe('away');
+
+      window.dispatchEvent(new Event('mousemove'));
+      expect(idleManager.status).toBe('online');
+
+      idleManager.destroy();
+    });
+
+    it('忙碌状态不应被自动切换为 away', async () => {
+      const idleManager = new OnlineStatusManager(supabase, { idleTimeout: 60000 });
+      await idleManager.userLogin('testuser');
+      await idleManager.setStatus('busy');
+
+      vi.advanceTimersByTime(120000);
+
+      expect(idleManager.status).toBe('busy');
+      idleManager.destroy();
+    });
+
+    it('实时订阅应该在其他用户状态变化时触发 onUserStatusChange', () => {
+      const onUserStatusChange = vi.fn();
+      const onUserJoin = vi.fn();
+      const watcher = new OnlineStatusManager(supabase, { onUserStatusChange, onUserJoin });
+      watcher.startRealtimeSubscription();
+      const channel = supabase._channels[0];
+      const row = { session_id: 'a', username: 'alice', status: 'online', last_activity: new Date().toISOString() };
+
+      channel._emit('INSERT', { new: row });
+      expect(onUserJoin.mock.calls[0][0].status).toBe('online');
+
+      // 纯心跳更新不触发
+      channel._emit('UPDATE', { new: { ...row, last_activity: new Date().toISOString() } });
+      expect(onUserStatusChange).not.toHaveBeenCalled();
+
+      channel._emit('UPDATE', { new: { ...row, status: 'away' } });
+      expect(onUserStatusChange).toHaveBeenCalledTimes(1);
+      expect(onUserStatusChange.mock.calls[0][0].status).toBe('away');
+      expect(onUserStatusChange.mock.calls[0][1]).toBe('online');
+
+      watcher.destroy();
     });
   });
 
-  describe('destroy', () => {
-    it('应该清理所有资源', async () => {
+  describe('自定义数据 metadata', () => {
+    it('登录时应该写入 metadata，getOnlineUsers 返回 user.metadata', async () => {
+      await manager.userLogin('testuser', { metadata: { page: '/home', classroom: 'A101' } });
+
+      expect(supabase._findRow('testuser').metadata).toEqual({ page: '/home', classroom: 'A101' });
+
+      const [user] = await manager.getOnlineUsers();
+      expect(user.metadata).toEqual({ page: '/home', classroom: 'A101' });
+    });
+
+    it('没有 metadata 的旧记录应该返回空对象', async () => {
+      supabase._rows().push({ session_id: 'legacy', username: 'bob', last_activity: new Date().toISOString() });
+
+      const [user] = await manager.getOnlineUsers();
+
+      expect(user.metadata).toEqual({});
+    });
+
+    it('应该拒绝非对象的 metadata', async () => {
+      await expect(manager.userLogin('testuser', { metadata: 'home' })).rejects.toThrow('metadata 必须是对象');
+      await expect(manager.setMetadata(['home'])).rejects.toThrow('metadata 必须是对象');
+    });
+
+    it('setMetadata 默认随下一次心跳写入', async () => {
+      await manager.userLogin('testuser', { metadata: { page: '/home', role: 'teacher' } });
+
+      await manager.setMetadata({ page: '/course/1', role: undefined });
+
+      expect(manager.metadata).toEqual({ page: '/course/1' });
+      expect(supabase._findRow('testuser').metadata).toEqual({ page: '/home', role: 'teacher' });
+
+      await vi.advanceTimersByTimeAsync(30000);
+
+      expect(supabase._findRow('testuser').metadata).toEqual({ page: '/course/1' });
+    });
+
+    it('setMetadata 传入 immediate 时应该立即写入', async () => {
       await manager.userLogin('testuser');
-      
-      manager.destroy();
-      
-      expect(manager.heartbeatTimer).toBeNull();
+
+      await manager.setMetadata({ page: '/course/1' }, { immediate: true });
+
+      expect(supabase._findRow('testuser').metadata).toEqual({ page: '/course/1' });
+    });
+
+    it('登出后应该清空 metadata', async () => {
+      await manager.userLogin('testuser', { metadata: { page: '/home' } });
+      await manager.userLogout();
+
+      expect(manager.metadata).toEqual({});
+    });
+
+    it('getOnlineUsers 和 getOnlineUserCount 应该支持按 metadata 的键过滤', async () => {
+      const other = new OnlineStatusManager(supabase);
+      await manager.userLogin('alice', { metadata: { classroom: 'A101', role: 'student' } });
+      await other.userLogin('bob', { metadata: { classroom: 'B202', role: 'student' } });
+
+      const users = await manager.getOnlineUsers({ filter: { metadata: { classroom: 'A101' } } });
+      expect(users.map(u => u.username)).toEqual(['alice']);
+
+      expect(await manager.getOnlineUserCount({ filter: { metadata: { role: 'student' } } })).toBe(2);
+      expect(await manager.getOnlineUserCount({ filter: { metadata: { classroom: 'C303' } } })).toBe(0);
+
+      const page = await manager.getOnlineUsersPage({ filter: { metadata: { classroom: 'B202' } } });
+      expect(page.users.map(u => u.username)).toEqual(['bob']);
+      other.destroy();
+    });
+
+    it('presence 模式下 setMetadata 应该立即广播并支持本地过滤', async () => {
+      const presenceManager = new OnlineStatusManager(supabase, { transport: 'presence' });
+      await presenceManager.userLogin('alice', { metadata: { classroom: 'A101' } });
+
+      await presenceManager.setMetadata({ classroom: 'B202' });
+
+      const users = await presenceManager.getOnlineUsers({ filter: { metadata: { classroom: 'B202' } } });
+      expect(users.map(u => u.username)).toEqual(['alice']);
+      expect(users[0].metadata).toEqual({ classroom: 'B202' });
+      presenceManager.destroy();
+    });
+
+    it('实时订阅中 metadata 变化应该触发 update', () => {
+      const onUserUpdate = vi.fn();
+      const watcher = new OnlineStatusManager(supabase, { onUserUpdate });
+      watcher.startRealtimeSubscription();
+      const channel = supabase._channels[0];
+      const row = { session_id: 'a', username: 'alice', metadata: { page: '/home' }, last_activity: new Date().toISOString() };
+
+      channel._emit('INSERT', { new: row });
+      channel._emit('UPDATE', { new: { ...row, metadata: { page: '/course/1' } } });
+
+      expect(onUserUpdate).toHaveBeenCalledTimes(1);
+      expect(onUserUpdate.mock.calls[0][1].metadata).toEqual({
+        previous: { page: '/home' },
+        current: { page: '/course/1' }
+      });
+      watcher.destroy();
     });
   });
+
+  describe('房间', () => {
+    it('joinRoom/leaveRoom 应该立即写入 rooms', async () => {
+      await manager.userLogin('testuser', { rooms: ['class-101'] });
+
+      await manager.joinRoom('class-102');
+      expect(supabase._findRow('testuser').rooms).toEqual(['class-101', 'class-102']);
+
+      await manager.leaveRoom('class-101');
+      expect(supabase._findRow('testuser').rooms).toEqual(['class-102']);
+      expect(manager.getRooms()).toEqual(['class-102']);
+    });
+
+    it('应该拒绝空的房间名，登出后清空房间', async () => {
+      await expect(manager.joinRoom('')).rejects.toThrow('房间名不能为空');
+
+      await manager.userLogin('testuser', { rooms: ['class-101'] });
+      await manager.userLogout();
+
+      expect(manager.getRooms()).toEqual([]);
+    });
+
+    it('getOnlineUsers 和 getOnlineUserCount 应该只返回房间中的会话', async () => {
+      const phone = new OnlineStatusManager(supabase);
+      const other = new OnlineStatusManager(supabase);
+      await manager.userLogin('alice', { rooms: ['class-101'] });
+      await phone.userLogin('alice');
+      await other.userLogin('bob', { rooms: ['class-102'] });
+
+      const users = await manager.getOnlineUsers({ room: 'class-101' });
+      expect(users.map(u => u.username)).toEqual(['alice']);
+      expect(users[0].devices.map(d => d.sessionId)).toEqual([manager.sessionId]);
+      expect(users[0].rooms).toEqual(['class-101']);
+
+      expect(await manager.getOnlineUserCount({ room: 'class-102' })).toBe(1);
+      expect(await manager.getOnlineUserCount({ room: 'class-103' })).toBe(0);
+      expect(await manager.getOnlineUserCount()).toBe(2);
+
+      const page = await manager.getOnlineUsersPage({ room: 'class-102' });
+      expect(page.users.map(u => u.username)).toEqual(['bob']);
+      expect(page.total).toBe(1);
+      phone.destroy();
+      other.destroy();
+    });
+
+    it('在线用户的 rooms 应该是所有设备所在房间的并集', async () => {
+      const phone = new OnlineStatusManager(supabase);
+      await manager.userLogin('alice', { rooms: ['class-102'] });
+      await phone.userLogin('alice', { rooms: ['class-101', 'class-102'] });
+
+      const [user] = await manager.getOnlineUsers();
+
+      expect(user.rooms).toEqual(['class-101', 'class-102']);
+      phone.destroy();
+    });
+
+    it('实时订阅应该按房间触发 roomJoin/roomLeave', () => {
+      const onRoomJoin = vi.fn();
+      const onRoomLeave = vi.fn();
+      const watcher = new OnlineStatusManager(supabase);
+      watcher.on('roomJoin', onRoomJoin);
+      watcher.on('roomLeave', onRoomLeave);
+      watcher.startRealtimeSubscription();
+      const channel = supabase._channels[0];
+      const row = { session_id: 'a', username: 'alice', rooms: ['class-101'], last_activity: new Date().toISOString() };
+
+      channel._emit('INSERT', { new: row });
+      expect(onRoomJoin).toHaveBeenCalledWith(expect.objectContaining({ username: 'alice' }), 'class-101');
+
+      channel._emit('UPDATE', { new: { ...row, rooms: ['class-102'] } });
+      expect(onRoomLeave).toHaveBeenLastCalledWith(expect.objectContaining({ username: 'alice' }), 'class-101');
+      expect(onRoomJoin).toHaveBeenLastCalledWith(expect.objectContaining({ username: 'alice' }), 'class-102');
+
+      // 纯心跳不触发
+      channel._emit('UPDATE', { new: { ...row, rooms: ['class-102'], last_activity: new Date().toISOString() } });
+      expect(onRoomJoin).toHaveBeenCalledTimes(2);
+
+      // 离线时离开所有房间
+      channel._emit('DELETE', { old: { ...row, rooms: ['class-102'] } });
+      expect(onRoomLeave).toHaveBeenLastCalledWith({ username: 'alice', status: 'offline' }, 'class-102');
+      expect(onRoomLeave).toHaveBeenCalledTimes(2);
+      watcher.destroy();
+    });
+
+    it('presence 模式下应该按房间在本地过滤', async () => {
+      const presenceManager = new OnlineStatusManager(supabase, { transport: 'presence' });
+      await presenceManager.userLogin('alice');
+      await presenceManager.joinRoom('class-101');
+
+      expect((await presenceManager.getOnlineUsers({ room: 'class-101' })).length).toBe(1);
+      expect(await presenceManager.getOnlineUserCount({ room: 'class-102' })).toBe(0);
+      presenceManager.destroy();
+    });
+  });
+
+  describe('多租户', () => {
+    let schoolA;
+    let schoolB;
+
+    beforeEach(() => {
+      schoolA = new OnlineStatusManager(supabase, { tenantId: 'school-a' });
+      schoolB = new OnlineStatusManager(supabase, { tenantId: 'school-b' });
+    });
+
+    afterEach(() => {
+      schoolA.destroy();
+      schoolB.destroy();
+    });
+
+    it('应该写入 tenant_id，读取时只返回本租户的会话', async () => {
+      await schoolA.userLogin('alice');
+      await schoolB.userLogin('bob');
+
+      expect(supabase._findRow('alice').tenant_id).toBe('school-a');
+      expect((await schoolA.getOnlineUsers()).map(u => u.username)).toEqual(['alice']);
+      expect(await schoolB.getOnlineUserCount()).toBe(1);
+      expect((await schoolB.getOnlineUsersPage()).users.map(u => u.username)).toEqual(['bob']);
+    });
+
+    it('tenant_id 是内置列，不应作为自定义字段出现在在线用户上', async () => {
+      await schoolA.userLogin('alice');
+      const joins = vi.fn();
+      schoolA.on('join', joins);
+      schoolA.startRealtimeSubscription();
+      const channel = supabase._channels[supabase._channels.length - 1];
+
+      const [user] = await schoolA.getOnlineUsers();
+      const page = await schoolA.getOnlineUsersPage();
+      channel._emit('INSERT', { new: { session_id: 'c', username: 'carol', tenant_id: 'school-a', last_activity: new Date().toISOString() } });
+
+      expect(user).not.toHaveProperty('tenant_id');
+      expect(page.users[0]).not.toHaveProperty('tenant_id');
+      expect(joins.mock.calls[0][0].username).toBe('carol');
+      expect(joins.mock.calls[0][0]).not.toHaveProperty('tenant_id');
+    });
+
+    it('未设置租户时不应写入 tenant_id', async () => {
+      await manager.userLogin('testuser');
+
+      expect(supabase._findRow('testuser')).not.toHaveProperty('tenant_id');
+    });
+
+    it('删除操作应该限定在本租户内', async () => {
+      const staleTime = new Date(Date.now() - 600000).toISOString();
+      supabase._rows().push(
+        { session_id: 'a-stale', username: 'carol', tenant_id: 'school-a', last_activity: staleTime },
+        { session_id: 'b-stale', username: 'carol', tenant_id: 'school-b', last_activity: staleTime }
+      );
+
+      await schoolA.getOnlineUsers();
+      await schoolB.removeStatus('carol', { allSessions: true });
+
+      expect(supabase._rows()).toEqual([]);
+
+      supabase._rows().push({ session_id: 'b-stale', username: 'carol', tenant_id: 'school-b', last_activity: staleTime });
+      await schoolA.removeStatus('carol', { allSessions: true });
+      expect(supabase._rows().length).toBe(1);
+    });
+
+    it('实时订阅应该按租户过滤，并能处理只带主键的 DELETE 事件', () => {
+      const onUserJoin = vi.fn();
+      const onUserLeave = vi.fn();
+      schoolA.on('join', onUserJoin);
+      schoolA.on('leave', onUserLeave);
+      schoolA.startRealtimeSubscription();
+      const channel = supabase._channels[0];
+      const now = new Date().toISOString();
+
+      channel._emit('INSERT', { new: { id: 1, session_id: 'x', username: 'alice', tenant_id: 'school-a', last_activity: now } });
+      channel._emit('INSERT', { new: { id: 2, session_id: 'y', username: 'bob', tenant_id: 'school-b', last_activity: now } });
+      expect(onUserJoin).toHaveBeenCalledTimes(1);
+
+      // 启用 RLS 时 DELETE 事件只有主键
+      channel._emit('DELETE', { old: { id: 2 } });
+      expect(onUserLeave).not.toHaveBeenCalled();
+      channel._emit('DELETE', { old: { id: 1 } });
+      expect(onUserLeave).toHaveBeenCalledWith({ username: 'alice', status: 'offline' });
+    });
+
+    it('实时订阅的 INSERT/UPDATE 应该带上租户过滤条件', () => {
+      const filters = [];
+      const originalChannel = supabase.channel;
+      supabase.channel = (name, options) => {
+        const channel = originalChannel(name, options);
+        const on = channel.on;
+        channel.on = (type, filter, callback) => {
+          filters.push(filter);
+          return on(type, filter, callback);
+        };
+        return channel;
+      };
+
+      schoolA.startRealtimeSubscription();
+
+      expect(filters.filter(f => f.event !== 'DELETE').every(f => f.filter === 'tenant_id=eq.school-a')).toBe(true);
+      expect(filters.find(f => f.event === 'DELETE').filter).toBeUndefined();
+    });
+
+    it('presence 频道应该按租户区分', () => {
+      const presenceManager = new OnlineStatusManager(supabase, { transport: 'presence', tenantId: 'school-a' });
+
+      expect(presenceManager.presenceChannel).toBe('presence:online_users:school-a');
+      expect(manager.presenceChannel).toBe('presence:online_users');
+      presenceManager.destroy();
+    });
+  });
+
+  describe('Supabase Auth 模式', () => {
+    const alice = { id: 'uid-alice', email: 'alice@example.com', user_metadata: { full_name: 'Alice' } };
+    const bob = { id: 'uid-bob', email: 'bob@example.com', user_metadata: {} };
+    let session;
+    let emitAuth;
+    let authManager;
+
+    const sessionOf = (user) => ({ access_token: `jwt-${user.id}`, user });
+
+    beforeEach(() => {
+      session = sessionOf(alice);
+      supabase.auth = {
+        getSession: vi.fn(async () => ({ data: { session }, error: null })),
+        onAuthStateChange: vi.fn((callback) => {
+          emitAuth = (event, next) => {
+            session = next;
+            callback(event, next);
+          };
+          return { data: { subscription: { unsubscribe: vi.fn() } } };
+        })
+      };
+    });
+
+    afterEach(() => {
+      if (authManager) authManager.destroy();
+      authManager = null;
+    });
+
+    it('应该从会话读取用户并按 user_id 记录，显示名保存在 metadata', async () => {
+      authManager = new OnlineStatusManager(supabase, { authMode: true });
+      await authManager.startAuthTracking();
+
+      expect(authManager.currentUsername).toBe('uid-alice');
+      const row = supabase._findRow('uid-alice');
+      expect(row.user_id).toBe('uid-alice');
+      expect(row.metadata).toEqual({ displayName: 'Alice' });
+
+      const [user] = await authManager.getOnlineUsers();
+      expect(user.userId).toBe('uid-alice');
+      expect(user.metadata.displayName).toBe('Alice');
+    });
+
+    it('SIGNED_IN / SIGNED_OUT 应该自动开始和停止追踪', async () => {
+      session = null;
+      authManager = new OnlineStatusManager(supabase, { authMode: true });
+      await authManager.startAuthTracking();
+      expect(authManager.currentUsername).toBeNull();
+
+      emitAuth('SIGNED_IN', sessionOf(bob));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(authManager.currentUsername).toBe('uid-bob');
+      expect(supabase._findRow('uid-bob').metadata.displayName).toBe('bob@example.com');
+      expect(authManager.heartbeatTimer).not.toBeNull();
+
+      emitAuth('SIGNED_OUT', null);
+      await vi.advanceTimersByTimeAsync(0);
+      expect(authManager.currentUsername).toBeNull();
+      expect(authManager.heartbeatTimer).toBeNull();
+      expect(supabase._findRow('uid-bob')).toBeUndefined();
+    });
+
+    it('切换用户时应该结束旧用户的会话', async () => {
+      authManager = new OnlineStatusManager(supabase, { authMode: true });
+      await authManager.startAuthTracking();
+
+      emitAuth('SIGNED_IN', sessionOf(bob));
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(supabase._findRow('uid-alice')).toBeUndefined();
+      expect(supabase._findRow('uid-bob')).toBeDefined();
+    });
+
+    it('TOKEN_REFRESHED 只更新令牌，USER_UPDATED 同步显示名', async () => {
+      authManager = new OnlineStatusManager(supabase, { authMode: true });
+      await authManager.startAuthTracking();
+      const loginSpy = vi.spyOn(authManager, 'updateStatus');
+
+      emitAuth('TOKEN_REFRESHED', { ...sessionOf(alice), access_token: 'jwt-new' });
+      await vi.advanceTimersByTimeAsync(0);
+      expect(authManager._accessToken).toBe('jwt-new');
+      expect(loginSpy).not.toHaveBeenCalled();
+
+      emitAuth('USER_UPDATED', sessionOf({ ...alice, user_metadata: { full_name: 'Alice Liddell' } }));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(supabase._findRow('uid-alice').metadata.displayName).toBe('Alice Liddell');
+    });
+
+    it('userLogin 不需要用户名，且不能追踪其他用户', async () => {
+      session = null;
+      authManager = new OnlineStatusManager(supabase, { authMode: true });
+      await expect(authManager.userLogin()).rejects.toThrow('未登录 Supabase Auth');
+
+      session = sessionOf(alice);
+      await expect(authManager.userLogin('someone-else')).rejects.toThrow('只能追踪当前登录的用户');
+      await authManager.userLogin(null, { metadata: { page: '/home' } });
+      expect(supabase._findRow('uid-alice').metadata).toEqual({ page: '/home', displayName: 'Alice' });
+    });
+
+    it('首次登录检测默认使用 profiles 表', async () => {
+      supabase._rows('profiles').push({ id: 'uid-alice', has_logged_in: false });
+      authManager = new OnlineStatusManager(supabase, { authMode: true, enableFirstLoginTracking: true });
+
+      expect(authManager.userTable).toBe('profiles');
+      expect(await authManager.userLogin()).toEqual({ isFirstLogin: true });
+      expect(supabase._rows('profiles')[0].has_logged_in).toBe(true);
+    });
+  });
+
+  describe('多标签页协调', () => {
+    // 同步投递的 BroadcastChannel，模拟同一浏览器中的多个标签页
+    class FakeBroadcastChannel {
+      static channels = new Set();
+
+      constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        FakeBroadcastChannel.channels.add(this);
+      }
+
+      postMessage(data) {
+        FakeBroadcastChannel.channels.forEach(channel => {
+          if (channel !== this && channel.name === this.name && channel.onmessage) {
+            channel.onmessage({ data: JSON.parse(JSON.stringify(data)) });
+          }
+        });
+      }
+
+      close() {
+        FakeBroadcastChannel.channels.delete(this);
+      }
+    }
+
+    let tabA;
+    let tabB;
+
+    beforeEach(async () => {
+      vi.stubGlobal('BroadcastChannel', FakeBroadcastChannel);
+      localStorage.clear();
+      tabA = new OnlineStatusManager(supabase, { crossTab: true });
+      tabB = new OnlineStatusManager(supabase, { crossTab: true });
+      await tabA.userLogin('alice');
+      await tabB.userLogin('alice');
+    });
+
+    afterEach(() => {
+      tabA.destroy();
+      tabB.destroy();
+      localStorage.clear();
+      vi.unstubAllGlobals();
+    });
+
+    it('同一浏览器的标签页应该共享一条会话，只有主标签页写心跳', async () => {
+      expect(supabase._rows().filter(row => row.username === 'alice')).toHaveLength(1);
+      expect(tabB.sessionId).toBe(tabA.sessionId);
+      expect(tabA.isLeaderTab()).toBe(true);
+      expect(tabB.isLeaderTab()).toBe(false);
+      expect(tabB.heartbeatTimer).toBeNull();
+
+      const leaderWrites = vi.spyOn(tabA, '_persistSession');
+      const followerWrites = vi.spyOn(tabB, '_persistSession');
+      await vi.advanceTimersByTimeAsync(30000);
+
+      expect(leaderWrites).toHaveBeenCalled();
+      expect(followerWrites).not.toHaveBeenCalled();
+    });
+
+    it('只有最后一个标签页结束时才通知插件会话结束', async () => {
+      const plugin = { onSessionEnd: vi.fn() };
+      tabA.use(plugin);
+      tabB.use(plugin);
+      const sharedSessionId = tabA.sessionId;
+
+      await tabB.userLogout();
+      expect(plugin.onSessionEnd).not.toHaveBeenCalled();
+
+      await tabA.userLogout();
+      expect(plugin.onSessionEnd).toHaveBeenCalledTimes(1);
+      expect(plugin.onSessionEnd).toHaveBeenCalledWith(expect.objectContaining({ sessionId: sharedSessionId }), 'logout');
+    });
+
+    it('主标签页在后台也应该继续心跳', async () => {
+      Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+      document.dispatchEvent(new Event('visibilitychange'));
+
+      expect(tabA.heartbeatTimer).not.toBeNull();
+      delete document.hidden;
+    });
+
+    it('主标签页应该合并各标签页的状态和房间', async () => {
+      await tabA.joinRoom('class-101');
+      await tabB.joinRoom('class-102');
+      tabA.isAutoAway = true;
+      await tabA.setStatus('away');
+      vi.advanceTimersByTime(1000);
+      await tabB.setMetadata({ page: '/course/2' }, { immediate: true });
+      await vi.advanceTimersByTimeAsync(0);
+
+      const row = supabase._findRow('alice');
+      expect(row.rooms).toEqual(['class-101', 'class-102']);
+      expect(row.status).toBe('online');
+      expect(row.metadata).toEqual({ page: '/course/2' });
+    });
+
+    it('主标签页关闭后其他标签页应该接管心跳', async () => {
+      tabA.destroy();
+
+      expect(tabB.isLeaderTab()).toBe(true);
+      expect(tabB.heartbeatTimer).not.toBeNull();
+    });
+
+    it('不是最后一个标签页时登出不应结束会话', async () => {
+      await tabA.userLogout();
+      expect(supabase._findRow('alice')).toBeDefined();
+
+      await tabB.userLogout();
+      expect(supabase._findRow('alice')).toBeUndefined();
+    });
+
+    it('所有标签页登出后再次登录应该使用新的会话和新的活动记录', async () => {
+      const stats = new ActivityStats(supabase, { autoCleanup: false });
+      const tab = new OnlineStatusManager(supabase, { crossTab: true, plugins: [stats] });
+
+      await tab.userLogin('bob');
+      const firstSessionId = tab.sessionId;
+      await tab.userLogout();
+      await tab.userLogin('bob');
+
+      expect(tab.sessionId).not.toBe(firstSessionId);
+      const logs = supabase._rows('user_activity_logs').filter(log => log.username === 'bob');
+      expect(logs).toHaveLength(2);
+      expect(logs[0]).toMatchObject({ session_id: firstSessionId, end_reason: 'logout' });
+      expect(logs[0].logout_time).not.toBeNull();
+      expect(logs[1].session_id).toBe(tab.sessionId);
+      tab.destroy();
+    });
+
+    it('崩溃后残留的共享会话 ID 超时后不再使用', async () => {
+      localStorage.setItem('online-tracker:online_users:carol:session', JSON.stringify({ id: 'crashed', updatedAt: Date.now() - 10 * 60000 }));
+      const tab = new OnlineStatusManager(supabase, { crossTab: true });
+
+      await tab.userLogin('carol');
+
+      expect(tab.sessionId).not.toBe('crashed');
+      tab.destroy();
+    });
+
+    it('关闭所有标签页时只有最后一个发送结束会话的请求', async () => {
+      const fetchMock = vi.fn(() => Promise.resolve({ ok: true }));
+      vi.stubGlobal('fetch', fetchMock);
+      const sharedSessionId = tabA.sessionId;
+
+      window.dispatchEvent(new Event('pagehide'));
+
+      const calls = fetchMock.mock.calls
+        .filter(([, init]) => JSON.parse(init.body).p_session_id === sharedSessionId);
+      expect(calls).toHaveLength(1);
+    });
+  });
+
+  describe('实时订阅 UPDATE 事件', () => {
+    let watcher;
+    let channel;
+    let callbacks;
+
+    beforeEach(() => {
+      callbacks = {
+        onUserJoin: vi.fn(),
+        onUserLeave: vi.fn(),
+        onUserUpdate: vi.fn(),
+        onUserStatusChange: vi.fn()
+      };
+      watcher = new OnlineStatusManager(supabase, callbacks);
+      watcher.startRealtimeSubscription();
+      channel = supabase._channels[0];
+    });
+
+    afterEach(() => {
+      watcher.destroy();
+    });
+
+    const freshRow = (extra = {}) => ({
+      session_id: 'a',
+      username: 'alice',
+      status: 'online',
+      last_activity: new Date().toISOString(),
+      ...extra
+    });
+
+    it('PresenceStore 按列名过滤时实时事件应该在会话上匹配', async () => {
+      const store = new PresenceStore(watcher, { query: { filter: { device_type: 'mobile' } } });
+      await store.start();
+      const listener = vi.fn();
+      store.subscribe(listener);
+      listener.mockClear();
+
+      channel._emit('INSERT', { new: freshRow({ device_type: 'mobile' }) });
+      channel._emit('INSERT', { new: freshRow({ session_id: 'a2', device_type: 'desktop' }) });
+      channel._emit('UPDATE', { new: freshRow({ device_type: 'mobile', status: 'busy' }) });
+      channel._emit('INSERT', { new: freshRow({ session_id: 'b', username: 'bob', device_type: 'desktop' }) });
+
+      expect(store.getSnapshot().map(u => u.username)).toEqual(['alice']);
+      expect(store.get('alice').status).toBe('busy');
+      expect(store.get('alice').devices.map(d => d.sessionId)).toEqual(['a']);
+      expect(listener.mock.calls.flatMap(([, diff]) => diff.removed)).toEqual([]);
+      store.destroy();
+    });
+
+    it('多设备的 metadata 不同时，心跳不应让 PresenceStore 报告变化', async () => {
+      const store = new PresenceStore(watcher);
+      await store.start();
+      const listener = vi.fn();
+      store.subscribe(listener);
+      listener.mockClear();
+
+      const phone = (extra = {}) => freshRow({ session_id: 'p', created_at: '2026-03-01T08:00:00Z', metadata: { page: '/chat' }, ...extra });
+      const laptop = (extra = {}) => freshRow({ session_id: 'l', created_at: '2026-03-01T09:00:00Z', metadata: { page: '/docs' }, ...extra });
+      channel._emit('INSERT', { new: phone() });
+      channel._emit('INSERT', { new: laptop() });
+      listener.mockClear();
+
+      for (let i = 0; i < 3; i++) {
+        vi.advanceTimersByTime(10000);
+        channel._emit('UPDATE', { new: laptop({ last_activity: new Date().toISOString() }) });
+        vi.advanceTimersByTime(10000);
+        channel._emit('UPDATE', { new: phone({ last_activity: new Date().toISOString() }) });
+      }
+
+      expect(store.get('alice').metadata).toEqual({ page: '/chat' });
+      expect(listener).not.toHaveBeenCalled();
+      store.destroy();
+    });
+
+    it('多设备的 metadata 不同时，只有心跳不应触发 onUserUpdate', () => {
+      const phone = (extra = {}) => freshRow({ session_id: 'p', created_at: '2026-03-01T08:00:00Z', metadata: { page: '/chat' }, ...extra });
+      const laptop = (extra = {}) => freshRow({ session_id: 'l', created_at: '2026-03-01T09:00:00Z', metadata: { page: '/docs' }, ...extra });
+      channel._emit('INSERT', { new: phone() });
+      channel._emit('INSERT', { new: laptop() });
+      callbacks.onUserUpdate.mockClear();
+
+      for (let i = 0; i < 3; i++) {
+        vi.advanceTimersByTime(10000);
+        channel._emit('UPDATE', { new: laptop({ last_activity: new Date().toISOString() }) });
+        vi.advanceTimersByTime(10000);
+        channel._emit('UPDATE', { new: phone({ last_activity: new Date().toISOString() }) });
+      }
+      expect(callbacks.onUserUpdate).not.toHaveBeenCalled();
+
+      // 非主设备的数据变化按设备比较
+      channel._emit('UPDATE', { new: laptop({ metadata: { page: '/quiz' } }) });
+      expect(callbacks.onUserUpdate).toHaveBeenCalledTimes(1);
+      const [user, changes] = callbacks.onUserUpdate.mock.calls[0];
+      expect(Object.keys(changes)).toEqual(['devices']);
+      expect(user.metadata).toEqual({ page: '/chat' });
+      expect(user.devices.find(d => d.sessionId === 'l').metadata).toEqual({ page: '/quiz' });
+    });
+
+    it('心跳更新不应触发任何回调', () => {
+      channel._emit('INSERT', { new: freshRow() });
+      vi.advanceTimersByTime(10000);
+      channel._emit('UPDATE', { new: freshRow() });
+
+      expect(callbacks.onUserJoin).toHaveBeenCalledTimes(1);
+      expect(callbacks.onUserUpdate).not.toHaveBeenCalled();
+    });
+
+    it('过期会话恢复心跳时应该触发上线', () => {
+      channel._emit('INSERT', { new: freshRow() });
+
+      // 超过 inactiveTimeout 没有心跳，本地过期检查触发离线
+      vi.advanceTimersByTime(330000);
+      expect(callbacks.onUserLeave).toHaveBeenCalledWith({ username: 'alice', status: 'offline' });
+
+      channel._emit('UPDATE', { new: freshRow() });
+      expect(callbacks.onUserJoin).toHaveBeenCalledTimes(2);
+    });
+
+    it('未知会话的 UPDATE（清理前恢复的用户）应该触发上线', () => {
+      channel._emit('UPDATE', { new: freshRow() });
+
+      expect(callbacks.onUserJoin).toHaveBeenCalledTimes(1);
+      expect(callbacks.onUserJoin.mock.calls[0][0].username).toBe('alice');
+    });
+
+    it('自定义字段变化应该触发 onUserUpdate', () => {
+      channel._emit('INSERT', { new: freshRow({ current_page: '/home' }) });
+      channel._emit('UPDATE', { new: freshRow({ current_page: '/course/1' }) });
+
+      expect(callbacks.onUserUpdate).toHaveBeenCalledTimes(1);
+      const [user, changes] = callbacks.onUserUpdate.mock.calls[0];
+      expect(user.current_page).toBe('/course/1');
+      expect(changes).toEqual({ current_page: { previous: '/home', current: '/course/1' } });
+      expect(callbacks.onUserStatusChange).not.toHaveBeenCalled();
+    });
+
+    it('状态变化应该同时触发 onUserStatusChange 和 onUserUpdate', () => {
+      channel._emit('INSERT', { new: freshRow() });
+      channel._emit('UPDATE', { new: freshRow({ status: 'busy' }) });
+
+      expect(callbacks.onUserStatusChange).toHaveBeenCalledTimes(1);
+      expect(callbacks.onUserUpdate.mock.calls[0][1].status)
+        .toEqual({ previous: 'online', current: 'busy' });
+    });
+
+    it('新增设备应该作为设备变化触发 onUserUpdate', () => {
+      channel._emit('INSERT', { new: freshRow() });
+      channel._emit('INSERT', { new: freshRow({ session_id: 'b', device_type: 'mobile' }) });
+
+      expect(callbacks.onUserJoin).toHaveBeenCalledTimes(1);
+      expect(callbacks.onUserUpdate.mock.calls[0][1]).toHaveProperty('devices');
+    });
+  });
+
+  describe('事件', () => {
+    it('同一事件应该支持多个监听，并可以取消监听', () => {
+      const first = vi.fn();
+      const second = vi.fn();
+      const unsubscribe = manager.on('join', first);
+      manager.on('join', second);
+      manager.startRealtimeSubscription();
+      const channel = supabase._channels[0];
+
+      channel._emit('INSERT', { new: { session_id: 'a', username: 'alice', last_activity: new Date().toISOString() } });
+      expect(first).toHaveBeenCalledTimes(1);
+      expect(second).toHaveBeenCalledTimes(1);
+
+      unsubscribe();
+      channel._emit('INSERT', { new: { session_id: 'b', username: 'bob', last_activity: new Date().toISOString() } });
+      expect(first).toHaveBeenCalledTimes(1);
+      expect(second).toHaveBeenCalledTimes(2);
+    });
+
+    it('once 只触发一次，off 可以用原函数移除', () => {
+      const listener = vi.fn();
+      manager.once('timeLimit', listener);
+      manager.emit('timeLimit');
+      manager.emit('timeLimit');
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      manager.once('timeLimit', listener);
+      manager.off('timeLimit', listener);
+      manager.emit('timeLimit');
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('构造参数中的回调应该和 on 注册的监听一起触发', async () => {
+      const onError = vi.fn();
+      const listener = vi.fn();
+      const watcher = new OnlineStatusManager(supabase, { onError, maxRetries: 1 });
+      watcher.on('error', listener);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(watcher, 'updateStatus').mockRejectedValue(new Error('网络错误'));
+
+      const login = expect(watcher.userLogin('alice')).rejects.toThrow('网络错误');
+      await vi.advanceTimersByTimeAsync(1000);
+      await login;
+
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), '更新在线状态');
+      expect(listener).toHaveBeenCalledWith(expect.any(Error), '更新在线状态');
+      watcher.destroy();
+    });
+
+    it('监听函数出错不应影响其他监听', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const listener = vi.fn();
+      manager.on('timeLimit', () => { throw new Error('boom'); });
+      manager.on('timeLimit', listener);
+
+      manager.emit('timeLimit');
+
+      expect(listener).toHaveBeenCalled();
+    });
+
+    it('心跳成功后应该触发 heartbeat，登录后注册的 timeWarning 也应触发', async () => {
+      const watcher = new OnlineStatusManager(supabase, { maxOnlineTime: 120000, warningTime: 60000 });
+      const onHeartbeat = vi.fn();
+      const onWarning = vi.fn();
+      watcher.on('heartbeat', onHeartbeat);
+
+      await watcher.userLogin('alice');
+      watcher.on('timeWarning', onWarning);
+      await vi.advanceTimersByTimeAsync(60000);
+
+      expect(onHeartbeat).toHaveBeenCalledTimes(2);
+      expect(onHeartbeat.mock.calls[0][0]).toMatchObject({ username: 'alice', sessionId: watcher.sessionId });
+      expect(onWarning).toHaveBeenCalledWith(60000);
+      watcher.destroy();
+    });
+  });
+
+  describe('心跳机制', () => {
+    it('应该定期更新在线状态', async () => {
+      const updateSpy = vi.spyOn(manager, 'updateStatus');
+      
+      await manager.userLogin('testuser');
+      updateSpy.mockClear(); // 清除登录时的调用
+      
+      // 快进 30 秒
+      vi.advanceTimersByTime(30000);
+      
+      expect(updateSpy).toHaveBeenCalledTimes(1);
+      expect(updateSpy).toHaveBeenCalledWith('testuser');
+      
+      // 再快进 30 秒
+      vi.advanceTimersByTime(30000);
+      
+      expect(updateSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('应该在停止心跳后不再更新', async () => {
+      const updateSpy = vi.spyOn(manager, 'updateStatus');
+      
+      await manager.userLogin('testuser');
+      updateSpy.mockClear();
+      
+      manager.stopHeartbeat();
+      
+      vi.advanceTimersByTime(30000);
+      
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    describe('页面隐藏时的心跳策略', () => {
+      let policyManager;
+
+      const setHidden = (hidden) => {
+        Object.defineProperty(document, 'hidden', { value: hidden, configurable: true });
+        document.dispatchEvent(new Event('visibilitychange'));
+      };
+
+      const loginWith = async (options) => {
+        policyManager = new OnlineStatusManager(supabase, options);
+        await policyManager.userLogin('alice');
+        return vi.spyOn(policyManager, 'updateStatus');
+      };
+
+      afterEach(() => {
+        policyManager.destroy();
+        delete document.hidden;
+      });
+
+      it('默认在后台照常心跳', async () => {
+        const updateSpy = await loginWith({});
+        setHidden(true);
+
+        vi.advanceTimersByTime(30000);
+        expect(updateSpy).toHaveBeenCalledTimes(1);
+      });
+
+      it('slow 策略应该按倍数放慢心跳', async () => {
+        const updateSpy = await loginWith({ hiddenPolicy: 'slow', hiddenSlowdown: 4 });
+        setHidden(true);
+
+        vi.advanceTimersByTime(60000);
+        expect(updateSpy).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(60000);
+        expect(updateSpy).toHaveBeenCalledTimes(1);
+      });
+
+      it('slow 策略放慢后的间隔不应超过 inactiveTimeout 的一半', async () => {
+        await loginWith({ hiddenPolicy: 'slow', hiddenSlowdown: 100 });
+        setHidden(true);
+
+        expect(policyManager._heartbeatDelay).toBe(150000);
+      });
+
+      it('away 策略应该切换为离开，回到页面后切回在线', async () => {
+        await loginWith({ hiddenPolicy: 'away' });
+
+        setHidden(true);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(supabase._findRow('alice').status).toBe('away');
+        expect(policyManager.heartbeatTimer).not.toBeNull();
+
+        setHidden(false);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(supabase._findRow('alice').status).toBe('online');
+      });
+
+      it('away 策略不应覆盖忙碌/勿扰', async () => {
+        await loginWith({ hiddenPolicy: 'away' });
+        await policyManager.setStatus('busy');
+
+        setHidden(true);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(supabase._findRow('alice').status).toBe('busy');
+      });
+
+      it('stop 策略应该停止心跳，回到页面时立即心跳', async () => {
+        const updateSpy = await loginWith({ hiddenPolicy: 'stop' });
+
+        setHidden(true);
+        expect(policyManager.heartbeatTimer).toBeNull();
+
+        setHidden(false);
+        expect(updateSpy).toHaveBeenCalledTimes(1);
+        expect(policyManager.heartbeatTimer).not.toBeNull();
+      });
+
+      it('定时器被限流时应该触发 heartbeatThrottle', async () => {
+        await loginWith({});
+        const onThrottle = vi.fn();
+        policyManager.on('heartbeatThrottle', onThrottle);
+
+        // 模拟后台标签页的定时器被推迟了 60 秒
+        vi.setSystemTime(Date.now() + 60000);
+        vi.advanceTimersByTime(30000);
+
+        expect(onThrottle).toHaveBeenCalledWith({ expectedInterval: 30000, actualInterval: 90000, hidden: false });
+      });
+    });
+  });
+
+  describe('网络状态', () => {
+    let netManager;
+    let states;
+
+    const setOnline = (online) => {
+      Object.defineProperty(navigator, 'onLine', { value: online, configurable: true });
+      window.dispatchEvent(new Event(online ? 'online' : 'offline'));
+    };
+
+    // 让在线表的写入失败
+    const failWrites = () => {
+      const from = supabase.from;
+      supabase.from = vi.fn((table) => ({ ...from(table), upsert: async () => ({ error: new Error('网络错误') }) }));
+      return () => { supabase.from = from; };
+    };
+
+    beforeEach(() => {
+      netManager = new OnlineStatusManager(supabase, { retryDelay: 1 });
+      states = [];
+      netManager.on('connectionChange', (state, previousState) => states.push(`${previousState}->${state}`));
+    });
+
+    afterEach(() => {
+      netManager.destroy();
+      delete navigator.onLine;
+    });
+
+    it('登录后为 connected，登出后为 stopped', async () => {
+      expect(netManager.connectionState).toBe('stopped');
+
+      await netManager.userLogin('alice');
+      expect(netManager.connectionState).toBe('connected');
+
+      await netManager.userLogout();
+      expect(states).toEqual(['stopped->connected', 'connected->stopped']);
+    });
+
+    it('心跳失败时为 degraded，连续失败也不停止心跳，恢复后回到 connected', async () => {
+      await netManager.userLogin('alice');
+      const onError = vi.fn();
+      netManager.on('error', onError);
+      const restore = failWrites();
+
+      await vi.advanceTimersByTimeAsync(30000 * 6);
+      expect(netManager.connectionState).toBe('degraded');
+      expect(netManager.heartbeatTimer).not.toBeNull();
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: '心跳连续失败' }), '心跳');
+      expect(onError.mock.calls.filter(([error]) => error.message === '心跳连续失败')).toHaveLength(1);
+
+      restore();
+      await vi.advanceTimersByTimeAsync(30000);
+      expect(netManager.connectionState).toBe('connected');
+    });
+
+    it('离线时暂停心跳，恢复联网后立即心跳', async () => {
+      await netManager.userLogin('alice');
+      const updateSpy = vi.spyOn(netManager, 'updateStatus');
+
+      setOnline(false);
+      expect(netManager.connectionState).toBe('offline');
+      expect(netManager.heartbeatTimer).toBeNull();
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(updateSpy).not.toHaveBeenCalled();
+
+      setOnline(true);
+      await vi.advanceTimersByTimeAsync(0);
+      expect(updateSpy).toHaveBeenCalledTimes(1);
+      expect(netManager.connectionState).toBe('connected');
+      expect(netManager.heartbeatTimer).not.toBeNull();
+      expect(states).toEqual(['stopped->connected', 'connected->offline', 'offline->connected']);
+    });
+
+    it('离线时不应重试', async () => {
+      const retrying = new OnlineStatusManager(supabase, { maxRetries: 3 });
+      Object.defineProperty(navigator, 'onLine', { value: false, configurable: true });
+      const fn = vi.fn(async () => { throw new Error('Failed to fetch'); });
+
+      await expect(retrying._retryOperation(fn, '测试')).rejects.toThrow('Failed to fetch');
+      expect(fn).toHaveBeenCalledTimes(1);
+      retrying.destroy();
+    });
+  });
+
+  describe('插件', () => {
+    const createPlugin = () => ({
+      install: vi.fn(),
+      onSessionStart: vi.fn(),
+      onSessionEnd: vi.fn(),
+      destroy: vi.fn()
+    });
+
+    it('应该在注册时调用 install，登录时调用 onSessionStart', async () => {
+      const plugin = createPlugin();
+      const watcher = new OnlineStatusManager(supabase, { plugins: [plugin], deviceType: 'desktop' });
+      expect(plugin.install).toHaveBeenCalledWith(watcher);
+
+      await watcher.userLogin('alice');
+
+      expect(plugin.onSessionStart).toHaveBeenCalledWith(expect.objectContaining({
+        username: 'alice',
+        sessionId: watcher.sessionId,
+        deviceType: 'desktop'
+      }));
+      watcher.destroy();
+    });
+
+    it('每种结束方式都应该调用 onSessionEnd 并带上原因', async () => {
+      const plugin = createPlugin();
+      manager.use(plugin);
+
+      await manager.userLogin('alice');
+      await manager.userLogout();
+      expect(plugin.onSessionEnd).toHaveBeenLastCalledWith(expect.objectContaining({ username: 'alice' }), 'logout');
+
+      const limited = new OnlineStatusManager(supabase, { plugins: [plugin], maxOnlineTime: 60000 });
+      await limited.userLogin('bob');
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(plugin.onSessionEnd).toHaveBeenLastCalledWith(expect.objectContaining({ username: 'bob' }), 'timeLimit');
+      expect(limited.currentUsername).toBeNull();
+
+      const destroyed = new OnlineStatusManager(supabase, { plugins: [plugin] });
+      await destroyed.userLogin('carol');
+      destroyed.destroy();
+      expect(plugin.onSessionEnd).toHaveBeenLastCalledWith(expect.objectContaining({ username: 'carol' }), 'destroy');
+      expect(plugin.destroy).toHaveBeenCalled();
+      limited.destroy();
+    });
+
+    it('页面卸载时应该同步调用 onSessionEnd', async () => {
+      const plugin = createPlugin();
+      manager.use(plugin);
+      await manager.userLogin('alice');
+
+      window.dispatchEvent(new Event('pagehide'));
+
+      expect(plugin.onSessionEnd).toHaveBeenCalledWith(expect.objectContaining({ username: 'alice' }), 'unload');
+
+      // 从往返缓存恢复时重新开始会话
+      const pageshow = new Event('pageshow');
+      pageshow.persisted = true;
+      window.dispatchEvent(pageshow);
+      await vi.advanceTimersByTimeAsync(0);
+      expect(plugin.onSessionStart).toHaveBeenCalledTimes(2);
+    });
+
+    it('插件出错时应该触发 error 事件，不影响登录', async () => {
+      const onError = vi.fn();
+      manager.on('error', onError);
+      manager.use({ onSessionStart: () => { throw new Error('boom'); } });
+
+      await expect(manager.userLogin('alice')).resolves.toEqual({ isFirstLogin: false });
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), '插件 onSessionStart');
+      expect(supabase._findRow('alice')).toBeDefined();
+    });
+
+    it('use 应该返回移除插件的函数', async () => {
+      const plugin = createPlugin();
+      const remove = manager.use(plugin);
+      remove();
+
+      await manager.userLogin('alice');
+
+      expect(plugin.onSessionStart).not.toHaveBeenCalled();
+      expect(() => manager.use(null)).toThrow('插件必须是对象');
+    });
+
+    describe('ActivityStats', () => {
+      let stats;
+      let fetchMock;
+
+      beforeEach(() => {
+        stats = new ActivityStats(supabase, { autoCleanup: false });
+        fetchMock = vi.fn(() => Promise.resolve({ ok: true }));
+        vi.stubGlobal('fetch', fetchMock);
+      });
+
+      afterEach(() => {
+        vi.unstubAllGlobals();
+      });
+
+      it('登录和登出应该按会话记录活动日志', async () => {
+        manager.use(stats);
+        await manager.userLogin('alice');
+
+        const [log] = supabase._rows('user_activity_logs');
+        expect(log).toMatchObject({ username: 'alice', session_id: manager.sessionId });
+        expect(log.logout_time).toBeUndefined();
+
+        await vi.advanceTimersByTimeAsync(90000);
+        await manager.userLogout();
+
+        expect(log.logout_time).toBeDefined();
+        expect(log.duration).toBe(90);
+      });
+
+      it('首次登录应该标记在活动日志上', async () => {
+        const tracked = new OnlineStatusManager(supabase, { plugins: [stats], enableFirstLoginTracking: true });
+        supabase._rows('users').push({ username: 'alice', has_logged_in: false });
+
+        await tracked.userLogin('alice');
+
+        expect(supabase._rows('user_activity_logs')[0].first_login).toBe(true);
+        tracked.destroy();
+      });
+
+      it('同一会话重复开始时不应重复记录', async () => {
+        manager.use(stats);
+        await manager.userLogin('alice');
+        await stats.onSessionStart({ username: 'alice', sessionId: manager.sessionId, deviceType: 'desktop' });
+
+        expect(supabase._rows('user_activity_logs')).toHaveLength(1);
+      });
+
+      it('时长限制自动登出时应该结束记录', async () => {
+        const limited = new OnlineStatusManager(supabase, { plugins: [stats], maxOnlineTime: 60000 });
+        await limited.userLogin('alice');
+
+        await vi.advanceTimersByTimeAsync(60000);
+
+        expect(supabase._rows('user_activity_logs')[0].duration).toBe(60);
+        limited.destroy();
+      });
+
+      it('页面卸载时应该通过 keepalive 请求结束记录', async () => {
+        manager.use(stats);
+        await manager.userLogin('alice');
+
+        window.dispatchEvent(new Event('pagehide'));
+
+        const urls = fetchMock.mock.calls
+          .filter(([, init]) => JSON.parse(init.body).p_session_id === manager.sessionId)
+          .map(([url]) => url);
+        expect(urls).toContain('https://test.supabase.co/rest/v1/rpc/end_activity_session');
+        expect(urls).toContain('https://test.supabase.co/rest/v1/rpc/end_online_session');
+      });
+    });
+  });
+
+  describe('页面卸载', () => {
+    let fetchMock;
+
+    // 其他用例中未销毁的实例也监听了 window，只取指定会话发出的请求
+    const callsFor = (sessionId) => fetchMock.mock.calls
+      .filter(([, init]) => JSON.parse(init.body).p_session_id === sessionId);
+
+    beforeEach(() => {
+      fetchMock = vi.fn(() => Promise.resolve({ ok: true }));
+      vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('pagehide 时应该用 keepalive fetch 调用 RPC 结束当前会话', async () => {
+      await manager.userLogin('alice');
+
+      window.dispatchEvent(new Event('pagehide'));
+
+      expect(callsFor(manager.sessionId).length).toBe(1);
+      const [url, init] = callsFor(manager.sessionId)[0];
+      expect(url).toBe('https://test.supabase.co/rest/v1/rpc/end_online_session');
+      expect(init.method).toBe('POST');
+      expect(init.keepalive).toBe(true);
+      expect(JSON.parse(init.body)).toEqual({ p_session_id: manager.sessionId });
+      expect(init.headers.apikey).toBe('test-key');
+      expect(manager.heartbeatTimer).toBeNull();
+    });
+
+    it('pagehide 和 beforeunload 都触发时只发送一次', async () => {
+      await manager.userLogin('alice');
+
+      window.dispatchEvent(new Event('pagehide'));
+      window.dispatchEvent(new Event('beforeunload'));
+
+      expect(callsFor(manager.sessionId).length).toBe(1);
+    });
+
+    it('使用 Supabase Auth 时应该携带用户 JWT', async () => {
+      supabase.auth = {
+        getSession: vi.fn(async () => ({ data: { session: { access_token: 'user-jwt' } } })),
+        onAuthStateChange: vi.fn(() => ({ data: { subscription: { unsubscribe: vi.fn() } } }))
+      };
+      const watcher = new OnlineStatusManager(supabase);
+      await watcher.userLogin('alice');
+      await vi.advanceTimersByTimeAsync(0);
+
+      window.dispatchEvent(new Event('beforeunload'));
+
+      const [, init] = callsFor(watcher.sessionId)[0];
+      expect(init.headers.Authorization).toBe('Bearer user-jwt');
+      watcher.destroy();
+    });
+
+    it('fetch 不可用时应该退回 sendBeacon', async () => {
+      vi.stubGlobal('fetch', undefined);
+      const sendBeacon = vi.fn(() => true);
+      Object.defineProperty(navigator, 'sendBeacon', { value: sendBeacon, configurable: true });
+      await manager.userLogin('alice');
+
+      window.dispatchEvent(new Event('pagehide'));
+
+      expect(sendBeacon).toHaveBeenCalled();
+      expect(sendBeacon.mock.calls[0][0])
+        .toBe('https://test.supabase.co/rest/v1/rpc/end_online_session?apikey=test-key');
+      // 表单编码是 CORS 安全的 Content-Type
+      const body = sendBeacon.mock.calls[0][1];
+      expect(body).toBeInstanceOf(URLSearchParams);
+      expect(body.get('p_session_id')).toBe(manager.sessionId);
+      delete navigator.sendBeacon;
+    });
+
+    it('sendBeacon 抛出错误时应该返回 false，不影响页面卸载', async () => {
+      vi.stubGlobal('fetch', undefined);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      Object.defineProperty(navigator, 'sendBeacon', {
+        value: vi.fn(() => { throw new TypeError('sendBeacon() with a Blob whose type is not CORS-safelisted'); }),
+        configurable: true
+      });
+      await manager.userLogin('alice');
+
+      expect(manager.sendUnloadRpc('end_online_session', { p_session_id: manager.sessionId })).toBe(false);
+      expect(() => window.dispatchEvent(new Event('pagehide'))).not.toThrow();
+      delete navigator.sendBeacon;
+    });
+
+    it('从往返缓存恢复时应该重新上线', async () => {
+      await manager.userLogin('alice');
+      window.dispatchEvent(new Event('pagehide'));
+      supabase._rows().length = 0; // 模拟 RPC 已删除会话
+
+      const pageshow = new Event('pageshow');
+      pageshow.persisted = true;
+      window.dispatchEvent(pageshow);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(supabase._findRow('alice')).toBeDefined();
+      expect(manager.heartbeatTimer).not.toBeNull();
+    });
+
+    it('登出后卸载页面不应发送请求', async () => {
+      await manager.userLogin('alice');
+      await manager.userLogout();
+
+      window.dispatchEvent(new Event('pagehide'));
+
+      expect(callsFor(manager.sessionId).length).toBe(0);
+    });
+  });
+
+  describe('destroy', () => {
+    it('应该清理所有资源', async () => {
+      await manager.userLogin('testuser');
+      
+      manager.destroy();
+      
+      expect(manager.heartbeatTimer).toBeNull();
+    });
+  });
+});
+
+describe('ActivityStats', () => {
+  let supabase;
+  let stats;
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+  // 上海时间（UTC+8，没有夏令时）'YYYY-MM-DD HH:mm:ss'
+  const shanghai = (minutes) => new Date(Date.now() - minutes * 60000 + 8 * 3600000).toISOString().slice(0, 19).replace('T', ' ');
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-02T12:00:00'));
+    supabase = createMockSupabase();
+    stats = new ActivityStats(supabase, { autoCleanup: false });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('getUserStats', () => {
+    it('应该按心跳还原没有登出的会话，并标明估算', async () => {
+      supabase._rows('user_activity_logs').push(
+        // 正常登出
+        { id: 1, username: 'alice', login_time: minutesAgo(120), logout_time: minutesAgo(90), duration: 1800, last_activity: minutesAgo(90) },
+        // 关闭浏览器，定时任务还没处理：以最后一次心跳结束
+        { id: 2, username: 'alice', login_time: minutesAgo(80), logout_time: null, duration: null, last_activity: minutesAgo(60) },
+        // 进行中：计算到现在
+        { id: 3, username: 'alice', login_time: minutesAgo(10), logout_time: null, duration: null, last_activity: minutesAgo(1) }
+      );
+
+      const result = await stats.getUserStats('alice');
+
+      expect(result.loginCount).toBe(3);
+      expect(result.totalOnlineTime).toBe(1800 + 1200 + 600);
+      expect(result.estimatedOnlineTime).toBe(1200 + 600);
+      expect(result.averageSessionTime).toBe(1500);
+      expect(result.exact).toBe(false);
+
+      const [ongoing, orphaned, finished] = result.sessions;
+      expect(ongoing).toMatchObject({ ongoing: true, exact: false, duration: 600, endTime: Date.now() });
+      expect(orphaned).toMatchObject({ ongoing: false, exact: false, duration: 1200, logoutTime: null });
+      expect(finished).toMatchObject({ ongoing: false, exact: true, duration: 1800 });
+    });
+
+    it('定时任务按心跳关闭的会话应该标为估算', async () => {
+      supabase._rows('user_activity_logs').push(
+        { id: 1, username: 'alice', login_time: minutesAgo(60), logout_time: minutesAgo(30), duration: 1800, end_reason: 'timeout' }
+      );
+
+      const result = await stats.getUserStats('alice');
+
+      expect(result.totalOnlineTime).toBe(1800);
+      expect(result.sessions[0].exact).toBe(false);
+      expect(result.exact).toBe(false);
+    });
+
+    it('全部正常登出时应该是精确的', async () => {
+      supabase._rows('user_activity_logs').push(
+        { id: 1, username: 'alice', login_time: minutesAgo(60), logout_time: minutesAgo(30), duration: 1800, end_reason: 'unload' }
+      );
+
+      const result = await stats.getUserStats('alice');
+
+      expect(result.exact).toBe(true);
+      expect(result.estimatedOnlineTime).toBe(0);
+    });
+  });
+
+  describe('数据库汇总', () => {
+    it('getUserStats 应该使用 activity_user_summary 的汇总', async () => {
+      supabase.rpc.mockResolvedValueOnce({
+        data: {
+          login_count: 250,
+          total_online_time: 90000,
+          estimated_online_time: 1200,
+          average_session_time: 360,
+          last_login: minutesAgo(10),
+          exact: false,
+          sessions: [{ id: 9, username: 'alice', login_time: minutesAgo(10), logout_time: null, duration: null, last_activity: minutesAgo(1) }]
+        },
+        error: null
+      });
+
+      const result = await stats.getUserStats('alice', { period: 'month', sessionLimit: 1 });
+
+      expect(supabase.rpc.mock.calls[0][0]).toBe('activity_user_summary');
+      expect(supabase.rpc.mock.calls[0][1]).toMatchObject({ p_username: 'alice', p_session_limit: 1, p_tenant_id: null });
+      expect(result).toMatchObject({
+        username: 'alice',
+        period: 'month',
+        loginCount: 250,
+        totalOnlineTime: 90000,
+        estimatedOnlineTime: 1200,
+        averageSessionTime: 360,
+        lastLogin: Date.now() - 10 * 60000,
+        exact: false
+      });
+      expect(result.sessions).toHaveLength(1);
+      expect(result.sessions[0]).toMatchObject({ ongoing: true, duration: 600 });
+    });
+
+    it('getTopActiveUsers 应该使用 activity_top_users 的排行', async () => {
+      supabase.rpc.mockResolvedValueOnce({
+        data: [{ username: 'bob', total_time: '7200', session_count: 3 }],
+        error: null
+      });
+
+      const ranking = await stats.getTopActiveUsers({ limit: 1 });
+
+      expect(supabase.rpc.mock.calls[0][0]).toBe('activity_top_users');
+      expect(supabase.rpc.mock.calls[0][1]).toMatchObject({ p_limit: 1 });
+      expect(ranking).toEqual([{ username: 'bob', totalTime: 7200, sessionCount: 3 }]);
+    });
+
+    it('函数不存在时应该退回客户端计算，之后不再调用', async () => {
+      supabase._rows('user_activity_logs').push(
+        { id: 1, username: 'alice', login_time: minutesAgo(60), logout_time: minutesAgo(50), duration: 600 }
+      );
+
+      await stats.getTopActiveUsers();
+      const ranking = await stats.getTopActiveUsers();
+
+      expect(supabase.rpc).toHaveBeenCalledTimes(1);
+      expect(ranking).toEqual([{ username: 'alice', totalTime: 600, sessionCount: 1 }]);
+    });
+
+    it('其他数据库错误应该抛出，不退回客户端', async () => {
+      supabase.rpc.mockResolvedValueOnce({ data: null, error: { code: '57014', message: 'canceling statement due to statement timeout' } });
+
+      await expect(stats.getUserStats('alice')).rejects.toMatchObject({ code: '57014' });
+    });
+  });
+
+  describe('在线人数报表', () => {
+    it('getConcurrencySeries 应该在数据库中按时间段统计', async () => {
+      supabase.rpc.mockResolvedValueOnce({
+        data: [
+          { bucket_start: '2026-03-02T10:00:00Z', online_count: 3 },
+          { bucket_start: '2026-03-02T10:05:00Z', online_count: 5 }
+        ],
+        error: null
+      });
+
+      const series = await stats.getConcurrencySeries({
+        from: '2026-03-02T10:02:00Z',
+        to: '2026-03-02T10:10:00Z',
+        bucket: '5m'
+      });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('get_concurrency_series', {
+        p_from: '2026-03-02T10:00:00.000Z',
+        p_to: '2026-03-02T10:10:00.000Z',
+        p_bucket: '5 minutes',
+        p_tenant_id: null,
+        p_session_timeout: '300 seconds',
+        p_timezone: stats.timezone
+      });
+      expect(series).toEqual([
+        { time: Date.parse('2026-03-02T10:00:00Z'), count: 3 },
+        { time: Date.parse('2026-03-02T10:05:00Z'), count: 5 }
+      ]);
+    });
+
+    it('getConcurrencySeries 应该检查时间粒度和范围', async () => {
+      await expect(stats.getConcurrencySeries({ bucket: '10m' })).rejects.toThrow('无效的时间粒度');
+      await expect(stats.getConcurrencySeries({ from: '2026-03-02', to: '2026-03-01' })).rejects.toThrow('无效的时间范围');
+      await expect(stats.getConcurrencySeries({ from: '2020-01-01', bucket: '5m' })).rejects.toThrow('时间段过多');
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('getPeakConcurrency 应该返回峰值和出现时间', async () => {
+      const scoped = new ActivityStats(supabase, { autoCleanup: false, tenantId: 'school-a' });
+      supabase.rpc.mockResolvedValueOnce({ data: { peak: 12, at: '2026-03-02T09:30:00Z' }, error: null });
+
+      const result = await scoped.getPeakConcurrency('today');
+
+      expect(supabase.rpc.mock.calls[0][0]).toBe('get_peak_concurrency');
+      expect(supabase.rpc.mock.calls[0][1]).toMatchObject({ p_tenant_id: 'school-a' });
+      expect(result).toEqual({ period: 'today', peak: 12, at: Date.parse('2026-03-02T09:30:00Z') });
+    });
+
+    it('数据库函数不存在时应该抛出错误', async () => {
+      await expect(stats.getPeakConcurrency()).rejects.toEqual({ message: 'function get_peak_concurrency does not exist' });
+    });
+  });
+
+  describe('用户参与度', () => {
+    it('getActiveUsers 应该返回每天的日活、周活、月活', async () => {
+      supabase.rpc.mockResolvedValueOnce({
+        data: [{ day: '2026-03-01', dau: 4, wau: 10, mau: 25 }],
+        error: null
+      });
+
+      const series = await stats.getActiveUsers({ from: '2026-03-01', to: new Date('2026-03-01T15:00:00') });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('get_active_users', {
+        p_from: '2026-03-01',
+        p_to: '2026-03-01',
+        p_tenant_id: null,
+        p_session_timeout: '300 seconds',
+        p_timezone: stats.timezone
+      });
+      expect(series).toEqual([{ date: '2026-03-01', dau: 4, wau: 10, mau: 25 }]);
+    });
+
+    it('默认统计最近 30 天', async () => {
+      supabase.rpc.mockResolvedValueOnce({ data: [], error: null });
+
+      await stats.getActiveUsers();
+
+      expect(supabase.rpc.mock.calls[0][1]).toMatchObject({ p_from: '2026-02-01', p_to: '2026-03-02' });
+    });
+
+    it('getRetentionCohorts 应该按首次登录日期分组，未到的天数留存率为 null', async () => {
+      supabase.rpc.mockResolvedValueOnce({
+        data: [
+          { cohort: '2026-02-20', day_offset: 1, cohort_size: 10, retained: 6 },
+          { cohort: '2026-02-20', day_offset: 30, cohort_size: 10, retained: 0 },
+          { cohort: '2026-03-01', day_offset: 1, cohort_size: 4, retained: 1 },
+          { cohort: '2026-03-01', day_offset: 30, cohort_size: 4, retained: 0 }
+        ],
+        error: null
+      });
+
+      const cohorts = await stats.getRetentionCohorts({ from: '2026-02-20', to: '2026-03-01', days: [1, 30] });
+
+      expect(supabase.rpc.mock.calls[0][1]).toMatchObject({ p_days: [1, 30] });
+      expect(cohorts).toEqual([
+        { cohort: '2026-02-20', size: 10, retention: [{ day: 1, retained: 6, rate: 0.6 }, { day: 30, retained: 0, rate: null }] },
+        { cohort: '2026-03-01', size: 4, retention: [{ day: 1, retained: 1, rate: 0.25 }, { day: 30, retained: 0, rate: null }] }
+      ]);
+      await expect(stats.getRetentionCohorts({ days: [0] })).rejects.toThrow('留存天数必须是正整数');
+    });
+
+    it('getChurn 应该计算流失率和回访率', async () => {
+      supabase.rpc.mockResolvedValueOnce({
+        data: [
+          { period_start: '2026-02-16', active_users: 8, new_users: 8, previous_active_users: 0, retained_users: 0 },
+          { period_start: '2026-02-23', active_users: 9, new_users: 3, previous_active_users: 8, retained_users: 6 }
+        ],
+        error: null
+      });
+
+      const churn = await stats.getChurn({ from: '2026-02-16', to: '2026-03-01' });
+
+      expect(supabase.rpc.mock.calls[0][1]).toMatchObject({ p_period: 'week' });
+      expect(churn[0]).toMatchObject({ churnedUsers: 0, churnRate: null, returnRate: null });
+      expect(churn[1]).toEqual({
+        periodStart: '2026-02-23',
+        activeUsers: 9,
+        newUsers: 3,
+        previousActiveUsers: 8,
+        retainedUsers: 6,
+        churnedUsers: 2,
+        churnRate: 0.25,
+        returnRate: 0.75
+      });
+      await expect(stats.getChurn({ period: 'year' })).rejects.toThrow('无效的统计周期');
+    });
+  });
+
+  describe('时区和时间范围', () => {
+    beforeEach(() => {
+      // 上海周一 04:00，纽约周日 15:00
+      vi.setSystemTime(new Date('2026-03-01T20:00:00Z'));
+    });
+
+    it('"今天"应该按配置的时区划分', async () => {
+      const shanghai = new ActivityStats(supabase, { autoCleanup: false, timezone: 'Asia/Shanghai' });
+      supabase._rows('user_activity_logs').push(
+        { id: 1, username: 'alice', login_time: '2026-03-01T15:30:00.000Z', logout_time: '2026-03-01T15:40:00.000Z', duration: 600 },
+        { id: 2, username: 'alice', login_time: '2026-03-01T16:30:00.000Z', logout_time: '2026-03-01T16:40:00.000Z', duration: 600 }
+      );
+
+      const result = await shanghai.getUserStats('alice');
+
+      expect(result).toMatchObject({
+        period: 'today',
+        from: Date.parse('2026-03-01T16:00:00Z'),
+        to: Date.now(),
+        timezone: 'Asia/Shanghai',
+        loginCount: 1
+      });
+    });
+
+    it('应该区分日历周期和滚动窗口', async () => {
+      const newYork = new ActivityStats(supabase, { autoCleanup: false, timezone: 'America/New_York' });
+
+      const thisWeek = await newYork.getUserStats('alice', { period: 'thisWeek' });
+      const week = await newYork.getUserStats('alice', { period: 'week' });
+      const thisMonth = await newYork.getUserStats('alice', { period: 'thisMonth' });
+
+      expect(thisWeek.from).toBe(Date.parse('2026-02-23T05:00:00Z')); // 周一 0 点
+      expect(week.from).toBe(Date.parse('2026-02-22T20:00:00Z'));
+      expect(thisMonth.from).toBe(Date.parse('2026-03-01T05:00:00Z'));
+      await expect(newYork.getUserStats('alice', { period: 'decade' })).rejects.toThrow('无效的统计周期');
+    });
+
+    it('自定义范围的结束日期应该包括这一整天', async () => {
+      const shanghai = new ActivityStats(supabase, { autoCleanup: false, timezone: 'Asia/Shanghai' });
+      supabase._rows('user_activity_logs').push(
+        { id: 1, username: 'alice', login_time: '2026-01-31T15:00:00.000Z', logout_time: '2026-01-31T15:10:00.000Z', duration: 600 },
+        { id: 2, username: 'alice', login_time: '2026-02-28T15:00:00.000Z', logout_time: '2026-02-28T15:10:00.000Z', duration: 600 },
+        { id: 3, username: 'bob', login_time: '2026-02-28T16:30:00.000Z', logout_time: '2026-02-28T16:40:00.000Z', duration: 600 }
+      );
+
+      const result = await shanghai.getUserStats('alice', { from: '2026-02-01', to: '2026-02-28' });
+      const ranking = await shanghai.getTopActiveUsers({ from: '2026-02-01', to: '2026-02-28' });
+
+      expect(result).toMatchObject({
+        period: 'custom',
+        from: Date.parse('2026-01-31T16:00:00Z'),
+        to: Date.parse('2026-02-28T16:00:00Z'),
+        loginCount: 1
+      });
+      expect(ranking.map(user => user.username)).toEqual(['alice']);
+      await expect(shanghai.getUserStats('alice', { from: '2026-03-01', to: '2026-02-01' })).rejects.toThrow('无效的时间范围');
+      await expect(shanghai.getUserStats('alice', { to: '2026-02-01' })).rejects.toThrow('自定义时间范围需要传入 from');
+    });
+
+    it('按天的时间段应该在夏令时切换时对齐到当地 0 点', async () => {
+      const newYork = new ActivityStats(supabase, { autoCleanup: false, timezone: 'America/New_York' });
+      supabase.rpc.mockResolvedValueOnce({ data: [], error: null });
+
+      await newYork.getConcurrencySeries({ from: '2026-03-08T12:00:00Z', to: '2026-03-09', bucket: '1d' });
+
+      expect(supabase.rpc.mock.calls[0][1]).toMatchObject({
+        p_from: '2026-03-08T05:00:00.000Z',
+        p_to: '2026-03-10T04:00:00.000Z',
+        p_timezone: 'America/New_York'
+      });
+    });
+
+    it('按日期的统计应该使用时区的日期', async () => {
+      const shanghai = new ActivityStats(supabase, { autoCleanup: false, timezone: 'Asia/Shanghai' });
+      supabase.rpc.mockResolvedValueOnce({ data: [], error: null });
+
+      await shanghai.getActiveUsers();
+
+      expect(supabase.rpc.mock.calls[0][1]).toMatchObject({
+        p_from: '2026-02-01',
+        p_to: '2026-03-02',
+        p_timezone: 'Asia/Shanghai'
+      });
+    });
+
+    it('无效的时区应该抛出错误', () => {
+      expect(() => new ActivityStats(supabase, { autoCleanup: false, timezone: 'Mars/Olympus' })).toThrow('无效的时区');
+    });
+  });
+
+  describe('数据保留', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('默认直接删除过期记录', async () => {
+      supabase._rows('user_activity_logs').push(
+        { id: 1, username: 'alice', login_time: minutesAgo(60 * 24 * 40), logout_time: minutesAgo(60 * 24 * 40 - 30), duration: 1800 },
+        { id: 2, username: 'alice', login_time: minutesAgo(60), logout_time: minutesAgo(30), duration: 1800 }
+      );
+
+      const result = await stats.cleanupOldRecords();
+
+      expect(result).toMatchObject({ deletedCount: 1, strategy: 'delete' });
+      expect(supabase._rows('user_activity_logs').map(row => row.id)).toEqual([2]);
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('rollup 应该在数据库中汇总后删除', async () => {
+      const rollup = new ActivityStats(supabase, { autoCleanup: false, retentionStrategy: 'rollup', timezone: 'Asia/Shanghai', tenantId: 'school-1' });
+      supabase.rpc.mockResolvedValueOnce({ data: 12, error: null });
+
+      const result = await rollup.cleanupOldRecords(90);
+
+      expect(supabase.rpc).toHaveBeenCalledWith('rollup_activity_logs', {
+        p_cutoff: result.cutoffDate.toISOString(),
+        p_tenant_id: 'school-1',
+        p_session_timeout: '300 seconds',
+        p_timezone: 'Asia/Shanghai'
+      });
+      expect(result).toMatchObject({ deletedCount: 12, strategy: 'rollup' });
+    });
+
+    it('archive 的函数不存在时应该抛出，不删除记录', async () => {
+      const archive = new ActivityStats(supabase, { autoCleanup: false, retentionStrategy: 'archive' });
+      supabase._rows('user_activity_logs').push(
+        { id: 1, username: 'alice', login_time: minutesAgo(60 * 24 * 40), logout_time: minutesAgo(60 * 24 * 40 - 30), duration: 1800 }
+      );
+
+      await expect(archive.cleanupOldRecords()).rejects.toMatchObject({ message: expect.stringContaining('archive_activity_logs') });
+      expect(supabase._rows('user_activity_logs')).toHaveLength(1);
+    });
+
+    it('archive / rollup 时默认不在客户端自动清理', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const archive = new ActivityStats(supabase, { retentionStrategy: 'archive' });
+      const rollup = new ActivityStats(supabase, { retentionStrategy: 'rollup' });
+      const server = new ActivityStats(supabase, { retentionStrategy: 'rollup', autoCleanup: true });
+      const plain = new ActivityStats(supabase);
+
+      expect(archive.autoCleanup).toBe(false);
+      expect(rollup.autoCleanup).toBe(false);
+      expect(server.autoCleanup).toBe(true);
+      expect(plain.autoCleanup).toBe(true);
+      expect(supabase.rpc).toHaveBeenCalledTimes(1);
+      expect(supabase.rpc).toHaveBeenCalledWith('rollup_activity_logs', expect.anything());
+      [archive, rollup, server, plain].forEach(stats => stats.stopAutoCleanup());
+    });
+
+    it('应该拒绝无效的保留策略', () => {
+      expect(() => new ActivityStats(supabase, { autoCleanup: false, retentionStrategy: 'keep' })).toThrow('无效的保留策略');
+    });
+
+    it('rollup 时 getUserStats 应该计入每日汇总', async () => {
+      const rollup = new ActivityStats(supabase, { autoCleanup: false, retentionStrategy: 'rollup', timezone: 'UTC' });
+      supabase._rows('user_activity_logs').push(
+        { id: 1, username: 'alice', login_time: minutesAgo(60), logout_time: minutesAgo(30), duration: 1800 }
+      );
+      supabase._rows('user_activity_daily').push(
+        { username: 'alice', day: '2026-01-15', login_count: 4, total_online_time: 7200, estimated_online_time: 600, last_login: '2026-01-15T10:00:00Z' },
+        { username: 'alice', day: '2024-12-01', login_count: 9, total_online_time: 9000, estimated_online_time: 0, last_login: '2024-12-01T10:00:00Z' },
+        { username: 'bob', day: '2026-01-15', login_count: 2, total_online_time: 3600, estimated_online_time: 0, last_login: '2026-01-15T09:00:00Z' }
+      );
+
+      const result = await rollup.getUserStats('alice', { period: 'year' });
+
+      expect(result).toMatchObject({
+        loginCount: 5,
+        summarizedLoginCount: 4,
+        totalOnlineTime: 9000,
+        estimatedOnlineTime: 600,
+        averageSessionTime: 1800,
+        lastLogin: Date.now() - 60 * 60000,
+        exact: false
+      });
+      expect(result.sessions).toHaveLength(1);
+      expect(result).not.toHaveProperty('finishedTime');
+    });
+  });
+
+  describe('导出', () => {
+    beforeEach(() => {
+      stats = new ActivityStats(supabase, { autoCleanup: false, timezone: 'Asia/Shanghai' });
+      supabase._rows('user_activity_logs').push(
+        { id: 1, username: 'alice', session_id: 's1', device_type: 'desktop', login_time: minutesAgo(180), logout_time: minutesAgo(120), duration: 3600, end_reason: 'logout' },
+        { id: 2, username: 'bob, "B"', session_id: 's2', device_type: 'mobile', login_time: minutesAgo(90), logout_time: null, duration: null, last_activity: minutesAgo(60) },
+        { id: 3, username: 'alice', session_id: 's3', device_type: 'desktop', login_time: minutesAgo(30), logout_time: null, duration: null, last_activity: minutesAgo(1) },
+        { id: 4, username: '=cmd', session_id: 's4', device_type: 'desktop', login_time: minutesAgo(20), logout_time: minutesAgo(10), duration: 600 }
+      );
+    });
+
+    it('exportSessions 应该导出转义后的 CSV，时间按时区格式化', async () => {
+      const text = await exportToString(stats.exportSessions({ period: 'today' }));
+      const lines = text.split('\r\n');
+
+      expect(lines[0]).toBe('\uFEFFusername,sessionId,deviceType,loginTime,logoutTime,endTime,duration,ongoing,exact,endReason');
+      expect(lines[1]).toBe(`alice,s1,desktop,${shanghai(180)},${shanghai(120)},${shanghai(120)},3600,false,true,logout`);
+      expect(lines[2]).toBe(`"bob, ""B""",s2,mobile,${shanghai(90)},,${shanghai(60)},1800,false,false,`);
+      expect(lines[4].startsWith("'=cmd,s4")).toBe(true); // 防止被 Excel 当作公式
+      expect(lines).toHaveLength(6); // 最后一行以 CRLF 结束
+    });
+
+    it('exportSessions 应该逐页读取并输出合法的 JSON', async () => {
+      const fromSpy = vi.spyOn(supabase, 'from');
+
+      const text = await exportToString(stats.exportSessions({ username: 'alice', format: 'json', pageSize: 1 }));
+      const sessions = JSON.parse(text);
+
+      expect(fromSpy).toHaveBeenCalledTimes(3); // 两页各一条，第三页为空
+      expect(sessions).toHaveLength(2);
+      expect(sessions[0]).toMatchObject({ username: 'alice', loginTime: minutesAgo(180), exact: true });
+      expect(sessions[1]).toMatchObject({ sessionId: 's3', logoutTime: null, ongoing: true, duration: 1800 });
+    });
+
+    it('exportUserSummaries 应该按用户汇总', async () => {
+      const text = await exportToString(stats.exportUserSummaries({ format: 'ndjson', pageSize: 2 }));
+      const summaries = text.trim().split('\n').map(line => JSON.parse(line));
+
+      expect(summaries.map(row => row.username)).toEqual(['=cmd', 'alice', 'bob, "B"']);
+      expect(summaries[1]).toEqual({
+        username: 'alice',
+        loginCount: 2,
+        totalOnlineTime: 3600 + 1800,
+        estimatedOnlineTime: 1800,
+        averageSessionTime: 3600,
+        firstLogin: minutesAgo(180),
+        lastLogin: minutesAgo(30)
+      });
+    });
+  });
+
+  it('getTopActiveUsers 应该计入按心跳还原的时长', async () => {
+    supabase._rows('user_activity_logs').push(
+      { id: 1, username: 'alice', login_time: minutesAgo(60), logout_time: minutesAgo(50), duration: 600 },
+      { id: 2, username: 'bob', login_time: minutesAgo(60), logout_time: null, duration: null, last_activity: minutesAgo(30) }
+    );
+
+    const ranking = await stats.getTopActiveUsers();
+
+    expect(ranking).toEqual([
+      { username: 'bob', totalTime: 1800, sessionCount: 1 },
+      { username: 'alice', totalTime: 600, sessionCount: 1 }
+    ]);
+  });
 });
@@ -0,0 +1,94 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import {
+  OnlineStatusManager,
+  OnlineUser,
+  GetOnlineUsersOptions,
+  LoginResult,
+  LoginOptions,
+  SetMetadataOptions,
+  UserStatus
+} from './index';
+import { ActivityStats, UserStats, GetStatsOptions } from './extensions/stats';
+
+/** 根据 config.js 创建的 Supabase 客户端 */
+export const supabase: SupabaseClient<any, any, any>;
+
+/** 根据 config.js 创建的在线状态管理器 */
+export const onlineManager: OnlineStatusManager;
+
+/** 活跃度统计实例（config.js 中未启用时为 null） */
+export const activityStats: ActivityStats | null;
+
+/**
+ * 便捷方法：用户登录（启用统计时同时记录登录）
+ * @param username 用户名（authMode 下省略，身份取自 Supabase Auth 会话）
+ * @param options 登录选项
+ */
+export function login(username?: string | null, options?: LoginOptions): Promise<LoginResult>;
+
+/**
+ * 便捷方法：用户登出（启用统计时同时记录登出）
+ */
+export function logout(): Promise<void>;
+
+/**
+ * 便捷方法：设置在线状态
+ * @param status 在线状态
+ * @param message 自定义状态消息
+ */
+export function setStatus(status: UserStatus, message?: string | null): Promise<void>;
+
+/**
+ * 便捷方法：更新当前会话的自定义数据
+ * @param patch 要合并的数据
+ * @param options 选项
+ */
+export function setMetadata(patch: Record<string, any>, options?: SetMetadataOptions): Promise<void>;
+
+/**
+ * 便捷方法：加入房间
+ * @param room 房间名
+ */
+export function joinRoom(room: string): Promise<void>;
+
+/**
+ * 便捷方法：离开房间
+ * @param room 房间名
+ */
+export function leaveRoom(room: string): Promise<void>;
+
+/**
+ * 便捷方法：获取在线用户列表
+ * @param options 查询选项
+ */
+export function getOnlineUsers(options?: GetOnlineUsersOptions): Promise<OnlineUser[]>;
+
+/**
+ * 便捷方法：获取在线用户数量
+ * @param options 查询选项
+ */
+export function getOnlineUserCount(options?: GetOnlineUsersOptions): Promise<number>;
+
+/**
+ * 便捷方法：获取用户统计数据（未启用统计时抛出错误）
+ * @param username 用户名
+ * @param options 查询选项
+ */
+export function getUserStats(username: string, options?: GetStatsOptions): Promise<UserStats>;
+
+declare const tracker: {
+  supabase: typeof supabase;
+  onlineManager: typeof onlineManager;
+  activityStats: typeof activityStats;
+  login: typeof login;
+  logout: typeof logout;
+  setStatus: typeof setStatus;
+  setMetadata: typeof setMetadata;
+  joinRoom: typeof joinRoom;
+  leaveRoom: typeof leaveRoom;
+  getOnlineUsers: typeof getOnlineUsers;
+  getOnlineUserCount: typeof getOnlineUserCount;
+  getUserStats: typeof getUserStats;
+};
+
+export default tracker;
@@ -16,47 +16,57 @@ export const supabase = createClient(
   config.supabase.anonKey
 );
 
+// 创建活跃度统计实例（如果启用），作为插件注册到在线状态管理器
+export const activityStats = config.features.activityStats
+  ? new ActivityStats(supabase, {
+      logsTable: config.tables.activityLogs,
+      onlineTable: config.tables.onlineUsers,
+      tenantId: config.basic.tenantId,
+      timezone: config.basic.timezone,
+      retentionDays: config.retention.days,
+      // archive/rollup 只能在服务端执行（见 README "数据保留策略"），浏览器中只自动执行 delete
+      autoCleanup: config.retention.autoCleanup && (config.retention.strategy || 'delete') === 'delete',
+      retentionStrategy: config.retention.strategy,
+    })
+  : null;
+
 // 创建在线状态管理器
 export const onlineManager = new OnlineStatusManager(supabase, {
   tableName: config.tables.onlineUsers,
   heartbeatInterval: config.basic.heartbeatInterval,
   inactiveTimeout: config.basic.inactiveTimeout,
+  hiddenPolicy: config.basic.hiddenPolicy,
+  idleTimeout: config.basic.idleTimeout,
+  cleanupMode: config.basic.cleanupMode,
+  crossTab: config.basic.crossTab,
+  tenantId: config.basic.tenantId,
+  authMode: config.basic.authMode,
   enableRealtime: config.features.realtime,
   enableFirstLoginTracking: config.features.firstLoginTracking,
-  userTable: config.tables.users,
-  usernameField: 'username',
+  userTable: config.basic.authMode ? 'profiles' : config.tables.users,
+  usernameField: config.basic.authMode ? 'id' : 'username',
   maxOnlineTime: config.timeLimit.maxOnlineTime,
   warningTime: config.timeLimit.warningTime,
   onUserJoin: config.callbacks.onUserJoin,
   onUserLeave: config.callbacks.onUserLeave,
+  onUserStatusChange: config.callbacks.onUserStatusChange,
   onTimeWarning: config.callbacks.onTimeWarning,
   onTimeLimit: config.callbacks.onTimeLimit,
   onError: config.callbacks.onError,
+  onConnectionChange: config.callbacks.onConnectionChange,
+  // 登录、登出、时长限制、关闭页面时自动记录统计数据
+  plugins: activityStats ? [activityStats] : [],
 });
 
-// 创建活跃度统计实例（如果启用）
-export const activityStats = config.features.activityStats
-  ? new ActivityStats(supabase, {
-      tableName: config.tables.activityLogs,
-      retentionDays: config.retention.days,
-      autoCleanup: config.retention.autoCleanup,
-    })
-  : null;
-
 /**
  * 便捷方法：用户登录
+ * authMode 下不需要用户名（身份取自 Supabase Auth 会话）
  * @param {string} username - 用户名
+ * @param {Object} options - 登录选项（如 { metadata: { page: '/home' } }）
  * @returns {Promise<{isFirstLogin: boolean}>}
  */
-export async function login(username) {
-  const result = await onlineManager.userLogin(username);
-  
-  // 如果启用了活跃度统计，记录登录
-  if (activityStats) {
-    await activityStats.recordLogin(username);
-  }
-  
-  return result;
+export async function login(username, options = {}) {
+  return await onlineManager.userLogin(username, options);
 }
 
 /**
@@ -64,14 +74,47 @@ export async function login(username) {
  * @returns {Promise<void>}
  */
 export async function logout() {
-  // 如果启用了活跃度统计，记录登出
-  if (activityStats && onlineManager.currentUsername) {
-    await activityStats.recordLogout(onlineManager.currentUsername);
-  }
-  
   await onlineManager.userLogout();
 }
 
+/**
+ * 便捷方法：设置在线状态
+ * @param {string} status - 'online' | 'away' | 'busy' | 'dnd'
+ * @param {string} message - 自定义状态消息（可选）
+ * @returns {Promise<void>}
+ */
+export async function setStatus(status, message) {
+  return await onlineManager.setStatus(status, message);
+}
+
+/**
+ * 便捷方法：更新当前会话的自定义数据
+ * @param {Object} patch - 要合并的数据
+ * @param {Object} options - 选项（{ immediate: true } 立即同步）
+ * @returns {Promise<void>}
+ */
+export async function setMetadata(patch, options = {}) {
+  return await onlineManager.setMetadata(patch, options);
+}
+
+/**
+ * 便捷方法：加入房间
+ * @param {string} room - 房间名
+ * @returns {Promise<void>}
+ */
+export async function joinRoom(room) {
+  return await onlineManager.joinRoom(room);
+}
+
+/**
+ * 便捷方法：离开房间
+ * @param {string} room - 房间名
+ * @returns {Promise<void>}
+ */
+export async function leaveRoom(room) {
+  return await onlineManager.leaveRoom(room);
+}
+
 /**
  * 便捷方法：获取在线用户列表
  * @param {Object} options - 查询选项
@@ -83,10 +126,11 @@ export async function getOnlineUsers(options = {}) {
 
 /**
  * 便捷方法：获取在线用户数量
+ * @param {Object} options - 查询选项（搜索、过滤）
  * @returns {Promise<number>}
  */
-export async function getOnlineUserCount() {
-  return await onlineManager.getOnlineUserCount();
+export async function getOnlineUserCount(options = {}) {
+  return await onlineManager.getOnlineUserCount(options);
 }
 
 /**
@@ -109,6 +153,10 @@ export default {
   activityStats,
   login,
   logout,
+  setStatus,
+  setMetadata,
+  joinRoom,
+  leaveRoom,
   getOnlineUsers,
   getOnlineUserCount,
   getUserStats,
@@ -0,0 +1,260 @@
+/**
+ * 在线用户存储
+ * 基于 OnlineStatusManager 维护一份唯一的在线用户列表，供多个界面组件共享订阅
+ */
+
+export class PresenceStore {
+    constructor(manager, options = {}) {
+        if (!manager) {
+            throw new Error('OnlineStatusManager 实例是必需的');
+        }
+
+        this.manager = manager;
+        this.query = options.query || {}; // 传给 getOnlineUsers 的搜索/过滤/房间条件
+        this.realtime = options.realtime !== false; // 是否应用实时事件，默认启用
+        this.expiryInterval = options.expiryInterval || manager.heartbeatInterval;
+        // 定期与服务器重新同步，纠正漏掉的事件并刷新活跃时间
+        this.resyncInterval = options.resyncInterval || Math.floor(manager.inactiveTimeout / 2);
+
+        this.users = new Map(); // username -> 在线用户
+        this.listeners = new Set();
+        this.ready = false;
+        this.expiryTimer = null;
+        this.resyncTimer = null;
+        this._unsubscribes = [];
+    }
+
+    /**
+     * 启动：挂载实时事件、载入初始列表、开始本地过期检查
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.expiryTimer) return;
+
+        if (this.realtime) {
+            this._attach();
+            this.manager.startRealtimeSubscription();
+        }
+
+        this.expiryTimer = setInterval(() => this._expire(), this.expiryInterval);
+        this.resyncTimer = setInterval(() => {
+            this.refresh().catch(error => {
+                console.warn('同步在线用户失败:', error);
+            });
+        }, this.resyncInterval);
+
+        await this.refresh();
+    }
+
+    /**
+     * 从服务器重新载入在线用户，与本地列表比较后通知变化
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        const onlineUsers = await this.manager.getOnlineUsers(this.query);
+        const next = new Map(onlineUsers.map(user => [user.username, user]));
+        const diff = { added: [], removed: [], changed: [] };
+
+        next.forEach((user, username) => {
+            const previous = this.users.get(username);
+            if (!previous) {
+                diff.added.push(user);
+            } else if (this._hasChanged(previous, user)) {
+                diff.changed.push(user);
+            }
+        });
+        this.users.forEach((user, username) => {
+            if (!next.has(username)) {
+                diff.removed.push(user);
+            }
+        });
+
+        // 首次载入总是通知一次，之后没有变化时不通知
+        const isFirstLoad = !this.ready;
+        this.users = next;
+        this.ready = true;
+        this._notify(diff, !isFirstLoad);
+    }
+
+    /**
+     * 订阅列表变化
+     * 订阅时立即以当前快照回调一次，之后每次变化回调 (snapshot, { added, removed, changed })
+     * @param {Function} listener - 监听函数
+     * @returns {Function} 取消订阅函数
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+
+        if (this.ready) {
+            listener(this.getSnapshot(), { added: this.getSnapshot(), removed: [], changed: [] });
+        }
+
+        return () => {
+            this.listeners.delete(listener);
+        };
+    }
+
+    /**
+     * 获取当前在线用户快照（按最后活跃时间倒序）
+     * @returns {Array} 在线用户列表
+     */
+    getSnapshot() {
+        return Array.from(this.users.values())
+            .sort((a, b) => b.lastActivity - a.lastActivity);
+    }
+
+    /**
+     * 获取单个在线用户
+     * @param {string} username - 用户名
+     * @returns {Object|null}
+     */
+    get(username) {
+        return this.users.get(username) || null;
+    }
+
+    /**
+     * 在线用户数量
+     */
+    get size() {
+        return this.users.size;
+    }
+
+    /**
+     * 停止：取消事件监听和定时器（不会销毁 manager）
+     */
+    stop() {
+        if (this.expiryTimer) {
+            clearInterval(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+        if (this.resyncTimer) {
+            clearInterval(this.resyncTimer);
+            this.resyncTimer = null;
+        }
+        this._unsubscribes.forEach(unsubscribe => unsubscribe());
+        this._unsubscribes = [];
+    }
+
+    /**
+     * 销毁实例
+     */
+    destroy() {
+        this.stop();
+        this.listeners.clear();
+        this.users.clear();
+        this.ready = false;
+    }
+
+    /**
+     * 监听 manager 的上线/更新/离线事件
+     * @private
+     */
+    _attach() {
+        this._unsubscribes = [
+            this.manager.on('join', (user) => this._apply(user)),
+            this.manager.on('update', (user) => this._apply(user)),
+            this.manager.on('leave', (user) => this._remove(user.username))
+        ];
+    }
+
+    /**
+     * 应用上线/更新事件
+     * @private
+     */
+    _apply(eventUser) {
+        const user = this._matchQuery(eventUser);
+        if (!user) {
+            // 更新后不再满足条件，视为移除
+            this._remove(eventUser.username);
+            return;
+        }
+
+        const previous = this.users.get(user.username);
+        this.users.set(user.username, user);
+
+        if (!previous) {
+            this._notify({ added: [user], removed: [], changed: [] });
+        } else if (this._hasChanged(previous, user)) {
+            this._notify({ added: [], removed: [], changed: [user] });
+        }
+    }
+
+    /**
+     * 应用离线事件
+     * @private
+     */
+    _remove(username) {
+        const previous = this.users.get(username);
+        if (!previous) return;
+
+        this.users.delete(username);
+        this._notify({ added: [], removed: [previous], changed: [] });
+    }
+
+    /**
+     * 本地过期：超过 inactiveTimeout 没有活跃的用户移除
+     * presence 模式下在线状态由服务端维护，不做本地过期
+     * @private
+     */
+    _expire() {
+        if (this.manager.transport === 'presence') return;
+
+        const cutoff = Date.now() - this.manager.inactiveTimeout;
+        const removed = [];
+
+        this.users.forEach((user, username) => {
+            if (user.lastActivity < cutoff) {
+                this.users.delete(username);
+                removed.push(user);
+            }
+        });
+
+        if (removed.length > 0) {
+            this._notify({ added: [], removed, changed: [] });
+        }
+    }
+
+    /**
+     * 本地判断实时事件中的用户是否满足查询条件
+     * 过滤条件使用表的列名（如 device_type），在 manager 缓存的原始会话上匹配，与 refresh 时数据库的过滤一致
+     * @returns {Object|null} 只包含满足条件的设备的用户，不满足时为 null
+     * @private
+     */
+    _matchQuery(user) {
+        const { search, filter, room } = this.query;
+        if (!search && !filter && !room) return user;
+        return this.manager.getRealtimeUser(user.username, { search, filter, room });
+    }
+
+    /**
+     * 比较用户是否有变化（忽略心跳带来的 lastActivity 变化，以及随之变化的设备顺序）
+     * @private
+     */
+    _hasChanged(previous, user) {
+        const withoutActivity = (key, value) => key === 'lastActivity' ? undefined : value;
+        const stable = (u) => JSON.stringify({
+            ...u,
+            devices: [...(u.devices || [])].sort((a, b) => a.sessionId < b.sessionId ? -1 : a.sessionId > b.sessionId ? 1 : 0)
+        }, withoutActivity);
+        return stable(previous) !== stable(user);
+    }
+
+    /**
+     * 通知订阅者
+     * @private
+     */
+    _notify(diff, skipEmpty = false) {
+        if (skipEmpty && diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+            return;
+        }
+
+        const snapshot = this.getSnapshot();
+        this.listeners.forEach(listener => {
+            try {
+                listener(snapshot, diff);
+            } catch (error) {
+                console.error('在线用户订阅回调出错:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PresenceStore } from './presence-store.js';
+import { EventEmitter } from './event-emitter.js';
+import { matchesFilter } from './filter.js';
+
+// 只实现 PresenceStore 用到的 OnlineStatusManager 接口
+// 事件中的用户同时作为会话缓存（这里的字段名与会话相同），按列名过滤的真实场景见 index.test.js
+const createMockManager = (initialUsers = []) => {
+  const manager = Object.assign(new EventEmitter(), {
+    heartbeatInterval: 30000,
+    inactiveTimeout: 300000,
+    transport: 'database',
+    _users: initialUsers,
+    _cache: new Map(),
+    getOnlineUsers: vi.fn(async function () {
+      return this._users;
+    }),
+    getRealtimeUser: vi.fn(function (username, { filter, room } = {}) {
+      const cached = this._cache.get(username);
+      if (!cached || (room && !(cached.rooms || []).includes(room))) return null;
+      return matchesFilter(cached, filter) ? cached : null;
+    }),
+    startRealtimeSubscription: vi.fn()
+  });
+
+  const emit = manager.emit.bind(manager);
+  manager.emit = (event, user, ...args) => {
+    if (user) manager._cache.set(user.username, user);
+    return emit(event, user, ...args);
+  };
+  return manager;
+};
+
+const user = (username, extra = {}) => ({
+  username,
+  lastActivity: Date.now(),
+  status: 'online',
+  statusMessage: null,
+  devices: [],
+  ...extra
+});
+
+describe('PresenceStore', () => {
+  let manager;
+  let store;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    manager = createMockManager([user('alice'), user('bob')]);
+    store = new PresenceStore(manager);
+  });
+
+  afterEach(() => {
+    store.destroy();
+    vi.useRealTimers();
+  });
+
+  it('应该抛出错误如果没有提供 manager', () => {
+    expect(() => new PresenceStore()).toThrow('OnlineStatusManager 实例是必需的');
+  });
+
+  it('启动时应该载入初始列表并启动实时订阅', async () => {
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    await store.start();
+
+    expect(manager.startRealtimeSubscription).toHaveBeenCalled();
+    expect(store.size).toBe(2);
+    const [snapshot, diff] = listener.mock.calls[0];
+    expect(snapshot.map(u => u.username).sort()).toEqual(['alice', 'bob']);
+    expect(diff.added.length).toBe(2);
+  });
+
+  it('订阅时应该立即收到当前快照', async () => {
+    await store.start();
+    const listener = vi.fn();
+
+    store.subscribe(listener);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].length).toBe(2);
+  });
+
+  it('应该应用实时上线/更新/离线事件并给出差异', async () => {
+    const otherListener = vi.fn();
+    manager.on('join', otherListener);
+    await store.start();
+    const listener = vi.fn();
+    store.subscribe(listener);
+    listener.mockClear();
+
+    manager.emit('join', user('carol'));
+    expect(listener.mock.calls[0][1]).toEqual({ added: [expect.objectContaining({ username: 'carol' })], removed: [], changed: [] });
+    expect(otherListener).toHaveBeenCalled(); // 其他监听不受影响
+
+    manager.emit('update', user('carol', { status: 'busy' }));
+    expect(listener.mock.calls[1][1].changed[0].status).toBe('busy');
+
+    manager.emit('leave', { username: 'alice', status: 'offline' });
+    expect(listener.mock.calls[2][1].removed[0].username).toBe('alice');
+    expect(store.get('alice')).toBeNull();
+    expect(store.size).toBe(2);
+  });
+
+  it('只有活跃时间变化时不应通知', async () => {
+    await store.start();
+    const listener = vi.fn();
+    store.subscribe(listener);
+    listener.mockClear();
+
+    manager.emit('update', user('alice', { lastActivity: Date.now() + 1000 }));
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('实时事件应该按 metadata 过滤条件本地匹配', async () => {
+    store.destroy();
+    manager = createMockManager([]);
+    store = new PresenceStore(manager, { query: { filter: { metadata: { classroom: 'A101' } } } });
+    await store.start();
+
+    manager.emit('join', user('carol', { metadata: { classroom: 'A101', page: '/home' } }));
+    manager.emit('join', user('dave', { metadata: { classroom: 'B202' } }));
+    expect(store.getSnapshot().map(u => u.username)).toEqual(['carol']);
+
+    // 换到其他教室后视为离开列表
+    manager.emit('update', user('carol', { metadata: { classroom: 'B202' } }));
+    expect(store.size).toBe(0);
+  });
+
+  it('按房间查询时应该只保留房间中的用户', async () => {
+    store.destroy();
+    manager = createMockManager([]);
+    store = new PresenceStore(manager, { query: { room: 'class-101' } });
+    await store.start();
+
+    expect(manager.getOnlineUsers).toHaveBeenCalledWith({ room: 'class-101' });
+
+    manager.emit('join', user('carol', { rooms: ['class-101'] }));
+    manager.emit('join', user('dave', { rooms: ['class-102'] }));
+    expect(store.getSnapshot().map(u => u.username)).toEqual(['carol']);
+
+    manager.emit('update', user('carol', { rooms: ['class-102'] }));
+    expect(store.size).toBe(0);
+  });
+
+  it('应该在本地过期超过 inactiveTimeout 的用户', async () => {
+    manager._users = [user('alice', { lastActivity: Date.now() - 290000 }), user('bob')];
+    store = new PresenceStore(manager, { resyncInterval: 600000 });
+    await store.start();
+    const listener = vi.fn();
+    store.subscribe(listener);
+    listener.mockClear();
+
+    vi.advanceTimersByTime(30000);
+
+    expect(store.get('alice')).toBeNull();
+    expect(store.get('bob')).not.toBeNull();
+    expect(listener.mock.calls[0][1].removed[0].username).toBe('alice');
+  });
+
+  it('stop 应该取消在 manager 上注册的监听', async () => {
+    const otherListener = vi.fn();
+    manager.on('leave', otherListener);
+    await store.start();
+    expect(manager.listenerCount('leave')).toBe(2);
+
+    store.stop();
+
+    expect(manager.listenerCount('join')).toBe(0);
+    expect(manager.listenerCount('leave')).toBe(1);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Realtime Presence 传输层
+ * 通过 Supabase Realtime Presence（channel.track）维护在线状态，不写数据库
+ */
+
+export class PresenceTransport {
+    constructor(supabase, options = {}) {
+        if (!supabase) {
+            throw new Error('Supabase 客户端实例是必需的');
+        }
+
+        this.supabase = supabase;
+        this.channelName = options.channelName || 'presence:online_users';
+        this.key = options.key; // presence key，使用会话 ID
+
+        // 事件回调（只在首次同步完成后触发）
+        this.onJoin = options.onJoin || null; // (sessions) => void
+        this.onLeave = options.onLeave || null; // (sessions) => void
+        this.onSync = options.onSync || null; // (sessions, isFirstSync) => void
+        this.onError = options.onError || null;
+
+        this.channel = null;
+        this.synced = false;
+        this.trackedPayload = null;
+        this._connecting = null;
+    }
+
+    /**
+     * 加入 presence 频道，首次同步完成后 resolve
+     * @returns {Promise<void>}
+     */
+    connect() {
+        if (this._connecting) {
+            return this._connecting;
+        }
+
+        this._connecting = new Promise((resolve, reject) => {
+            this.channel = this.supabase
+                .channel(this.channelName, {
+                    config: { presence: { key: this.key } }
+                })
+                .on('presence', { event: 'sync' }, () => {
+                    const isFirstSync = !this.synced;
+                    this.synced = true;
+                    if (this.onSync) {
+                        this.onSync(this.getSessions(), isFirstSync);
+                    }
+                    if (isFirstSync) {
+                        resolve();
+                    }
+                })
+                .on('presence', { event: 'join' }, ({ newPresences }) => {
+                    if (this.synced && this.onJoin) {
+                        this.onJoin(newPresences);
+                    }
+                })
+                .on('presence', { event: 'leave' }, ({ currentPresences, leftPresences }) => {
+                    // 同一 key 重新 track 时会先 join 新状态再 leave 旧状态，key 仍存在则不算离开
+                    if (currentPresences && currentPresences.length > 0) return;
+                    if (this.synced && this.onLeave) {
+                        this.onLeave(leftPresences);
+                    }
+                })
+                .subscribe(async (status) => {
+                    if (status === 'SUBSCRIBED') {
+                        // 断线重连后恢复之前 track 的状态
+                        if (this.trackedPayload) {
+                            await this.channel.track(this.trackedPayload);
+                        }
+                    } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                        const error = new Error(`Presence 频道连接失败: ${status}`);
+                        if (!this.synced) {
+                            this.disconnect();
+                            reject(error);
+                        } else if (this.onError) {
+                            this.onError(error);
+                        }
+                    }
+                });
+        });
+
+        return this._connecting;
+    }
+
+    /**
+     * 广播当前会话的在线状态
+     * @param {Object} payload - 会话数据
+     */
+    async track(payload) {
+        await this.connect();
+        this.trackedPayload = payload;
+        const result = await this.channel.track(payload);
+        if (result !== 'ok') {
+            throw new Error(`Presence track 失败: ${result}`);
+        }
+    }
+
+    /**
+     * 取消当前会话的在线状态
+     */
+    async untrack() {
+        this.trackedPayload = null;
+        if (this.channel) {
+            await this.channel.untrack();
+        }
+    }
+
+    /**
+     * 获取频道内所有在线会话
+     * @returns {Array<Object>} 会话数据列表
+     */
+    getSessions() {
+        if (!this.channel) return [];
+
+        const state = this.channel.presenceState();
+        return Object.keys(state).reduce((sessions, key) => {
+            // 同一 key 只取最新的一条（新状态追加在末尾）
+            const presences = state[key];
+            if (presences.length > 0) {
+                sessions.push(presences[presences.length - 1]);
+            }
+            return sessions;
+        }, []);
+    }
+
+    /**
+     * 离开频道
+     */
+    disconnect() {
+        if (this.channel) {
+            this.supabase.removeChannel(this.channel);
+            this.channel = null;
+        }
+        this.synced = false;
+        this.trackedPayload = null;
+        this._connecting = null;
+    }
+}
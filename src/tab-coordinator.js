@@ -0,0 +1,397 @@
+/**
+ * 多标签页协调
+ * 同一浏览器中同一用户的多个标签页共享一个在线会话，由选出的主标签页负责写心跳：
+ * - 选主：优先使用 Web Locks（标签页关闭或崩溃时浏览器自动释放锁），不支持时使用 localStorage 租约
+ * - 通信：优先使用 BroadcastChannel，不支持时使用 localStorage 的 storage 事件
+ * 每个标签页定期广播自己的状态，主标签页据此合并会话，关闭标签页时据此判断是否为最后一个
+ */
+
+const STORAGE_PREFIX = 'online-tracker';
+
+// 后台标签页的定时器可能被浏览器限制为每分钟执行一次，存活判断不能短于这个时间
+const MIN_MEMBER_TIMEOUT = 120000;
+
+/**
+ * 读取 localStorage，不可用（如隐私模式、服务端渲染）时返回 null
+ * @private
+ */
+const getStorage = () => {
+    try {
+        return typeof localStorage !== 'undefined' && localStorage ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const readJSON = (storage, key) => {
+    try {
+        return JSON.parse(storage.getItem(key));
+    } catch (error) {
+        return null;
+    }
+};
+
+export class TabCoordinator {
+    constructor(options = {}) {
+        if (!options.name || !options.tabId) {
+            throw new Error('协调名称和标签页 ID 是必需的');
+        }
+
+        this.name = options.name; // 协调范围（表名、租户、用户名）
+        this.tabId = options.tabId; // 当前标签页 ID
+        this.interval = options.interval || 30000; // 广播状态和续约的间隔
+        this.memberTimeout = Math.max(this.interval * 3, MIN_MEMBER_TIMEOUT); // 超过该时长没有消息的标签页视为已关闭
+
+        this.getState = options.getState || (() => null); // () => 当前标签页的状态
+        this.onLeaderChange = options.onLeaderChange || null; // (isLeader) => void
+        this.onStateChange = options.onStateChange || null; // () => void，其他标签页加入、离开或状态变化
+
+        this.isLeader = false;
+        this.sessionId = null; // 共享的会话 ID（getSessionId 之后）
+        this.members = new Map(); // tabId -> { state, lastSeen }，不包括当前标签页
+        this.storage = getStorage();
+        this.channel = null;
+        this.timer = null;
+        this.started = false;
+        this._releaseLock = null;
+        this._lockAbort = null;
+        this._handleStorage = null;
+    }
+
+    /**
+     * 当前环境是否支持多标签页协调（需要 localStorage 共享会话 ID）
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return getStorage() !== null;
+    }
+
+    get _key() {
+        return `${STORAGE_PREFIX}:${this.name}`;
+    }
+
+    /**
+     * 使用 Web Locks 选主
+     * @private
+     */
+    get _useLocks() {
+        return typeof navigator !== 'undefined' && !!navigator.locks &&
+            typeof navigator.locks.request === 'function';
+    }
+
+    /**
+     * 获取所有标签页共享的会话 ID，还没有时使用 fallback 并保存
+     * 存活的标签页定期刷新保存时间，超过 memberTimeout 没有刷新（浏览器崩溃后没有机会清除）的会话 ID 不再使用
+     * @param {string} fallback - 新会话的 ID
+     * @returns {string}
+     */
+    getSessionId(fallback) {
+        const key = `${this._key}:session`;
+        const shared = readJSON(this.storage, key);
+        if (shared && shared.id && Date.now() - shared.updatedAt <= this.memberTimeout) {
+            this.sessionId = shared.id;
+            return shared.id;
+        }
+
+        this.sessionId = fallback;
+        this._saveSessionId();
+        return fallback;
+    }
+
+    /**
+     * 清除共享的会话 ID（最后一个标签页结束会话时调用），下次登录使用新的会话
+     */
+    clearSessionId() {
+        const key = `${this._key}:session`;
+        const shared = readJSON(this.storage, key);
+        if (shared && shared.id === this.sessionId) {
+            try {
+                this.storage.removeItem(key);
+            } catch (error) {
+                // 忽略：会话 ID 超时后同样不再使用
+            }
+        }
+    }
+
+    /**
+     * 保存共享的会话 ID 和刷新时间
+     * @private
+     */
+    _saveSessionId() {
+        if (!this.sessionId) return;
+        try {
+            this.storage.setItem(`${this._key}:session`, JSON.stringify({ id: this.sessionId, updatedAt: Date.now() }));
+        } catch (error) {
+            // 存储不可写时各标签页使用自己的会话
+        }
+    }
+
+    /**
+     * 加入协调：开始通信、参与选主、定期广播状态
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        this._openChannel();
+        this._post({ type: 'state', state: this.getState() });
+
+        if (this._useLocks) {
+            this._requestLock();
+        } else {
+            this._checkLease();
+        }
+
+        this.timer = setInterval(() => this._tick(), this.interval);
+    }
+
+    /**
+     * 离开协调：通知其他标签页，并释放主标签页身份
+     */
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        if (this._releaseLock) {
+            this._releaseLock();
+            this._releaseLock = null;
+        }
+        if (this._lockAbort) {
+            this._lockAbort.abort();
+            this._lockAbort = null;
+        }
+        if (!this._useLocks) {
+            const lease = readJSON(this.storage, `${this._key}:leader`);
+            if (lease && lease.tabId === this.tabId) {
+                this.storage.removeItem(`${this._key}:leader`);
+            }
+        }
+
+        // 先释放主标签页身份再通知，其他标签页收到后可以立即接管
+        this._post({ type: 'bye' });
+        this._closeChannel();
+        this.members.clear();
+        this.isLeader = false;
+    }
+
+    /**
+     * 广播当前标签页的状态（状态变化时调用）
+     */
+    announce() {
+        if (!this.started) return;
+        this._post({ type: 'state', state: this.getState() });
+    }
+
+    /**
+     * 其他存活标签页的状态
+     * @returns {Array<Object>}
+     */
+    getMemberStates() {
+        this._pruneMembers();
+        return Array.from(this.members.values()).map(member => member.state);
+    }
+
+    /**
+     * 是否还有其他存活的标签页
+     * @returns {boolean}
+     */
+    hasOtherTabs() {
+        this._pruneMembers();
+        return this.members.size > 0;
+    }
+
+    /**
+     * 定期任务：广播状态（兼作存活信号）、刷新共享的会话 ID、清理已关闭的标签页、续约
+     * @private
+     */
+    _tick() {
+        this.announce();
+        this._saveSessionId();
+        if (this._pruneMembers()) {
+            this._notifyStateChange();
+        }
+        if (!this._useLocks) {
+            this._checkLease();
+        }
+    }
+
+    /**
+     * 通过 Web Locks 竞争主标签页：拿到锁后一直持有，直到 stop 或标签页关闭
+     * @private
+     */
+    _requestLock() {
+        this._lockAbort = typeof AbortController === 'function' ? new AbortController() : null;
+
+        navigator.locks.request(
+            `${this._key}:leader`,
+            this._lockAbort ? { signal: this._lockAbort.signal } : {},
+            () => new Promise(resolve => {
+                if (!this.started) {
+                    resolve();
+                    return;
+                }
+                this._lockAbort = null;
+                this._releaseLock = resolve;
+                this._setLeader(true);
+            })
+        ).catch(() => {
+            // stop 时取消了等待中的请求
+        });
+    }
+
+    /**
+     * localStorage 租约：没有主标签页或租约过期时接管，主标签页每次续约
+     * 两个标签页同时接管时以最后写入的为准，另一个在下次检查时让出
+     * @private
+     */
+    _checkLease() {
+        const key = `${this._key}:leader`;
+        const now = Date.now();
+        const lease = readJSON(this.storage, key);
+
+        if (!lease || lease.tabId === this.tabId || lease.expires < now) {
+            try {
+                // 租约时长与存活判断一致，后台主标签页的续约被限流时也不会被抢走
+                this.storage.setItem(key, JSON.stringify({ tabId: this.tabId, expires: now + this.memberTimeout }));
+            } catch (error) {
+                return;
+            }
+            this._setLeader(true);
+        } else {
+            this._setLeader(false);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _setLeader(isLeader) {
+        if (this.isLeader === isLeader) return;
+        this.isLeader = isLeader;
+        if (this.onLeaderChange) {
+            this.onLeaderChange(isLeader);
+        }
+    }
+
+    /**
+     * 打开通信通道
+     * @private
+     */
+    _openChannel() {
+        if (typeof BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel(this._key);
+            this.channel.onmessage = (event) => this._handleMessage(event.data);
+            return;
+        }
+
+        // storage 事件只会在其他标签页触发
+        this._handleStorage = (event) => {
+            if (event.key !== `${this._key}:message` || !event.newValue) return;
+            try {
+                this._handleMessage(JSON.parse(event.newValue));
+            } catch (error) {
+                // 忽略无法解析的消息
+            }
+        };
+        window.addEventListener('storage', this._handleStorage);
+    }
+
+    /**
+     * @private
+     */
+    _closeChannel() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this._handleStorage) {
+            window.removeEventListener('storage', this._handleStorage);
+            this._handleStorage = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _post(message) {
+        const payload = { ...message, tabId: this.tabId, sentAt: Date.now() };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(payload);
+            } else if (this._handleStorage) {
+                // 加上随机值，保证相同内容也会触发 storage 事件
+                this.storage.setItem(`${this._key}:message`, JSON.stringify({ ...payload, nonce: Math.random() }));
+            }
+        } catch (error) {
+            console.warn('标签页消息发送失败:', error);
+        }
+    }
+
+    /**
+     * 处理其他标签页的消息
+     * @private
+     */
+    _handleMessage(message) {
+        if (!this.started || !message || message.tabId === this.tabId) return;
+
+        if (message.type === 'bye') {
+            if (this.members.delete(message.tabId)) {
+                this._notifyStateChange();
+            }
+            // 主标签页可能已经关闭，立即检查租约，不必等到过期
+            if (!this._useLocks) {
+                this._checkLease();
+            }
+            return;
+        }
+
+        if (message.type === 'state') {
+            const member = this.members.get(message.tabId);
+            const changed = !member || JSON.stringify(member.state) !== JSON.stringify(message.state);
+
+            this.members.set(message.tabId, { state: message.state, lastSeen: Date.now() });
+
+            if (!member) {
+                // 让新打开的标签页也知道当前标签页的存在
+                this.announce();
+            }
+            if (changed) {
+                this._notifyStateChange();
+            }
+        }
+    }
+
+    /**
+     * 清理超过 memberTimeout 没有消息的标签页（崩溃或被系统回收）
+     * @returns {boolean} 是否有标签页被清理
+     * @private
+     */
+    _pruneMembers() {
+        const cutoff = Date.now() - this.memberTimeout;
+        let pruned = false;
+
+        this.members.forEach((member, tabId) => {
+            if (member.lastSeen < cutoff) {
+                this.members.delete(tabId);
+                pruned = true;
+            }
+        });
+
+        return pruned;
+    }
+
+    /**
+     * @private
+     */
+    _notifyStateChange() {
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
+    }
+}
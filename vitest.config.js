@@ -4,6 +4,8 @@ export default defineConfig({
   test: {
     environment: 'happy-dom',
     globals: true,
+    // 类型测试（*.test-d.ts）只做编译检查，由 npm run test:types 运行
+    include: ['src/**/*.test.js'],
     coverage: {
       provider: 'v8',
       reporter: ['text', 'json', 'html'],